@@ -6,8 +6,13 @@ import { feature } from "topojson-client";
 import countriesTopology from "world-atlas/countries-110m.json";
 
 const PAGE_SIZE = 12;
-const MACBOOK_VIEWPORT_WIDTH = 3308;
-const MACBOOK_VIEWPORT_HEIGHT = 1900;
+const MAX_RESTORED_PAGES = 8;
+const SORT_OPTIONS = ["relevance", "recent", "oldest", "az", "za"];
+const PRESETS_STORAGE_KEY = "shop-haul:presets";
+const DEFAULT_FILTERS = { categories: [], tags: [], tagMode: "all", fields: {}, summary: "", sort: "recent" };
+const FIELD_PARAM_PREFIX = "field.";
+const SCREENSHOT_WIDTHS = [480, 800, 1200, 1600];
+const SCREENSHOT_SIZES = "(min-width: 1280px) 25vw, (min-width: 768px) 50vw, 100vw";
 const loaderTransition = {
   duration: 2.5,
   ease: [0.175, 0.885, 0.32, 1],
@@ -17,26 +22,176 @@ const loaderTransition = {
   repeatDelay: 0.2,
 };
 
-const thumUrlFor = (url) =>
-  `https://image.thum.io/get/width/${MACBOOK_VIEWPORT_WIDTH}/crop/${MACBOOK_VIEWPORT_HEIGHT}/noanimate/${encodeURIComponent(url)}`;
+// Extra Notion fields filter as field.<key>=value, repeated for alternatives.
+function appendFieldParams(params, fields = {}) {
+  Object.entries(fields).forEach(([key, values]) =>
+    values.forEach((value) => params.append(`${FIELD_PARAM_PREFIX}${key}`, value))
+  );
+}
+
+function buildShopsQuery(query, page, pageSize = PAGE_SIZE) {
+  const params = new URLSearchParams();
+  query.categories.forEach((category) => params.append("category", category));
+  query.tags.forEach((tag) => params.append("tag", tag));
+  if (query.tags.length > 0) params.set("tagMode", query.tagMode);
+  appendFieldParams(params, query.fields);
+  if (query.summary) params.set("q", query.summary);
+  params.set("sort", query.sort);
+  params.set("page", String(page));
+  params.set("pageSize", String(pageSize));
+  return params.toString();
+}
+
+// The address bar uses the API's parameter names, leaving out anything at its default.
+function buildViewQuery(query, page) {
+  const params = new URLSearchParams();
+  query.categories.forEach((category) => params.append("category", category));
+  query.tags.forEach((tag) => params.append("tag", tag));
+  if (query.tags.length > 0 && query.tagMode !== DEFAULT_FILTERS.tagMode) params.set("tagMode", query.tagMode);
+  appendFieldParams(params, query.fields);
+  if (query.summary) params.set("q", query.summary);
+  if (query.sort !== DEFAULT_FILTERS.sort) params.set("sort", query.sort);
+  if (page > 1) params.set("page", String(page));
+  return params.toString();
+}
+
+function readViewFromLocation() {
+  const params = new URLSearchParams(window.location.search);
+  const page = Number.parseInt(params.get("page") || "1", 10);
+  const sort = params.get("sort") || "";
+  const fields = {};
+  for (const [name, value] of params.entries()) {
+    if (!name.startsWith(FIELD_PARAM_PREFIX) || !value) continue;
+    const key = name.slice(FIELD_PARAM_PREFIX.length);
+    fields[key] = [...(fields[key] || []), value];
+  }
 
-const screenshotOfUrlFor = (url) => {
+  return {
+    filters: {
+      categories: params.getAll("category"),
+      tags: params.getAll("tag"),
+      tagMode: params.get("tagMode") === "any" ? "any" : DEFAULT_FILTERS.tagMode,
+      fields,
+      summary: params.get("q") || "",
+      sort: SORT_OPTIONS.includes(sort) ? sort : DEFAULT_FILTERS.sort
+    },
+    page: Number.isFinite(page) && page > 1 ? Math.min(page, MAX_RESTORED_PAGES) : 1,
+    fromUrl: params.toString() !== ""
+  };
+}
+
+// Presets live on the server for signed-in accounts and in localStorage for everyone else.
+async function loadPresets() {
   try {
-    const host = new URL(url).hostname;
-    return host ? `https://screenshotof.com/${host}` : thumUrlFor(url);
+    const response = await fetch("/api/presets", { credentials: "include" });
+    if (response.ok) {
+      const data = await response.json();
+      return { presets: data.presets || [], defaultId: data.defaultId || null, storage: "server" };
+    }
   } catch {
-    return thumUrlFor(url);
+    // Fall through to localStorage.
+  }
+
+  try {
+    const data = JSON.parse(window.localStorage.getItem(PRESETS_STORAGE_KEY) || "{}");
+    return { presets: data.presets || [], defaultId: data.defaultId || null, storage: "local" };
+  } catch {
+    return { presets: [], defaultId: null, storage: "local" };
+  }
+}
+
+async function savePresets({ presets: current, defaultId, storage }) {
+  const presets = current.map((preset) => ({ ...preset, name: preset.name.trim() || "Untitled" }));
+  if (storage === "local") {
+    window.localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify({ presets, defaultId }));
+    return;
+  }
+
+  const response = await fetch("/api/presets", {
+    method: "PUT",
+    credentials: "include",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ presets, defaultId })
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || "Could not save presets");
+  }
+}
+
+const presetFilters = (filters) => ({
+  categories: filters.categories,
+  tags: filters.tags,
+  tagMode: filters.tagMode,
+  fields: filters.fields || {},
+  summary: filters.summary.trim(),
+  sort: filters.sort
+});
+
+const sameFilters = (a, b) => JSON.stringify(presetFilters(a)) === JSON.stringify(presetFilters(b));
+
+const shopPath = (shop) => `/shop/${encodeURIComponent(shop.id)}`;
+
+// /shop/:id is a shop's detail page, /boards/:id the owner's board and
+// /shared/boards/:token the read-only shared link.
+function readRouteFromLocation() {
+  const shop = window.location.pathname.match(/^\/shop\/([^/]+)\/?$/);
+  if (shop) return { type: "shop", id: decodeURIComponent(shop[1]) };
+  const board = window.location.pathname.match(/^\/boards\/([\w-]+)\/?$/);
+  if (board) return { type: "board", id: board[1] };
+  const shared = window.location.pathname.match(/^\/shared\/boards\/([\w-]+)\/?$/);
+  if (shared) return { type: "shared", token: shared[1] };
+  return null;
+}
+
+async function apiRequest(url, { method = "GET", body } = {}) {
+  const response = await fetch(url, {
+    method,
+    credentials: "include",
+    headers: body ? { "content-type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  if (response.status === 204) return null;
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.details || data.error || "Request failed");
+  }
+  return data;
+}
+
+// Boards need a personal account; for everyone else the board controls stay hidden.
+async function loadBoards() {
+  try {
+    return (await apiRequest("/api/boards")).boards || [];
+  } catch {
+    return null;
+  }
+}
+
+async function fetchShopsPage(query, page, pageSize = PAGE_SIZE) {
+  const response = await fetch(`/api/shops?${buildShopsQuery(query, page, pageSize)}`, { credentials: "include" });
+  if (response.status === 401) {
+    window.location.assign("/auth/login");
+    return null;
+  }
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.details || data.error || "Unknown API error");
   }
-};
 
-function normalizeText(value) {
-  return String(value || "").toLowerCase().trim();
+  return data;
 }
 
-async function preloadImageWithFallback(primaryUrl, fallbackUrl, timeoutMs = 7000) {
+const screenshotSrcSet = (screenshotUrl) =>
+  SCREENSHOT_WIDTHS.map((width) => `${screenshotUrl}&w=${width}&fmt=webp ${width}w`).join(", ");
+
+async function preloadImageWithFallback(primary, fallbackUrl, timeoutMs = 7000) {
   return new Promise((resolve) => {
     const img = new Image();
     let settled = false;
+    let triedFallback = false;
 
     const finish = () => {
       if (settled) return;
@@ -52,7 +207,9 @@ async function preloadImageWithFallback(primaryUrl, fallbackUrl, timeoutMs = 700
     };
 
     img.onerror = () => {
-      if (fallbackUrl && img.src !== fallbackUrl) {
+      if (fallbackUrl && !triedFallback) {
+        triedFallback = true;
+        img.srcset = "";
         img.src = fallbackUrl;
         return;
       }
@@ -60,7 +217,11 @@ async function preloadImageWithFallback(primaryUrl, fallbackUrl, timeoutMs = 700
       finish();
     };
 
-    img.src = primaryUrl;
+    if (primary.srcSet) {
+      img.sizes = SCREENSHOT_SIZES;
+      img.srcset = primary.srcSet;
+    }
+    img.src = primary.src;
   });
 }
 
@@ -453,7 +614,7 @@ function HeroGlobe() {
   );
 }
 
-function TagMultiSelect({ options, values, onChange }) {
+function TagMultiSelect({ options, values, counts, mode, onChange, onModeChange }) {
   const [open, setOpen] = useState(false);
   const rootRef = useRef(null);
 
@@ -481,7 +642,7 @@ function TagMultiSelect({ options, values, onChange }) {
   };
 
   const label =
-    values.length === 0 ? "All tags" : values.length === 1 ? values[0] : `${values.length} tags selected`;
+    values.length === 0 ? "All tags" : values.length === 1 ? values[0] : `${values.length} tags (match ${mode})`;
 
   return (
     <div ref={rootRef} className="relative min-w-[170px] flex-1 basis-[170px]">
@@ -510,21 +671,44 @@ function TagMultiSelect({ options, values, onChange }) {
               </button>
             ) : null}
           </div>
+          <div className="mb-1 flex gap-1 px-2 pb-1">
+            {["any", "all"].map((option) => (
+              <button
+                key={option}
+                type="button"
+                onClick={() => onModeChange(option)}
+                aria-pressed={mode === option}
+                className={`rounded-full px-3 py-1 font-mono text-[0.7rem] font-semibold transition ${
+                  mode === option ? "bg-black text-white" : "bg-black/[0.05] text-black/65 hover:bg-black/[0.08]"
+                }`}
+              >
+                {option === "any" ? "Match any tag" : "Match all tags"}
+              </button>
+            ))}
+          </div>
           <div className="space-y-1" role="listbox" aria-multiselectable="true">
             {options.map((tag) => {
               const checked = values.includes(tag);
+              const count = counts ? counts[tag] || 0 : null;
+              const disabled = !checked && count === 0;
               return (
                 <label
                   key={tag}
-                  className="flex cursor-pointer items-center gap-3 rounded-[0.95rem] px-3 py-2 transition hover:bg-black/[0.03]"
+                  className={`flex items-center gap-3 rounded-[0.95rem] px-3 py-2 transition ${
+                    disabled ? "cursor-not-allowed opacity-40" : "cursor-pointer hover:bg-black/[0.03]"
+                  }`}
                 >
                   <input
                     type="checkbox"
                     checked={checked}
+                    disabled={disabled}
                     onChange={() => toggleTag(tag)}
                     className="h-4 w-4 rounded border-black/20 accent-black"
                   />
                   <span className="font-mono text-[0.78rem] text-black/82">{tag}</span>
+                  {count === null ? null : (
+                    <span className="ml-auto font-mono text-[0.7rem] text-black/45">{count}</span>
+                  )}
                 </label>
               );
             })}
@@ -535,7 +719,7 @@ function TagMultiSelect({ options, values, onChange }) {
   );
 }
 
-function CategoryMultiSelect({ options, values, onChange }) {
+function CategoryMultiSelect({ options, values, counts, onChange }) {
   const [open, setOpen] = useState(false);
   const rootRef = useRef(null);
 
@@ -595,18 +779,26 @@ function CategoryMultiSelect({ options, values, onChange }) {
           <div className="space-y-1" role="listbox" aria-multiselectable="true">
             {options.map((category) => {
               const checked = values.includes(category);
+              const count = counts ? counts[category] || 0 : null;
+              const disabled = !checked && count === 0;
               return (
                 <label
                   key={category}
-                  className="flex cursor-pointer items-center gap-3 rounded-[0.95rem] px-3 py-2 transition hover:bg-black/[0.03]"
+                  className={`flex items-center gap-3 rounded-[0.95rem] px-3 py-2 transition ${
+                    disabled ? "cursor-not-allowed opacity-40" : "cursor-pointer hover:bg-black/[0.03]"
+                  }`}
                 >
                   <input
                     type="checkbox"
                     checked={checked}
+                    disabled={disabled}
                     onChange={() => toggleCategory(category)}
                     className="h-4 w-4 rounded border-black/20 accent-black"
                   />
                   <span className="font-mono text-[0.78rem] text-black/82">{category}</span>
+                  {count === null ? null : (
+                    <span className="ml-auto font-mono text-[0.7rem] text-black/45">{count}</span>
+                  )}
                 </label>
               );
             })}
@@ -617,36 +809,316 @@ function CategoryMultiSelect({ options, values, onChange }) {
   );
 }
 
-function ShopCard({ shop, index, onCopy }) {
-  const [src, setSrc] = useState(() => screenshotOfUrlFor(shop.url));
-  const [step, setStep] = useState(0);
+const fieldValueLabel = (field, value) => (field.type === "checkbox" ? (value === "true" ? "Yes" : "No") : value);
 
-  const handleError = () => {
-    if (step === 0) {
-      setStep(1);
-      setSrc(thumUrlFor(shop.url));
-    }
+// A single-choice dropdown for an extra Notion field; a value from the URL that is no longer
+// in use still shows, so the filter can be cleared.
+function FieldSelect({ field, value, counts, onChange }) {
+  const options = value && !field.values.includes(value) ? [value, ...field.values] : field.values;
+
+  return (
+    <label className="min-w-[170px] flex-1 basis-[170px]">
+      <select
+        value={value}
+        onChange={(event) => onChange(event.target.value)}
+        aria-label={field.label}
+        className="h-[52px] w-full appearance-none rounded-[1.1rem] border border-black/8 bg-white px-4 font-mono text-[0.82rem] shadow-[0_1px_0_rgba(0,0,0,0.04)] outline-none"
+      >
+        <option value="">Any {field.label.toLowerCase()}</option>
+        {options.map((option) => {
+          const count = counts ? counts[option] || 0 : null;
+          return (
+            <option key={option} value={option} disabled={option !== value && count === 0}>
+              {fieldValueLabel(field, option)}
+              {count === null ? "" : ` (${count})`}
+            </option>
+          );
+        })}
+      </select>
+    </label>
+  );
+}
+
+function PresetChips({ presets, defaultId, filters, onApply, onChange }) {
+  const [editing, setEditing] = useState(false);
+  const [draftName, setDraftName] = useState(null);
+  const dragIndexRef = useRef(-1);
+
+  const update = (nextPresets, nextDefaultId = defaultId) => onChange({ presets: nextPresets, defaultId: nextDefaultId });
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    const name = draftName.trim();
+    if (!name) return;
+    update([...presets, { id: `p-${Date.now().toString(36)}`, name, filters: presetFilters(filters) }]);
+    setDraftName(null);
+  };
+
+  const handleDrop = (targetIndex) => {
+    const from = dragIndexRef.current;
+    dragIndexRef.current = -1;
+    if (from < 0 || from === targetIndex) return;
+    const next = [...presets];
+    const [moved] = next.splice(from, 1);
+    next.splice(targetIndex, 0, moved);
+    update(next);
+  };
+
+  const chipClass =
+    "inline-flex h-9 items-center gap-2 rounded-full border px-4 font-mono text-[0.74rem] font-semibold transition";
+
+  return (
+    <div className="mb-3 flex flex-wrap items-center gap-2">
+      {presets.map((preset, index) =>
+        editing ? (
+          <div
+            key={preset.id}
+            draggable
+            onDragStart={() => {
+              dragIndexRef.current = index;
+            }}
+            onDragOver={(event) => event.preventDefault()}
+            onDrop={() => handleDrop(index)}
+            className={`${chipClass} border-black/10 bg-white pl-2 pr-2 text-black`}
+          >
+            <span className="cursor-grab px-1 text-black/40" aria-hidden="true">
+              ⋮⋮
+            </span>
+            <input
+              value={preset.name}
+              onChange={(event) =>
+                update(presets.map((item) => (item.id === preset.id ? { ...item, name: event.target.value } : item)))
+              }
+              aria-label="Preset name"
+              className="w-28 bg-transparent outline-none"
+            />
+            <button
+              type="button"
+              onClick={() => update(presets, defaultId === preset.id ? null : preset.id)}
+              title={defaultId === preset.id ? "Default view" : "Make default view"}
+              aria-pressed={defaultId === preset.id}
+              className="text-black/60 hover:text-black"
+            >
+              {defaultId === preset.id ? "★" : "☆"}
+            </button>
+            <button
+              type="button"
+              onClick={() =>
+                update(
+                  presets.filter((item) => item.id !== preset.id),
+                  defaultId === preset.id ? null : defaultId
+                )
+              }
+              title="Delete preset"
+              className="text-black/50 hover:text-black"
+            >
+              ×
+            </button>
+          </div>
+        ) : (
+          <button
+            key={preset.id}
+            type="button"
+            onClick={() => onApply(preset)}
+            className={`${chipClass} ${
+              sameFilters(preset.filters, filters)
+                ? "border-black bg-black text-white"
+                : "border-black/10 bg-white text-black hover:bg-black/[0.03]"
+            }`}
+          >
+            {defaultId === preset.id ? <span aria-label="Default view">★</span> : null}
+            {preset.name}
+          </button>
+        )
+      )}
+
+      {draftName === null ? (
+        <button
+          type="button"
+          onClick={() => setDraftName("")}
+          className={`${chipClass} border-dashed border-black/20 bg-transparent text-black/65 hover:text-black`}
+        >
+          + Save view
+        </button>
+      ) : (
+        <form onSubmit={handleSave} className={`${chipClass} border-black/20 bg-white pr-2 text-black`}>
+          <input
+            autoFocus
+            value={draftName}
+            onChange={(event) => setDraftName(event.target.value)}
+            onKeyDown={(event) => {
+              if (event.key === "Escape") setDraftName(null);
+            }}
+            placeholder="Preset name"
+            maxLength={60}
+            className="w-32 bg-transparent outline-none placeholder:text-black/40"
+          />
+          <button type="submit" className="rounded-full bg-black px-3 py-1 text-white">
+            Save
+          </button>
+          <button type="button" onClick={() => setDraftName(null)} className="text-black/50 hover:text-black">
+            ×
+          </button>
+        </form>
+      )}
+
+      {presets.length ? (
+        <button
+          type="button"
+          onClick={() => setEditing((current) => !current)}
+          className="font-mono text-[0.72rem] font-semibold text-black/60 underline underline-offset-3"
+        >
+          {editing ? "Done" : "Edit presets"}
+        </button>
+      ) : null}
+    </div>
+  );
+}
+
+function HighlightedText({ text, ranges }) {
+  if (!text || !ranges?.length) return text || "";
+
+  const parts = [];
+  let cursor = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > cursor) parts.push(text.slice(cursor, start));
+    parts.push(
+      <mark key={start} className="rounded-[3px] bg-primary px-0.5 text-inherit">
+        {text.slice(start, end)}
+      </mark>
+    );
+    cursor = end;
+  });
+  parts.push(text.slice(cursor));
+  return parts;
+}
+
+function BoardPicker({ shop, boards, onToggle, onCreate }) {
+  const [open, setOpen] = useState(false);
+  const [draftName, setDraftName] = useState("");
+  const rootRef = useRef(null);
+
+  useEffect(() => {
+    const handlePointerDown = (event) => {
+      if (!rootRef.current?.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") setOpen(false);
+    };
+
+    window.addEventListener("pointerdown", handlePointerDown);
+    window.addEventListener("keydown", handleKeyDown);
+    return () => {
+      window.removeEventListener("pointerdown", handlePointerDown);
+      window.removeEventListener("keydown", handleKeyDown);
+    };
+  }, []);
+
+  const handleCreate = (event) => {
+    event.preventDefault();
+    const name = draftName.trim();
+    if (!name) return;
+    onCreate(name, shop);
+    setDraftName("");
   };
 
+  const saved = boards.some((board) => board.items.includes(shop.id));
+
+  return (
+    <div ref={rootRef}>
+      <button
+        type="button"
+        onClick={() => setOpen((current) => !current)}
+        aria-haspopup="dialog"
+        aria-expanded={open}
+        className={`inline-flex h-11 items-center justify-center rounded-full border px-4 font-mono text-[0.76rem] font-semibold transition ${
+          saved ? "border-black bg-primary text-black" : "border-black/10 bg-white text-black hover:bg-black/[0.03]"
+        }`}
+      >
+        {saved ? "Saved ✓" : "Save"}
+      </button>
+
+      {open ? (
+        <div className="absolute inset-x-0 bottom-[calc(100%+0.55rem)] z-30 max-h-72 overflow-auto rounded-[1.1rem] border border-black/8 bg-white p-2 shadow-[0_18px_50px_rgba(17,17,17,0.12)]">
+          <p className="px-2 py-1 font-mono text-[0.72rem] text-black/55">Save to board</p>
+          <div className="space-y-1">
+            {boards.map((board) => (
+              <label
+                key={board.id}
+                className="flex cursor-pointer items-center gap-3 rounded-[0.95rem] px-3 py-2 transition hover:bg-black/[0.03]"
+              >
+                <input
+                  type="checkbox"
+                  checked={board.items.includes(shop.id)}
+                  onChange={() => onToggle(board, shop)}
+                  className="h-4 w-4 rounded border-black/20 accent-black"
+                />
+                <span className="truncate font-mono text-[0.78rem] text-black/82">{board.name}</span>
+                <a
+                  href={`/boards/${board.id}`}
+                  className="ml-auto font-mono text-[0.7rem] text-black/45 underline underline-offset-3"
+                >
+                  View
+                </a>
+              </label>
+            ))}
+          </div>
+          <form onSubmit={handleCreate} className="mt-1 flex items-center gap-2 px-2 pb-1 pt-2">
+            <input
+              value={draftName}
+              onChange={(event) => setDraftName(event.target.value)}
+              placeholder="New board"
+              maxLength={80}
+              className="h-9 min-w-0 flex-1 rounded-full border border-black/10 px-3 font-mono text-[0.74rem] outline-none placeholder:text-black/40"
+            />
+            <button type="submit" className="h-9 rounded-full bg-black px-3 font-mono text-[0.74rem] text-white">
+              Add
+            </button>
+          </form>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+function ShopCard({ shop, index, onCopy, onSimilar = null, actions = null }) {
+  const [step, setStep] = useState(0);
+
   return (
     <article
       className="vault-card-enter group flex h-full flex-col overflow-hidden rounded-[18px] border border-black/8 bg-card shadow-[0_14px_34px_rgba(17,17,17,0.06)] transition duration-300 hover:-translate-y-1.5 hover:shadow-[0_22px_50px_rgba(17,17,17,0.12)]"
       style={{ animationDelay: `${Math.min(index * 40, 320)}ms` }}
     >
-      <a className="block overflow-hidden" href={shop.url} target="_blank" rel="noreferrer">
-        <img
-          className="aspect-[3308/1900] w-full object-cover object-top transition duration-500 group-hover:scale-[1.025]"
-          src={src}
-          alt={`${shop.title} screenshot`}
-          loading="lazy"
-          referrerPolicy="no-referrer"
-          onError={handleError}
-        />
+      <a className="block overflow-hidden" href={shopPath(shop)}>
+        {step > 1 ? (
+          <div className="grid aspect-[3308/1900] w-full place-items-center bg-black/[0.04] font-mono text-[0.76rem] text-black/45">
+            Preview unavailable
+          </div>
+        ) : (
+          <img
+            className="aspect-[3308/1900] w-full object-cover object-top transition duration-500 group-hover:scale-[1.025]"
+            src={shop.screenshot}
+            srcSet={step === 0 ? screenshotSrcSet(shop.screenshot) : undefined}
+            sizes={step === 0 ? SCREENSHOT_SIZES : undefined}
+            alt={`${shop.title} screenshot`}
+            loading="lazy"
+            onError={() => setStep((current) => current + 1)}
+          />
+        )}
       </a>
       <div className="flex flex-1 flex-col gap-3 px-4 pb-4 pt-3">
         <div className="space-y-2">
-          <h2 className="truncate text-[1.25rem] font-[650] tracking-[-0.035em] text-foreground">{shop.title}</h2>
-          <p className="min-h-[2.6em] text-[0.96rem] leading-[1.35] text-black/62">{shop.notes || ""}</p>
+          <h2 className="truncate text-[1.25rem] font-[650] tracking-[-0.035em] text-foreground">
+            <a href={shopPath(shop)} className="hover:underline hover:underline-offset-4">
+              <HighlightedText text={shop.title} ranges={shop.highlights?.title} />
+            </a>
+          </h2>
+          <p className="min-h-[2.6em] text-[0.96rem] leading-[1.35] text-black/62">
+            <HighlightedText text={shop.notes} ranges={shop.highlights?.notes} />
+          </p>
         </div>
 
         <div className="mt-auto flex flex-col gap-3">
@@ -657,13 +1129,18 @@ function ShopCard({ shop, index, onCopy }) {
               </span>
             ) : null}
             {shop.tags.map((tag) => (
-              <span key={tag} className="rounded-full bg-black/[0.06] px-2.5 py-1 font-mono text-[0.67rem] text-black/72">
+              <span
+                key={tag}
+                className={`rounded-full px-2.5 py-1 font-mono text-[0.67rem] text-black/72 ${
+                  shop.highlights?.tags.includes(tag) ? "bg-primary" : "bg-black/[0.06]"
+                }`}
+              >
                 {tag}
               </span>
             ))}
           </div>
 
-          <div className="flex items-center gap-2">
+          <div className="relative flex flex-wrap items-center gap-2">
             <a
               href={shop.url}
               target="_blank"
@@ -679,6 +1156,16 @@ function ShopCard({ shop, index, onCopy }) {
             >
               Copy
             </button>
+            {onSimilar ? (
+              <button
+                type="button"
+                onClick={() => onSimilar(shop)}
+                className="inline-flex h-11 items-center justify-center rounded-full border border-black/10 bg-white px-4 font-mono text-[0.76rem] font-semibold text-black transition hover:bg-black/[0.03]"
+              >
+                Similar
+              </button>
+            ) : null}
+            {actions}
           </div>
         </div>
       </div>
@@ -686,169 +1173,1121 @@ function ShopCard({ shop, index, onCopy }) {
   );
 }
 
-export default function App() {
-  const marqueeItems = [
-    "Live vault of standout Shopify stores",
-    "Design, commerce, branding, UX, motion",
-    "Curated by Shop Haul"
-  ];
-
-  const [shops, setShops] = useState([]);
-  const [categories, setCategories] = useState([]);
-  const [tags, setTags] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [loadingMore, setLoadingMore] = useState(false);
-  const [error, setError] = useState("");
-  const [signupOpen, setSignupOpen] = useState(false);
-  const [copiedUrl, setCopiedUrl] = useState("");
-  const [page, setPage] = useState(1);
-  const [filters, setFilters] = useState({
-    categories: [],
-    tags: [],
-    summary: "",
-    sort: "recent"
+const editorInputClass =
+  "w-full rounded-[0.95rem] border border-black/10 bg-white px-3 font-mono text-[0.78rem] outline-none placeholder:text-black/40";
+
+// Edits in place of a card; with no shop it adds one by URL, starting from defaults.
+// Tags are typed comma-separated.
+function ShopEditor({ shop = null, defaults = {}, categories, tags, onSave, onArchive = null, onCancel }) {
+  const [draft, setDraft] = useState(() => {
+    const source = shop || defaults;
+    return {
+      title: source.title || "",
+      url: source.url || "",
+      category: source.category || "",
+      tags: (source.tags || []).join(", "),
+      notes: source.notes || ""
+    };
   });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
 
-  useEffect(() => {
-    let cancelled = false;
-
-    async function load() {
-      try {
-        setLoading(true);
-        setError("");
-        const response = await fetch("/api/shops", { credentials: "include" });
-        if (response.status === 401) {
-          window.location.assign("/auth/login");
-          return;
-        }
-        const data = await response.json();
-
-        if (!response.ok) {
-          throw new Error(data.details || data.error || "Unknown API error");
-        }
+  const update = (field) => (event) => setDraft((current) => ({ ...current, [field]: event.target.value }));
 
-        if (cancelled) return;
-        setShops(data.shops || []);
-        setCategories(data.categories || []);
-        setTags(data.tags || []);
-        await Promise.all(
-          (data.shops || [])
-            .slice(0, PAGE_SIZE)
-            .map((shop) => preloadImageWithFallback(screenshotOfUrlFor(shop.url), thumUrlFor(shop.url)))
-        );
-        if (!cancelled) setLoading(false);
-      } catch (loadError) {
-        if (!cancelled) {
-          setError(loadError instanceof Error ? loadError.message : String(loadError));
-          setLoading(false);
-        }
-      }
+  const run = async (action) => {
+    setSaving(true);
+    setError("");
+    try {
+      await action();
+    } catch (saveError) {
+      setError(saveError instanceof Error ? saveError.message : String(saveError));
+      setSaving(false);
     }
+  };
 
-    load();
-    return () => {
-      cancelled = true;
-    };
-  }, []);
-
-  useEffect(() => {
-    setPage(1);
-  }, [filters.categories, filters.tags, filters.summary, filters.sort]);
-
-  useEffect(() => {
-    if (!signupOpen) return undefined;
-    const handleKey = (event) => {
-      if (event.key === "Escape") setSignupOpen(false);
-    };
-    window.addEventListener("keydown", handleKey);
-    document.body.style.overflow = "hidden";
-    return () => {
-      window.removeEventListener("keydown", handleKey);
-      document.body.style.overflow = "";
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const fields = {
+      ...draft,
+      tags: draft.tags
+        .split(",")
+        .map((tag) => tag.trim())
+        .filter(Boolean)
     };
-  }, [signupOpen]);
-
-  const filteredShops = useMemo(() => {
-    let items = shops;
+    run(() => onSave(fields));
+  };
 
-    if (filters.categories.length > 0) {
-      const selectedCategories = filters.categories.map(normalizeText);
-      items = items.filter((shop) => selectedCategories.includes(normalizeText(shop.category)));
+  const handleArchive = () => {
+    if (window.confirm(`Archive ${shop.title}? It can be restored from Notion's trash.`)) {
+      run(() => onArchive(shop));
     }
+  };
 
-    if (filters.tags.length > 0) {
-      const selectedTags = filters.tags.map(normalizeText);
-      items = items.filter((shop) => {
-        const shopTags = shop.tags.map(normalizeText);
-        return selectedTags.every((tag) => shopTags.includes(tag));
-      });
-    }
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="flex h-full flex-col gap-2.5 rounded-[18px] border border-black bg-card p-4 shadow-[0_14px_34px_rgba(17,17,17,0.06)]"
+    >
+      <p className="font-mono text-[0.72rem] text-black/55">{shop ? "Edit shop" : "Add shop by URL"}</p>
+      <input
+        value={draft.url}
+        onChange={update("url")}
+        placeholder="https://example.com"
+        required={!shop}
+        className={`${editorInputClass} h-10`}
+      />
+      <input
+        value={draft.title}
+        onChange={update("title")}
+        placeholder={shop ? "Title" : "Title (defaults to the domain)"}
+        maxLength={200}
+        className={`${editorInputClass} h-10`}
+      />
+      <input
+        value={draft.category}
+        onChange={update("category")}
+        placeholder="Category"
+        list="shop-editor-categories"
+        className={`${editorInputClass} h-10`}
+      />
+      <input
+        value={draft.tags}
+        onChange={update("tags")}
+        placeholder="Tags, comma-separated"
+        className={`${editorInputClass} h-10`}
+      />
+      <datalist id="shop-editor-categories">
+        {categories.map((category) => (
+          <option key={category} value={category} />
+        ))}
+      </datalist>
+      {tags.length ? (
+        <p className="truncate font-mono text-[0.66rem] text-black/45" title={tags.join(", ")}>
+          Existing tags: {tags.join(", ")}
+        </p>
+      ) : null}
+      <textarea
+        value={draft.notes}
+        onChange={update("notes")}
+        placeholder="Notes"
+        rows={4}
+        className={`${editorInputClass} min-h-24 flex-1 resize-y py-2`}
+      />
+      {error ? <p className="font-mono text-[0.72rem] text-red-700">{error}</p> : null}
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          type="submit"
+          disabled={saving}
+          className="inline-flex h-10 items-center justify-center rounded-full bg-black px-4 font-mono text-[0.76rem] font-semibold text-white transition hover:bg-black/85 disabled:cursor-wait disabled:opacity-70"
+        >
+          {saving ? "Saving…" : shop ? "Save" : "Add shop"}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={saving}
+          className="inline-flex h-10 items-center justify-center rounded-full border border-black/10 bg-white px-4 font-mono text-[0.76rem] font-semibold text-black transition hover:bg-black/[0.03]"
+        >
+          Cancel
+        </button>
+        {shop && onArchive ? (
+          <button
+            type="button"
+            onClick={handleArchive}
+            disabled={saving}
+            className="ml-auto inline-flex h-10 items-center justify-center rounded-full border border-red-700/30 bg-white px-4 font-mono text-[0.76rem] font-semibold text-red-700 transition hover:bg-red-50"
+          >
+            Archive
+          </button>
+        ) : null}
+      </div>
+    </form>
+  );
+}
 
-    const summaryQuery = normalizeText(filters.summary);
-    if (summaryQuery) {
-      items = items.filter((shop) => {
-        const haystack = [
-          shop.title,
-          shop.url,
-          shop.category,
-          shop.notes,
-          ...(shop.tags || []),
-        ]
-          .map(normalizeText)
-          .join(" ");
-
-        return haystack.includes(summaryQuery);
-      });
-    }
+// Reader suggestions from /submit. Approving opens the shop editor with the suggestion
+// filled in; merging records it as a duplicate of a shop already in the vault.
+function SubmissionQueue({ categories, tags, onApproved }) {
+  const [submissions, setSubmissions] = useState(null);
+  const [error, setError] = useState("");
+  const [approvingId, setApprovingId] = useState(null);
+  const [mergeTargets, setMergeTargets] = useState({});
 
-    const sorted = [...items];
-    if (filters.sort === "az") sorted.sort((a, b) => a.title.localeCompare(b.title));
-    else if (filters.sort === "za") sorted.sort((a, b) => b.title.localeCompare(a.title));
-    else if (filters.sort === "oldest") sorted.sort((a, b) => new Date(a.editedAt) - new Date(b.editedAt));
-    else sorted.sort((a, b) => new Date(b.editedAt) - new Date(a.editedAt));
+  useEffect(() => {
+    let cancelled = false;
 
-    return sorted;
-  }, [filters, shops]);
+    apiRequest("/api/admin/submissions")
+      .then((data) => {
+        if (!cancelled) setSubmissions(data.submissions || []);
+      })
+      .catch((loadError) => {
+        if (!cancelled) setError(loadError.message);
+      });
 
-  const visibleCount = Math.min(filteredShops.length, page * PAGE_SIZE);
-  const visibleShops = filteredShops.slice(0, visibleCount);
-  const hasMore = visibleCount < filteredShops.length;
-  const activeFilterCount =
-    filters.categories.length + filters.tags.length + Number(Boolean(filters.summary.trim()));
-  const initialLoading = loading && !error && shops.length === 0;
+    return () => {
+      cancelled = true;
+    };
+  }, []);
 
-  const statusText = error
-    ? `Could not load data: ${error}`
-    : filteredShops.length
-      ? `Showing ${visibleCount} of ${filteredShops.length} shops`
-      : loading
-        ? "Loading shops..."
-        : "No shops match your current filters.";
+  const settle = (id) => setSubmissions((current) => current.filter((item) => item.id !== id));
 
-  const handleCopy = async (shop) => {
+  const review = async (submission, action, body) => {
+    setError("");
     try {
-      await navigator.clipboard.writeText(shop.url);
-      setCopiedUrl(shop.url);
-      window.setTimeout(() => {
-        setCopiedUrl((value) => (value === shop.url ? "" : value));
-      }, 1200);
-    } catch {
-      setCopiedUrl("__failed__");
-      window.setTimeout(() => setCopiedUrl(""), 1200);
+      await apiRequest(`/api/admin/submissions/${submission.id}/${action}`, { method: "POST", body });
+      settle(submission.id);
+    } catch (reviewError) {
+      setError(reviewError.message);
     }
   };
 
-  const handleLoadMore = () => {
-    if (!hasMore || loadingMore) return;
-    setLoadingMore(true);
-    window.setTimeout(() => {
-      setPage((current) => current + 1);
-      setLoadingMore(false);
-    }, 220);
+  const handleApprove = async (submission, fields) => {
+    const data = await apiRequest(`/api/admin/submissions/${submission.id}/approve`, { method: "POST", body: fields });
+    settle(submission.id);
+    setApprovingId(null);
+    onApproved(data.shop);
   };
 
-  return (
-    <div className="flex min-h-screen flex-col">
+  const handleReject = (submission) => {
+    if (window.confirm(`Reject the suggestion for ${submission.host}?`)) review(submission, "reject");
+  };
+
+  if (!submissions) {
+    return error ? <p className="mt-5 font-mono text-[0.76rem] text-red-700">Submissions: {error}</p> : null;
+  }
+
+  return (
+    <section className="mt-5 rounded-[1.65rem] bg-black/[0.03] p-4" aria-label="Submissions">
+      <p className="font-mono text-[0.82rem] font-semibold text-black/74">
+        {submissions.length
+          ? `${submissions.length} pending submission${submissions.length === 1 ? "" : "s"}`
+          : "No pending submissions"}
+      </p>
+      {error ? <p className="mt-2 font-mono text-[0.74rem] text-red-700">{error}</p> : null}
+
+      <div className="mt-3 grid grid-cols-1 gap-3 md:grid-cols-2 xl:grid-cols-4">
+        {submissions.map((submission) =>
+          approvingId === submission.id ? (
+            <ShopEditor
+              key={submission.id}
+              defaults={{ url: submission.url, title: submission.name }}
+              categories={categories}
+              tags={tags}
+              onSave={(fields) => handleApprove(submission, fields)}
+              onCancel={() => setApprovingId(null)}
+            />
+          ) : (
+            <article
+              key={submission.id}
+              className="flex flex-col gap-2 rounded-[18px] border border-black/8 bg-white p-4"
+            >
+              <a
+                href={submission.url}
+                target="_blank"
+                rel="noreferrer"
+                className="truncate text-[1.05rem] font-[650] tracking-[-0.02em] hover:underline hover:underline-offset-4"
+              >
+                {submission.name || submission.host}
+              </a>
+              <p className="truncate font-mono text-[0.7rem] text-black/55">
+                {submission.url}
+                {submission.requests > 1 ? ` · suggested ${submission.requests}×` : ""}
+              </p>
+              {submission.notes.map((note, index) => (
+                <p key={index} className="text-[0.9rem] leading-[1.35] text-black/70">
+                  {note}
+                </p>
+              ))}
+              {submission.emails.length ? (
+                <p className="truncate font-mono text-[0.68rem] text-black/45">{submission.emails.join(", ")}</p>
+              ) : null}
+              <div className="mt-auto flex flex-wrap items-center gap-2 pt-2">
+                <button
+                  type="button"
+                  onClick={() => setApprovingId(submission.id)}
+                  className="inline-flex h-9 items-center justify-center rounded-full bg-black px-4 font-mono text-[0.74rem] font-semibold text-white transition hover:bg-black/85"
+                >
+                  Approve
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleReject(submission)}
+                  className="inline-flex h-9 items-center justify-center rounded-full border border-black/10 bg-white px-4 font-mono text-[0.74rem] font-semibold text-black transition hover:bg-black/[0.03]"
+                >
+                  Reject
+                </button>
+              </div>
+              <form
+                onSubmit={(event) => {
+                  event.preventDefault();
+                  review(submission, "merge", { shop: mergeTargets[submission.id] || "" });
+                }}
+                className="flex items-center gap-2"
+              >
+                <input
+                  value={mergeTargets[submission.id] || ""}
+                  onChange={(event) =>
+                    setMergeTargets((current) => ({ ...current, [submission.id]: event.target.value }))
+                  }
+                  placeholder="Merge into shop (URL or id)"
+                  className={`${editorInputClass} h-9 min-w-0 flex-1`}
+                />
+                <button
+                  type="submit"
+                  className="h-9 rounded-full border border-black/10 bg-white px-3 font-mono text-[0.74rem] font-semibold text-black"
+                >
+                  Merge
+                </button>
+              </form>
+            </article>
+          )
+        )}
+      </div>
+    </section>
+  );
+}
+
+function SimilarShopsDialog({ shop, onClose, onCopy, onSimilar }) {
+  const [similar, setSimilar] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    setSimilar(null);
+    setError("");
+
+    apiRequest(`/api/shops/${encodeURIComponent(shop.id)}/similar?limit=8`)
+      .then((data) => {
+        if (!cancelled) setSimilar(data.similar || []);
+      })
+      .catch((loadError) => {
+        if (!cancelled) setError(loadError.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [shop]);
+
+  return (
+    <div className="fixed inset-0 z-[1100] grid place-items-center">
+      <button type="button" className="absolute inset-0 bg-black/72" aria-label="Close similar shops" onClick={onClose} />
+      <div
+        role="dialog"
+        aria-label={`Shops similar to ${shop.title}`}
+        className="relative z-10 max-h-[88vh] w-[min(94vw,1400px)] overflow-auto rounded-[20px] bg-white p-5 shadow-[0_30px_80px_rgba(0,0,0,0.35)]"
+      >
+        <div className="flex items-center justify-between gap-4">
+          <h2 className="text-[1.35rem] font-[650] tracking-[-0.035em] text-foreground">Similar to {shop.title}</h2>
+          <button
+            type="button"
+            onClick={onClose}
+            className="inline-flex h-9 items-center justify-center rounded-full border border-black/10 px-4 font-mono text-[0.76rem]"
+          >
+            Close
+          </button>
+        </div>
+
+        {!similar || similar.length === 0 ? (
+          <p className="mt-5 font-mono text-[0.92rem] font-semibold tracking-[-0.02em] text-black/74">
+            {error ? `Could not load similar shops: ${error}` : similar ? "No similar shops found." : "Finding similar shops..."}
+          </p>
+        ) : (
+          <div className="mt-5 grid grid-cols-1 gap-4 md:grid-cols-2 xl:grid-cols-4">
+            {similar.map((item, index) => (
+              <ShopCard
+                key={item.id}
+                shop={item}
+                index={index}
+                onCopy={onCopy}
+                onSimilar={onSimilar}
+                actions={
+                  <span
+                    title={`Tags ${item.similarity.tags ?? "–"} · notes ${item.similarity.text ?? "–"} · look ${item.similarity.visual ?? "–"}`}
+                    className="ml-auto font-mono text-[0.7rem] text-black/55"
+                  >
+                    {Math.round(item.similarity.score * 100)}% match
+                  </span>
+                }
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function ScreenshotFrame({ src, alt, className }) {
+  const [failed, setFailed] = useState(false);
+
+  return failed ? (
+    <div className={`grid place-items-center bg-black/[0.04] font-mono text-[0.76rem] text-black/45 ${className}`}>
+      Preview unavailable
+    </div>
+  ) : (
+    <img src={src} alt={alt} className={`object-cover object-top ${className}`} onError={() => setFailed(true)} />
+  );
+}
+
+// Dropdown-type values link back to the gallery filtered by them, like the category chips.
+function FieldValue({ field, value }) {
+  const linkClass = "underline underline-offset-3 hover:text-black";
+  const list = Array.isArray(value) ? value : [value];
+  if (value === null || value === undefined || list.length === 0) return "—";
+
+  if (field.type === "number") return value.toLocaleString();
+  if (field.type === "date") {
+    const date = new Date(value);
+    if (!Number.isFinite(date.getTime())) return value;
+    // Date-only values are midnight UTC, which is the previous day west of Greenwich.
+    return date.toLocaleDateString(undefined, { dateStyle: "medium", timeZone: value.length === 10 ? "UTC" : undefined });
+  }
+  if (field.type === "url" || field.type === "files") {
+    return list.map((item, index) => {
+      const href = typeof item === "string" ? item : item.url;
+      return (
+        <span key={href}>
+          {index ? ", " : null}
+          <a href={href} target="_blank" rel="noreferrer" className={linkClass}>
+            {item.name || new URL(href).hostname.replace(/^www\./, "")}
+          </a>
+        </span>
+      );
+    });
+  }
+
+  return list.map((item, index) => (
+    <span key={String(item)}>
+      {index ? ", " : null}
+      <a
+        href={`/?${encodeURIComponent(`${FIELD_PARAM_PREFIX}${field.key}`)}=${encodeURIComponent(String(item))}`}
+        className={linkClass}
+      >
+        {fieldValueLabel(field, String(item))}
+      </a>
+    </span>
+  ));
+}
+
+function ShopDetail({ id, onCopy, onSimilar }) {
+  const [detail, setDetail] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+
+    apiRequest(`/api/shops/${encodeURIComponent(id)}`)
+      .then((data) => {
+        if (cancelled) return;
+        setDetail(data);
+        document.title = `${data.shop.title} | Shop Haul Vault`;
+      })
+      .catch((loadError) => {
+        if (!cancelled) setError(loadError.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  const shop = detail?.shop;
+  const tech = detail?.tech;
+  const buttonClass =
+    "inline-flex h-11 items-center justify-center rounded-full border border-black/10 bg-white px-4 font-mono text-[0.76rem] font-semibold text-black transition hover:bg-black/[0.03]";
+  const chipClass = "rounded-full bg-black/[0.06] px-2.5 py-1 font-mono text-[0.67rem] text-black/72 hover:bg-black/[0.1]";
+
+  return (
+    <>
+      <div className="flex flex-wrap items-center gap-3 rounded-[1.65rem] bg-black/[0.03] p-3">
+        <a href="/" className={buttonClass}>
+          ← All shops
+        </a>
+        <h2 className="px-2 text-[1.35rem] font-[650] tracking-[-0.035em] text-foreground">{shop?.title || "Shop"}</h2>
+        {shop ? (
+          <div className="ml-auto flex items-center gap-2">
+            <a
+              href={shop.url}
+              target="_blank"
+              rel="noreferrer"
+              className="inline-flex h-11 items-center justify-center rounded-full bg-black px-4 font-mono text-[0.76rem] font-semibold text-white transition hover:bg-black/85"
+            >
+              Visit site
+            </a>
+            <button type="button" onClick={() => onCopy(shop)} className={buttonClass}>
+              Copy
+            </button>
+          </div>
+        ) : null}
+      </div>
+
+      {!shop ? (
+        <p className="mt-5 font-mono text-[0.92rem] font-semibold tracking-[-0.02em] text-black/74">
+          {error ? `Could not load shop: ${error}` : "Loading shop..."}
+        </p>
+      ) : (
+        <>
+          <div className="mt-5 grid gap-4 lg:grid-cols-[minmax(0,3fr)_minmax(220px,1fr)]">
+            <ScreenshotFrame
+              src={detail.screenshots.desktop}
+              alt={`${shop.title} desktop screenshot`}
+              className="aspect-[3308/1900] w-full rounded-[18px] border border-black/8"
+            />
+            <ScreenshotFrame
+              src={detail.screenshots.mobile}
+              alt={`${shop.title} mobile screenshot`}
+              className="aspect-[9/19] w-full max-w-[320px] rounded-[18px] border border-black/8 max-lg:mx-auto"
+            />
+          </div>
+
+          <div className="mt-6 grid gap-6 md:grid-cols-[minmax(0,2fr)_minmax(0,1fr)]">
+            <div className="space-y-4">
+              <p className="whitespace-pre-line text-[1.02rem] leading-[1.5] text-black/72">
+                {shop.notes || "No notes yet."}
+              </p>
+              <div className="flex flex-wrap gap-1.5">
+                {shop.category ? (
+                  <a href={`/?category=${encodeURIComponent(shop.category)}`} className={chipClass}>
+                    {shop.category}
+                  </a>
+                ) : null}
+                {shop.tags.map((tag) => (
+                  <a key={tag} href={`/?tag=${encodeURIComponent(tag)}`} className={chipClass}>
+                    {tag}
+                  </a>
+                ))}
+              </div>
+            </div>
+
+            <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-2 self-start rounded-[1.1rem] bg-black/[0.03] p-4 font-mono text-[0.78rem]">
+              <dt className="text-black/55">Edited</dt>
+              <dd className="text-black/82">
+                {shop.editedAt ? new Date(shop.editedAt).toLocaleDateString(undefined, { dateStyle: "medium" }) : "—"}
+              </dd>
+              <dt className="text-black/55">Platform</dt>
+              <dd className="text-black/82">{tech?.platform || (tech ? "Not detected" : "Not checked yet")}</dd>
+              <dt className="text-black/55">Tech</dt>
+              <dd className="text-black/82">{tech?.technologies?.length ? tech.technologies.join(", ") : "—"}</dd>
+              {(detail.fields || []).flatMap((field) => [
+                <dt key={`${field.key}-label`} className="text-black/55">
+                  {field.label}
+                </dt>,
+                <dd key={`${field.key}-value`} className="text-black/82">
+                  <FieldValue field={field} value={shop.extra?.[field.key]} />
+                </dd>
+              ])}
+            </dl>
+          </div>
+
+          {detail.related.length ? (
+            <>
+              <h3 className="mt-10 text-[1.25rem] font-[650] tracking-[-0.035em] text-foreground">Related shops</h3>
+              <div className="mt-4 grid grid-cols-1 gap-4 md:grid-cols-2 xl:grid-cols-4">
+                {detail.related.map((related, index) => (
+                  <ShopCard key={related.id} shop={related} index={index} onCopy={onCopy} onSimilar={onSimilar} />
+                ))}
+              </div>
+            </>
+          ) : null}
+        </>
+      )}
+    </>
+  );
+}
+
+function BoardView({ route, onBoardChange, onBoardDelete, onCopy, onSimilar }) {
+  const [board, setBoard] = useState(null);
+  const [shops, setShops] = useState([]);
+  const [error, setError] = useState("");
+  const [draftName, setDraftName] = useState(null);
+  const [shareCopied, setShareCopied] = useState("");
+  const readOnly = route.type === "shared";
+
+  useEffect(() => {
+    let cancelled = false;
+    const url = readOnly ? `/api/shared/boards/${route.token}` : `/api/boards/${route.id}`;
+
+    apiRequest(url)
+      .then((data) => {
+        if (cancelled) return;
+        setBoard(data.board);
+        setShops(data.shops || []);
+      })
+      .catch((loadError) => {
+        if (!cancelled) setError(loadError.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [route, readOnly]);
+
+  const update = (request) =>
+    request
+      .then((data) => {
+        setBoard(data.board);
+        onBoardChange(data.board);
+      })
+      .catch((updateError) => setError(updateError.message));
+
+  // Shops that have since left the database keep their place at the end of the list.
+  const moveShop = (index, offset) => {
+    const next = [...shops];
+    const [moved] = next.splice(index, 1);
+    next.splice(index + offset, 0, moved);
+    setShops(next);
+
+    const shownIds = next.map((shop) => shop.id);
+    const items = [...shownIds, ...board.items.filter((id) => !shownIds.includes(id))];
+    update(apiRequest(`/api/boards/${board.id}`, { method: "PATCH", body: { items } }));
+  };
+
+  const removeShop = (shop) => {
+    setShops((current) => current.filter((item) => item.id !== shop.id));
+    update(apiRequest(`/api/boards/${board.id}/items/${encodeURIComponent(shop.id)}`, { method: "DELETE" }));
+  };
+
+  const handleRename = (event) => {
+    event.preventDefault();
+    const name = draftName.trim();
+    setDraftName(null);
+    if (name && name !== board.name) {
+      update(apiRequest(`/api/boards/${board.id}`, { method: "PATCH", body: { name } }));
+    }
+  };
+
+  const handleCopyShareLink = async () => {
+    try {
+      await navigator.clipboard.writeText(board.shareUrl);
+      setShareCopied("copied");
+    } catch {
+      setShareCopied("failed");
+    }
+    window.setTimeout(() => setShareCopied(""), 1200);
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the board "${board.name}"?`)) return;
+    try {
+      await apiRequest(`/api/boards/${board.id}`, { method: "DELETE" });
+      onBoardDelete(board.id);
+      window.location.assign("/");
+    } catch (deleteError) {
+      setError(deleteError.message);
+    }
+  };
+
+  const buttonClass =
+    "inline-flex h-11 items-center justify-center rounded-full border border-black/10 bg-white px-4 font-mono text-[0.76rem] font-semibold text-black transition hover:bg-black/[0.03] disabled:opacity-40";
+
+  return (
+    <>
+      <div className="flex flex-wrap items-center gap-3 rounded-[1.65rem] bg-black/[0.03] p-3">
+        <a href="/" className={buttonClass}>
+          ← All shops
+        </a>
+        {draftName !== null ? (
+          <form onSubmit={handleRename} className="flex items-center gap-2">
+            <input
+              autoFocus
+              value={draftName}
+              onChange={(event) => setDraftName(event.target.value)}
+              onKeyDown={(event) => {
+                if (event.key === "Escape") setDraftName(null);
+              }}
+              maxLength={80}
+              aria-label="Board name"
+              className="h-11 rounded-full border border-black/10 bg-white px-4 font-mono text-[0.82rem] outline-none"
+            />
+            <button type="submit" className="h-11 rounded-full bg-black px-4 font-mono text-[0.76rem] text-white">
+              Save
+            </button>
+            <button type="button" onClick={() => setDraftName(null)} className="px-1 text-black/50 hover:text-black">
+              ×
+            </button>
+          </form>
+        ) : (
+          <h2 className="px-2 text-[1.35rem] font-[650] tracking-[-0.035em] text-foreground">
+            {board?.name || "Board"}
+          </h2>
+        )}
+        {board && !readOnly ? (
+          <div className="ml-auto flex flex-wrap items-center gap-2">
+            <button type="button" onClick={() => setDraftName(board.name)} className={buttonClass}>
+              Rename
+            </button>
+            {board.shareUrl ? (
+              <>
+                <button type="button" onClick={handleCopyShareLink} className={buttonClass}>
+                  {shareCopied === "copied"
+                    ? "Link copied ✓"
+                    : shareCopied === "failed"
+                      ? "Copy failed"
+                      : "Copy share link"}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => update(apiRequest(`/api/boards/${board.id}/share`, { method: "DELETE" }))}
+                  className={buttonClass}
+                >
+                  Stop sharing
+                </button>
+              </>
+            ) : (
+              <button
+                type="button"
+                onClick={() => update(apiRequest(`/api/boards/${board.id}/share`, { method: "POST" }))}
+                className={buttonClass}
+              >
+                Share read-only link
+              </button>
+            )}
+            <button type="button" onClick={handleDelete} className={buttonClass}>
+              Delete board
+            </button>
+          </div>
+        ) : null}
+      </div>
+
+      <p className="mt-5 font-mono text-[0.92rem] font-semibold tracking-[-0.02em] text-black/74">
+        {error
+          ? `Could not load board: ${error}`
+          : !board
+            ? "Loading board..."
+            : shops.length
+              ? `${shops.length} ${shops.length === 1 ? "shop" : "shops"}${readOnly ? " · shared board" : ""}`
+              : readOnly
+                ? "This board is empty."
+                : "No shops on this board yet. Use Save on any card in the gallery to add some."}
+      </p>
+
+      <div className="mt-5 grid grid-cols-1 gap-4 md:grid-cols-2 xl:grid-cols-4">
+        {shops.map((shop, index) => (
+          <ShopCard
+            key={shop.id}
+            shop={shop}
+            index={index}
+            onCopy={onCopy}
+            onSimilar={onSimilar}
+            actions={
+              readOnly ? null : (
+                <>
+                  <button
+                    type="button"
+                    onClick={() => moveShop(index, -1)}
+                    disabled={index === 0}
+                    aria-label="Move earlier"
+                    className={buttonClass}
+                  >
+                    ←
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => moveShop(index, 1)}
+                    disabled={index === shops.length - 1}
+                    aria-label="Move later"
+                    className={buttonClass}
+                  >
+                    →
+                  </button>
+                  <button type="button" onClick={() => removeShop(shop)} className={buttonClass}>
+                    Remove
+                  </button>
+                </>
+              )
+            }
+          />
+        ))}
+      </div>
+    </>
+  );
+}
+
+export default function App() {
+  const marqueeItems = [
+    "Live vault of standout Shopify stores",
+    "Design, commerce, branding, UX, motion",
+    "Curated by Shop Haul"
+  ];
+
+  const [shops, setShops] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [categories, setCategories] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [fieldDefinitions, setFieldDefinitions] = useState([]);
+  const [facets, setFacets] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState("");
+  const [signupOpen, setSignupOpen] = useState(false);
+  const [copiedUrl, setCopiedUrl] = useState("");
+  const [actionError, setActionError] = useState("");
+  const [route] = useState(readRouteFromLocation);
+  const [initialView] = useState(readViewFromLocation);
+  const [page, setPage] = useState(1);
+  const [filters, setFilters] = useState(initialView.filters);
+  const [searchQuery, setSearchQuery] = useState(initialView.filters.summary.trim());
+  const [viewLinkCopied, setViewLinkCopied] = useState("");
+  const [presetState, setPresetState] = useState(null);
+  const [viewReady, setViewReady] = useState(initialView.fromUrl && !route);
+  const [boards, setBoards] = useState(null);
+  const [similarTo, setSimilarTo] = useState(null);
+  const [viewer, setViewer] = useState(null);
+  const [editorMode, setEditorMode] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [addingShop, setAddingShop] = useState(false);
+  const hasLoadedRef = useRef(false);
+  const requestIdRef = useRef(0);
+  const restorePagesRef = useRef(initialView.page);
+  const historyModeRef = useRef("replace");
+  const lastHistoryKeyRef = useRef("");
+  const presetSaveTimerRef = useRef(0);
+  const presetVersionRef = useRef(0);
+  const savedPresetsRef = useRef(null);
+  const actionErrorTimerRef = useRef(0);
+
+  const activeQuery = useMemo(
+    () => ({
+      categories: filters.categories,
+      tags: filters.tags,
+      tagMode: filters.tagMode,
+      fields: filters.fields,
+      summary: searchQuery,
+      sort: filters.sort
+    }),
+    [filters.categories, filters.tags, filters.tagMode, filters.fields, filters.sort, searchQuery]
+  );
+
+  useEffect(() => {
+    const timer = window.setTimeout(() => setSearchQuery(filters.summary.trim()), 200);
+    return () => window.clearTimeout(timer);
+  }, [filters.summary]);
+
+  // "Relevance" only means something while there is a search query.
+  useEffect(() => {
+    if (!searchQuery && filters.sort === "relevance") {
+      setFilters((state) => ({ ...state, sort: "recent" }));
+    }
+  }, [searchQuery, filters.sort]);
+
+  // A default preset only applies when the URL doesn't already describe a view.
+  // Board pages load their own shops, so the gallery never becomes ready there.
+  useEffect(() => {
+    if (route) return undefined;
+    let cancelled = false;
+
+    loadPresets().then((loaded) => {
+      if (cancelled) return;
+      savedPresetsRef.current = loaded;
+      setPresetState(loaded);
+
+      const defaultPreset = loaded.presets.find((preset) => preset.id === loaded.defaultId);
+      if (!initialView.fromUrl && defaultPreset) {
+        setFilters({ ...DEFAULT_FILTERS, ...defaultPreset.filters });
+        setSearchQuery((defaultPreset.filters.summary || "").trim());
+      }
+      setViewReady(true);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [initialView, route]);
+
+  useEffect(() => {
+    if (route?.type === "shared") return undefined;
+    let cancelled = false;
+
+    loadBoards().then((loaded) => {
+      if (!cancelled) setBoards(loaded);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [route]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    apiRequest("/auth/me")
+      .then((data) => {
+        if (!cancelled) setViewer(data.user);
+      })
+      .catch(() => {});
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!viewReady) return undefined;
+
+    let cancelled = false;
+    const requestId = ++requestIdRef.current;
+    // A restored ?page=N loads the first N pages in one request.
+    const pages = restorePagesRef.current;
+    restorePagesRef.current = 1;
+
+    async function load() {
+      try {
+        setLoading(true);
+        setError("");
+        const data = await fetchShopsPage(activeQuery, 1, PAGE_SIZE * pages);
+        if (!data || cancelled) return;
+
+        setShops(data.shops || []);
+        setTotal(data.total || 0);
+        setPage(pages);
+        setCategories(data.categories || []);
+        setTags(data.tags || []);
+        setFieldDefinitions(data.fields || []);
+        setFacets(data.facets || null);
+
+        if (!hasLoadedRef.current) {
+          await Promise.all(
+            (data.shops || []).map((shop) =>
+              preloadImageWithFallback(
+                { src: shop.screenshot, srcSet: screenshotSrcSet(shop.screenshot) },
+                shop.screenshot
+              )
+            )
+          );
+        }
+
+        if (!cancelled && requestId === requestIdRef.current) {
+          hasLoadedRef.current = true;
+          setLoading(false);
+        }
+      } catch (loadError) {
+        if (!cancelled) {
+          setError(loadError instanceof Error ? loadError.message : String(loadError));
+          setLoading(false);
+        }
+      }
+    }
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [activeQuery, viewReady]);
+
+  // Filter and sort changes get their own history entry; typing a search or loading more
+  // pages only updates the current one.
+  useEffect(() => {
+    if (!viewReady) return;
+
+    const search = buildViewQuery(activeQuery, page);
+    const historyKey = buildViewQuery({ ...activeQuery, summary: "" }, 1);
+    const nextUrl = `${window.location.pathname}${search ? `?${search}` : ""}${window.location.hash}`;
+    const replace = historyModeRef.current === "replace" || historyKey === lastHistoryKeyRef.current;
+
+    historyModeRef.current = "push";
+    lastHistoryKeyRef.current = historyKey;
+    if (`?${search}` === window.location.search || (!search && !window.location.search)) return;
+
+    if (replace) window.history.replaceState(null, "", nextUrl);
+    else window.history.pushState(null, "", nextUrl);
+  }, [activeQuery, page, viewReady]);
+
+  useEffect(() => {
+    const handlePopState = () => {
+      const view = readViewFromLocation();
+      historyModeRef.current = "replace";
+      restorePagesRef.current = view.page;
+      setFilters(view.filters);
+      setSearchQuery(view.filters.summary.trim());
+    };
+
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, []);
+
+  useEffect(() => {
+    if (!similarTo) return undefined;
+    const handleKey = (event) => {
+      if (event.key === "Escape") setSimilarTo(null);
+    };
+    window.addEventListener("keydown", handleKey);
+    document.body.style.overflow = "hidden";
+    return () => {
+      window.removeEventListener("keydown", handleKey);
+      document.body.style.overflow = "";
+    };
+  }, [similarTo]);
+
+  useEffect(() => {
+    if (!signupOpen) return undefined;
+    const handleKey = (event) => {
+      if (event.key === "Escape") setSignupOpen(false);
+    };
+    window.addEventListener("keydown", handleKey);
+    document.body.style.overflow = "hidden";
+    return () => {
+      window.removeEventListener("keydown", handleKey);
+      document.body.style.overflow = "";
+    };
+  }, [signupOpen]);
+
+  const canEdit = viewer?.role === "editor" || viewer?.role === "admin";
+  const visibleCount = shops.length;
+  const hasMore = visibleCount < total;
+  const activeFilterCount =
+    filters.categories.length +
+    filters.tags.length +
+    Object.keys(filters.fields || {}).length +
+    Number(Boolean(filters.summary.trim()));
+  const initialLoading = loading && !error && !hasLoadedRef.current;
+
+  const statusText = error
+    ? `Could not load data: ${error}`
+    : total
+      ? `Showing ${visibleCount} of ${total} shops`
+      : loading
+        ? "Loading shops..."
+        : "No shops match your current filters.";
+
+  const handleCopy = async (shop) => {
+    try {
+      await navigator.clipboard.writeText(shop.url);
+      setCopiedUrl(shop.url);
+      window.setTimeout(() => {
+        setCopiedUrl((value) => (value === shop.url ? "" : value));
+      }, 1200);
+    } catch {
+      setCopiedUrl("__failed__");
+      window.setTimeout(() => setCopiedUrl(""), 1200);
+    }
+  };
+
+  const showActionError = (message) => {
+    setActionError(message);
+    window.clearTimeout(actionErrorTimerRef.current);
+    actionErrorTimerRef.current = window.setTimeout(() => setActionError(""), 4000);
+  };
+
+  // Renaming saves on every keystroke, so writes are debounced. A failed save goes back to
+  // the last saved list, unless a newer change is already on its way.
+  const handlePresetsChange = (next) => {
+    const nextState = { ...presetState, ...next };
+    const version = ++presetVersionRef.current;
+    setPresetState(nextState);
+    window.clearTimeout(presetSaveTimerRef.current);
+    presetSaveTimerRef.current = window.setTimeout(() => {
+      savePresets(nextState)
+        .then(() => {
+          savedPresetsRef.current = nextState;
+        })
+        .catch((saveError) => {
+          if (version === presetVersionRef.current) setPresetState(savedPresetsRef.current);
+          showActionError(`Could not save presets: ${saveError.message}`);
+        });
+    }, 400);
+  };
+
+  const applyPreset = (preset) => {
+    setFilters({ ...DEFAULT_FILTERS, ...preset.filters });
+    setSearchQuery((preset.filters.summary || "").trim());
+  };
+
+  const replaceBoard = (next) =>
+    setBoards((current) => current?.map((board) => (board.id === next.id ? next : board)) || current);
+
+  // The board flips straight away and goes back to how it was if the request fails.
+  const handleToggleBoard = async (board, shop) => {
+    const saved = board.items.includes(shop.id);
+    replaceBoard({
+      ...board,
+      items: saved ? board.items.filter((item) => item !== shop.id) : [...board.items, shop.id]
+    });
+
+    try {
+      const data = saved
+        ? await apiRequest(`/api/boards/${board.id}/items/${encodeURIComponent(shop.id)}`, { method: "DELETE" })
+        : await apiRequest(`/api/boards/${board.id}/items`, { method: "POST", body: { shopId: shop.id } });
+      replaceBoard(data.board);
+    } catch (boardError) {
+      replaceBoard(board);
+      showActionError(`Could not update "${board.name}": ${boardError.message}`);
+    }
+  };
+
+  const handleCreateBoard = async (name, shop) => {
+    try {
+      const data = await apiRequest("/api/boards", { method: "POST", body: { name, items: [shop.id] } });
+      setBoards((current) => [...(current || []), data.board]);
+    } catch (boardError) {
+      showActionError(`Could not create the board: ${boardError.message}`);
+    }
+  };
+
+  // Writes go to Notion through the admin API; the gallery updates from the response
+  // instead of waiting for the next sync.
+  const rememberFacets = (shop) => {
+    const merge = (list, values) => Array.from(new Set([...list, ...values])).sort((a, b) => a.localeCompare(b));
+    setCategories((current) => merge(current, shop.category ? [shop.category] : []));
+    setTags((current) => merge(current, shop.tags));
+  };
+
+  const handleUpdateShop = async (shop, fields) => {
+    const data = await apiRequest(`/api/admin/shops/${encodeURIComponent(shop.id)}`, { method: "PATCH", body: fields });
+    setShops((current) => current.map((item) => (item.id === shop.id ? data.shop : item)));
+    rememberFacets(data.shop);
+    setEditingId(null);
+  };
+
+  const showNewShop = (shop) => {
+    setShops((current) => [shop, ...current]);
+    setTotal((current) => current + 1);
+    rememberFacets(shop);
+  };
+
+  const handleAddShop = async (fields) => {
+    const data = await apiRequest("/api/admin/shops", { method: "POST", body: fields });
+    showNewShop(data.shop);
+    setAddingShop(false);
+  };
+
+  const handleArchiveShop = async (shop) => {
+    await apiRequest(`/api/admin/shops/${encodeURIComponent(shop.id)}`, { method: "DELETE" });
+    setShops((current) => current.filter((item) => item.id !== shop.id));
+    setTotal((current) => Math.max(0, current - 1));
+    setEditingId(null);
+  };
+
+  const handleCopyViewLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setViewLinkCopied("copied");
+    } catch {
+      setViewLinkCopied("failed");
+    }
+    window.setTimeout(() => setViewLinkCopied(""), 1200);
+  };
+
+  const handleLoadMore = async () => {
+    if (!hasMore || loadingMore) return;
+    const requestId = requestIdRef.current;
+    setLoadingMore(true);
+
+    try {
+      const data = await fetchShopsPage(activeQuery, page + 1);
+      if (!data || requestId !== requestIdRef.current) return;
+      setShops((current) => [...current, ...(data.shops || [])]);
+      setTotal(data.total || 0);
+      setPage(data.page);
+    } catch (loadError) {
+      setError(loadError instanceof Error ? loadError.message : String(loadError));
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  return (
+    <div className="flex min-h-screen flex-col">
       <header className="sticky top-0 z-40 border-b border-black/10 bg-black text-white">
         <div className="vault-marquee">
           <div className="vault-marquee-track" aria-label="Shop Haul highlights">
@@ -891,119 +2330,275 @@ export default function App() {
 
           <section className="flex flex-1 flex-col bg-[#ffffff] px-4 py-5 sm:px-5 lg:px-6">
             <div className="mx-auto flex w-full max-w-[1760px] flex-1 flex-col">
-              <div className="flex flex-wrap items-center gap-3 rounded-[1.65rem] bg-black/[0.03] p-3">
-                <CategoryMultiSelect
-                  options={categories}
-                  values={filters.categories}
-                  onChange={(nextCategories) => setFilters((state) => ({ ...state, categories: nextCategories }))}
+              {route?.type === "shop" ? (
+                <ShopDetail key={route.id} id={route.id} onCopy={handleCopy} onSimilar={setSimilarTo} />
+              ) : route ? (
+                <BoardView
+                  route={route}
+                  onBoardChange={replaceBoard}
+                  onBoardDelete={(id) => setBoards((current) => current?.filter((board) => board.id !== id) || current)}
+                  onCopy={handleCopy}
+                  onSimilar={setSimilarTo}
                 />
-
-                <TagMultiSelect
-                  options={tags}
-                  values={filters.tags}
-                  onChange={(nextTags) => setFilters((state) => ({ ...state, tags: nextTags }))}
-                />
-
-                <label className="min-w-[320px] flex-[1.8] basis-[420px]">
-                  <input
-                    type="search"
-                    value={filters.summary}
-                    onChange={(event) => setFilters((state) => ({ ...state, summary: event.target.value }))}
-                    placeholder="Search description / notes / summary ..."
-                    className="h-[52px] w-full rounded-[1.1rem] border border-black/8 bg-white px-4 font-mono text-[0.82rem] outline-none placeholder:text-black/42"
-                  />
-                </label>
-
-                <label className="min-w-[170px] flex-1 basis-[170px]">
-                  <select
-                    value={filters.sort}
-                    onChange={(event) => setFilters((state) => ({ ...state, sort: event.target.value }))}
-                    className="h-[52px] w-full appearance-none rounded-[1.1rem] border border-black/8 bg-white px-4 font-mono text-[0.82rem] shadow-[0_1px_0_rgba(0,0,0,0.04)] outline-none"
-                  >
-                    <option value="recent">Recently edited</option>
-                    <option value="oldest">Oldest edited</option>
-                    <option value="az">Title A-Z</option>
-                    <option value="za">Title Z-A</option>
-                  </select>
-                </label>
-
-                <div className="ml-auto flex items-center gap-3 max-sm:w-full max-sm:justify-between">
-                  <span className="vault-dot-pulse inline-flex h-12 min-w-12 items-center justify-center rounded-full bg-primary px-4 font-mono text-[0.82rem] font-semibold text-black">
-                    {activeFilterCount}
-                  </span>
-                  <button
-                    type="button"
-                    onClick={() => setFilters({ categories: [], tags: [], summary: "", sort: "recent" })}
-                    className="inline-flex h-[52px] items-center justify-center rounded-full border border-black/8 bg-white px-6 font-mono text-[0.82rem] font-semibold text-black transition hover:bg-black/[0.03]"
-                  >
-                    Reset filters ↺
-                  </button>
-                </div>
-              </div>
-
-              {initialLoading ? (
-                <div className="vault-loading-layout">
-                  <div className="vault-loading-stack">
-                    <AnalyzingImage className="h-16 w-16 sm:h-20 sm:w-20" />
-                    <p className="vault-loading-label">Fetching Shops</p>
-                  </div>
-                </div>
               ) : (
                 <>
-                  <div className="mt-5 flex flex-wrap items-end justify-between gap-4">
-                    <div>
-                      <p className="font-mono text-[0.92rem] font-semibold tracking-[-0.02em] text-black/74">{statusText}</p>
-                      {loading && !error ? (
-                        <div className="mt-2 inline-flex items-center gap-2 font-mono text-[0.76rem] text-black/56">
-                          <span>Loading shops</span>
-                          <span className="inline-block h-3.5 w-3.5 rounded-full border-2 border-black/18 border-t-black/60 animate-spin" />
-                        </div>
-                      ) : null}
-                    </div>
-                    <p className="text-right text-[0.84rem] text-black/56">
-                      Screenshots by{" "}
-                      <a
-                        href="https://www.onemillionscreenshots.com/"
-                        target="_blank"
-                        rel="noreferrer"
-                        className="text-black underline underline-offset-4"
-                      >
-                        One Million Screenshots
-                      </a>
-                    </p>
-                  </div>
+                  {presetState ? (
+                    <PresetChips
+                      presets={presetState.presets}
+                      defaultId={presetState.defaultId}
+                      filters={filters}
+                      onApply={applyPreset}
+                      onChange={handlePresetsChange}
+                    />
+                  ) : null}
 
-                  <div className="mt-5 grid grid-cols-1 gap-4 md:grid-cols-2 xl:grid-cols-4">
-                    {visibleShops.map((shop, index) => (
-                      <ShopCard key={shop.id} shop={shop} index={index} onCopy={handleCopy} />
-                    ))}
-                  </div>
+                  {boards?.length ? (
+                    <nav className="mb-3 flex flex-wrap items-center gap-2" aria-label="Your boards">
+                      <span className="font-mono text-[0.72rem] text-black/55">Boards</span>
+                      {boards.map((board) => (
+                        <a
+                          key={board.id}
+                          href={`/boards/${board.id}`}
+                          className="inline-flex h-9 items-center gap-2 rounded-full border border-black/10 bg-white px-4 font-mono text-[0.74rem] font-semibold text-black transition hover:bg-black/[0.03]"
+                        >
+                          {board.name}
+                          <span className="text-black/45">{board.items.length}</span>
+                        </a>
+                      ))}
+                    </nav>
+                  ) : null}
 
-                  {hasMore ? (
-                    <div className="mt-8 flex justify-center">
+                  <div className="flex flex-wrap items-center gap-3 rounded-[1.65rem] bg-black/[0.03] p-3">
+                    <CategoryMultiSelect
+                      options={categories}
+                      values={filters.categories}
+                      counts={facets?.categories}
+                      onChange={(nextCategories) => setFilters((state) => ({ ...state, categories: nextCategories }))}
+                    />
+
+                    <TagMultiSelect
+                      options={tags}
+                      values={filters.tags}
+                      counts={facets?.tags}
+                      mode={filters.tagMode}
+                      onChange={(nextTags) => setFilters((state) => ({ ...state, tags: nextTags }))}
+                      onModeChange={(tagMode) => setFilters((state) => ({ ...state, tagMode }))}
+                    />
+
+                    {fieldDefinitions
+                      .filter((field) => field.values?.length)
+                      .map((field) => (
+                        <FieldSelect
+                          key={field.key}
+                          field={field}
+                          value={filters.fields?.[field.key]?.[0] || ""}
+                          counts={facets?.fields?.[field.key]}
+                          onChange={(value) =>
+                            setFilters((state) => {
+                              const fields = { ...state.fields };
+                              if (value) fields[field.key] = [value];
+                              else delete fields[field.key];
+                              return { ...state, fields };
+                            })
+                          }
+                        />
+                      ))}
+
+                    <label className="min-w-[320px] flex-[1.8] basis-[420px]">
+                      <input
+                        type="search"
+                        value={filters.summary}
+                        onChange={(event) => setFilters((state) => ({ ...state, summary: event.target.value }))}
+                        placeholder="Search titles, tags, notes ..."
+                        className="h-[52px] w-full rounded-[1.1rem] border border-black/8 bg-white px-4 font-mono text-[0.82rem] outline-none placeholder:text-black/42"
+                      />
+                    </label>
+
+                    <label className="min-w-[170px] flex-1 basis-[170px]">
+                      <select
+                        value={filters.sort}
+                        onChange={(event) => setFilters((state) => ({ ...state, sort: event.target.value }))}
+                        className="h-[52px] w-full appearance-none rounded-[1.1rem] border border-black/8 bg-white px-4 font-mono text-[0.82rem] shadow-[0_1px_0_rgba(0,0,0,0.04)] outline-none"
+                      >
+                        {filters.summary.trim() ? <option value="relevance">Relevance</option> : null}
+                        <option value="recent">Recently edited</option>
+                        <option value="oldest">Oldest edited</option>
+                        <option value="az">Title A-Z</option>
+                        <option value="za">Title Z-A</option>
+                      </select>
+                    </label>
+
+                    <div className="ml-auto flex items-center gap-3 max-sm:w-full max-sm:justify-between">
+                      <span className="vault-dot-pulse inline-flex h-12 min-w-12 items-center justify-center rounded-full bg-primary px-4 font-mono text-[0.82rem] font-semibold text-black">
+                        {activeFilterCount}
+                      </span>
                       <button
                         type="button"
-                        onClick={handleLoadMore}
-                        disabled={loadingMore}
-                        className="inline-flex h-12 items-center justify-center rounded-full border border-black/10 bg-white px-6 font-mono text-[0.82rem] font-semibold text-black transition hover:bg-black/[0.03] disabled:cursor-wait disabled:opacity-70"
+                        onClick={handleCopyViewLink}
+                        className="inline-flex h-[52px] items-center justify-center rounded-full border border-black/8 bg-white px-6 font-mono text-[0.82rem] font-semibold text-black transition hover:bg-black/[0.03]"
                       >
-                        {loadingMore ? (
-                          <span className="inline-flex items-center gap-2">
-                            <span>Loading more</span>
-                            <span className="inline-block h-3.5 w-3.5 rounded-full border-2 border-black/18 border-t-black/60 animate-spin" />
-                          </span>
-                        ) : (
-                          "Load more"
-                        )}
+                        {viewLinkCopied === "copied"
+                          ? "Link copied ✓"
+                          : viewLinkCopied === "failed"
+                            ? "Copy failed"
+                            : "Copy link to this view"}
+                      </button>
+                      {canEdit ? (
+                        <button
+                          type="button"
+                          onClick={() => {
+                            setEditorMode((current) => !current);
+                            setEditingId(null);
+                            setAddingShop(false);
+                          }}
+                          aria-pressed={editorMode}
+                          className={`inline-flex h-[52px] items-center justify-center rounded-full border px-6 font-mono text-[0.82rem] font-semibold transition ${
+                            editorMode ? "border-black bg-black text-white" : "border-black/8 bg-white text-black hover:bg-black/[0.03]"
+                          }`}
+                        >
+                          {editorMode ? "Done editing" : "Edit shops"}
+                        </button>
+                      ) : null}
+                      <button
+                        type="button"
+                        onClick={() => setFilters(DEFAULT_FILTERS)}
+                        className="inline-flex h-[52px] items-center justify-center rounded-full border border-black/8 bg-white px-6 font-mono text-[0.82rem] font-semibold text-black transition hover:bg-black/[0.03]"
+                      >
+                        Reset filters ↺
                       </button>
                     </div>
-                  ) : null}
+                  </div>
+
+                  {initialLoading ? (
+                    <div className="vault-loading-layout">
+                      <div className="vault-loading-stack">
+                        <AnalyzingImage className="h-16 w-16 sm:h-20 sm:w-20" />
+                        <p className="vault-loading-label">Fetching Shops</p>
+                      </div>
+                    </div>
+                  ) : (
+                    <>
+                      <div className="mt-5 flex flex-wrap items-end justify-between gap-4">
+                        <div>
+                          <p className="font-mono text-[0.92rem] font-semibold tracking-[-0.02em] text-black/74">{statusText}</p>
+                          {loading && !error ? (
+                            <div className="mt-2 inline-flex items-center gap-2 font-mono text-[0.76rem] text-black/56">
+                              <span>Loading shops</span>
+                              <span className="inline-block h-3.5 w-3.5 rounded-full border-2 border-black/18 border-t-black/60 animate-spin" />
+                            </div>
+                          ) : null}
+                        </div>
+                        <p className="text-right text-[0.84rem] text-black/56">
+                          Screenshots by{" "}
+                          <a
+                            href="https://www.onemillionscreenshots.com/"
+                            target="_blank"
+                            rel="noreferrer"
+                            className="text-black underline underline-offset-4"
+                          >
+                            One Million Screenshots
+                          </a>
+                        </p>
+                      </div>
+
+                      {editorMode ? (
+                        <SubmissionQueue
+                          categories={categories}
+                          tags={tags}
+                          onApproved={showNewShop}
+                        />
+                      ) : null}
+
+                      <div className="mt-5 grid grid-cols-1 gap-4 md:grid-cols-2 xl:grid-cols-4">
+                        {editorMode ? (
+                          addingShop ? (
+                            <ShopEditor
+                              categories={categories}
+                              tags={tags}
+                              onSave={handleAddShop}
+                              onCancel={() => setAddingShop(false)}
+                            />
+                          ) : (
+                            <button
+                              type="button"
+                              onClick={() => setAddingShop(true)}
+                              className="grid min-h-64 place-items-center rounded-[18px] border border-dashed border-black/25 bg-white font-mono text-[0.82rem] font-semibold text-black/70 transition hover:bg-black/[0.03]"
+                            >
+                              + Add shop by URL
+                            </button>
+                          )
+                        ) : null}
+                        {shops.map((shop, index) =>
+                          editorMode && editingId === shop.id ? (
+                            <ShopEditor
+                              key={shop.id}
+                              shop={shop}
+                              categories={categories}
+                              tags={tags}
+                              onSave={(fields) => handleUpdateShop(shop, fields)}
+                              onArchive={handleArchiveShop}
+                              onCancel={() => setEditingId(null)}
+                            />
+                          ) : (
+                            <ShopCard
+                              key={shop.id}
+                              shop={shop}
+                              index={index}
+                              onCopy={handleCopy}
+                              onSimilar={setSimilarTo}
+                              actions={
+                                editorMode ? (
+                                  <button
+                                    type="button"
+                                    onClick={() => setEditingId(shop.id)}
+                                    className="inline-flex h-11 items-center justify-center rounded-full border border-black bg-primary px-4 font-mono text-[0.76rem] font-semibold text-black transition hover:brightness-95"
+                                  >
+                                    Edit
+                                  </button>
+                                ) : boards ? (
+                                  <BoardPicker
+                                    shop={shop}
+                                    boards={boards}
+                                    onToggle={handleToggleBoard}
+                                    onCreate={handleCreateBoard}
+                                  />
+                                ) : null
+                              }
+                            />
+                          )
+                        )}
+                      </div>
+
+                      {hasMore ? (
+                        <div className="mt-8 flex justify-center">
+                          <button
+                            type="button"
+                            onClick={handleLoadMore}
+                            disabled={loadingMore}
+                            className="inline-flex h-12 items-center justify-center rounded-full border border-black/10 bg-white px-6 font-mono text-[0.82rem] font-semibold text-black transition hover:bg-black/[0.03] disabled:cursor-wait disabled:opacity-70"
+                          >
+                            {loadingMore ? (
+                              <span className="inline-flex items-center gap-2">
+                                <span>Loading more</span>
+                                <span className="inline-block h-3.5 w-3.5 rounded-full border-2 border-black/18 border-t-black/60 animate-spin" />
+                              </span>
+                            ) : (
+                              "Load more"
+                            )}
+                          </button>
+                        </div>
+                      ) : null}
+                    </>
+                  )}
                 </>
               )}
 
-              {copiedUrl ? (
-                <div className="pointer-events-none fixed bottom-6 left-1/2 z-50 -translate-x-1/2 rounded-full bg-black px-4 py-2 font-mono text-[0.76rem] text-white shadow-lg">
-                  {copiedUrl === "__failed__" ? "Copy failed" : "Link copied"}
+              {actionError || copiedUrl ? (
+                <div
+                  role={actionError ? "alert" : "status"}
+                  className="pointer-events-none fixed bottom-6 left-1/2 z-[1300] -translate-x-1/2 rounded-full bg-black px-4 py-2 font-mono text-[0.76rem] text-white shadow-lg"
+                >
+                  {actionError || (copiedUrl === "__failed__" ? "Copy failed" : "Link copied")}
                 </div>
               ) : null}
             </div>
@@ -1036,6 +2631,11 @@ export default function App() {
               <nav className="md:min-w-[300px] md:pt-3">
                 <p className="text-[1.45rem] font-[550] tracking-[-0.03em] text-white">Projects</p>
                 <ul className="mt-5 space-y-1.5">
+                  <li>
+                    <a href="/submit" className="text-[1rem] leading-[1.45] text-white/84 transition hover:text-white">
+                      Suggest a shop
+                    </a>
+                  </li>
                   <li>
                     <a
                       href="https://outfitcheck.shop-haul.com/"
@@ -1073,6 +2673,15 @@ export default function App() {
         </div>
       </main>
 
+      {similarTo ? (
+        <SimilarShopsDialog
+          shop={similarTo}
+          onClose={() => setSimilarTo(null)}
+          onCopy={handleCopy}
+          onSimilar={setSimilarTo}
+        />
+      ) : null}
+
       {signupOpen ? (
         <div className="fixed inset-0 z-[1200] grid place-items-center">
           <button
@@ -2,6 +2,7 @@ import "dotenv/config";
 import fs from "node:fs/promises";
 import path from "node:path";
 import { Client } from "@notionhq/client";
+import { getDataSourceName } from "../src/data-source.js";
 
 const REPORT_PATH = path.resolve("reports/tag-suggestions.json");
 const DEFAULT_THRESHOLD = Number(process.env.TAG_SUGGESTION_MIN_CONFIDENCE || 4);
@@ -45,6 +46,9 @@ async function main() {
   const notionApiKey = process.env.NOTION_API_KEY;
   const tagsPropName = process.env.NOTION_TAGS_PROP || "Tags/Categories";
 
+  if (getDataSourceName() !== "notion") {
+    throw new Error("Tag suggestions are written back to Notion and require SHOPS_DATA_SOURCE=notion.");
+  }
   if (!notionApiKey) throw new Error("NOTION_API_KEY is missing.");
 
   const notion = new Client({ auth: notionApiKey });
@@ -0,0 +1,107 @@
+import "dotenv/config";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { checkShopsSchema } from "../src/data-source.js";
+import { propertyMap } from "../src/property-map.js";
+
+const OUTPUT_JSON = path.resolve("reports/schema-check.json");
+const OUTPUT_MD = path.resolve("reports/schema-check.md");
+
+const matchLabels = { exact: "exact name", alias: "preferred alias", type: "type fallback" };
+
+function parseArgs(argv) {
+  const args = { rows: true };
+
+  for (const token of argv) {
+    if (token === "--no-rows") args.rows = false;
+  }
+
+  return args;
+}
+
+const allChecks = (report) => [
+  ...report.mappings,
+  ...report.extra.map((field) => ({ ...field, key: `extra.${field.key}` }))
+];
+
+const describeMatch = (check) =>
+  check.property ? `"${check.property}" (${check.type}, ${matchLabels[check.match]})` : "not mapped";
+
+function toMarkdownReport(report) {
+  const lines = [];
+  lines.push("# Notion Schema Check");
+  lines.push("");
+  lines.push(`Generated: ${report.checkedAt}`);
+  lines.push(`Database: ${report.databaseTitle || report.databaseId}`);
+  lines.push("");
+  lines.push(`- Errors: ${report.errors}`);
+  lines.push(`- Warnings: ${report.warnings}`);
+  if (report.rows) {
+    lines.push(`- Rows checked: ${report.rows.checked}`);
+    lines.push(`- Rows with unreadable values: ${report.rows.unreadable}`);
+    lines.push(`- Rows without a URL (hidden): ${report.rows.withoutUrl}`);
+  }
+  lines.push("");
+
+  lines.push("## Mappings");
+  lines.push("");
+  for (const check of allChecks(report)) {
+    const configured = check.configured ? ` (configured: "${check.configured}")` : "";
+    lines.push(`- [${check.status}] ${check.key}${configured} -> ${describeMatch(check)}`);
+    check.issues.forEach((issue) => lines.push(`  - ${issue}`));
+  }
+  lines.push("");
+
+  const unused = report.properties.filter((property) => property.usedFor.length === 0);
+  if (unused.length) {
+    lines.push("## Unmapped properties");
+    lines.push("");
+    unused.forEach((property) => lines.push(`- ${property.name} (${property.type})`));
+    lines.push("");
+  }
+
+  if (report.rows?.samples.length) {
+    lines.push("## Rows");
+    lines.push("");
+    report.rows.samples.forEach((row, index) => {
+      lines.push(`${index + 1}. ${row.title} (${row.notionUrl || row.id})`);
+      if (row.missingUrl) lines.push("- No URL; the shop is not shown");
+      row.issues.forEach((issue) => {
+        lines.push(`- ${issue.key} from "${issue.property}" can't be read: ${issue.value}`);
+      });
+      lines.push("");
+    });
+  }
+
+  return lines.join("\n");
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const report = await checkShopsSchema({ propertyMap }, { rows: args.rows });
+
+  for (const check of allChecks(report)) {
+    console.log(`[${check.status}] ${check.key} -> ${describeMatch(check)}`);
+    check.issues.forEach((issue) => console.log(`  ${issue}`));
+  }
+  if (report.rows) {
+    const { checked, unreadable, withoutUrl } = report.rows;
+    console.log(`Checked ${checked} rows: ${unreadable} with unreadable values, ${withoutUrl} without a URL.`);
+  }
+
+  await fs.mkdir(path.dirname(OUTPUT_JSON), { recursive: true });
+  await Promise.all([
+    fs.writeFile(OUTPUT_JSON, JSON.stringify(report, null, 2), "utf8"),
+    fs.writeFile(OUTPUT_MD, toMarkdownReport(report), "utf8")
+  ]);
+  console.log(`Wrote ${OUTPUT_JSON}`);
+  console.log(`Wrote ${OUTPUT_MD}`);
+
+  // A non-zero exit lets CI or a deploy step stop on a broken mapping.
+  if (report.errors > 0) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
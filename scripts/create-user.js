@@ -0,0 +1,40 @@
+import "dotenv/config";
+import { createUser, findUserByUsername, roles, updateUser } from "../src/users.js";
+
+function parseArgs(argv) {
+  const args = { username: "", password: process.env.NEW_USER_PASSWORD || "", role: "", reset: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    const token = argv[i];
+    if (token === "--username") args.username = String(argv[i + 1] || "");
+    if (token === "--password") args.password = String(argv[i + 1] || "");
+    if (token === "--role") args.role = String(argv[i + 1] || "");
+    if (token === "--reset") args.reset = true;
+  }
+  return args;
+}
+
+async function main() {
+  const { username, password, role, reset } = parseArgs(process.argv.slice(2));
+
+  if (!username || !password) {
+    throw new Error(
+      `Usage: npm run users:create -- --username <name> --password <password> [--role ${roles.join("|")}] [--reset]`
+    );
+  }
+
+  const existing = await findUserByUsername(username);
+  if (existing && reset) {
+    // Without --role a reset keeps the account's current role.
+    const user = await updateUser(existing.id, { password, ...(role ? { role } : {}) });
+    console.log(`[updated] ${user.username} (${user.role})`);
+    return;
+  }
+
+  const user = await createUser({ username, password, role: role || "viewer" });
+  console.log(`[created] ${user.username} (${user.role})`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,200 @@
+import "dotenv/config";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fetchShops, getDataSourceName } from "../src/data-source.js";
+import { findDuplicateClusters, mergeDuplicateShops } from "../src/duplicates.js";
+import { propertyMap } from "../src/property-map.js";
+import { getScreenshotFeatures } from "../src/screenshot-features.js";
+import { detectSiteTech } from "../src/site-tech.js";
+
+const OUTPUT_JSON = path.resolve("reports/duplicate-shops.json");
+const OUTPUT_MD = path.resolve("reports/duplicate-shops.md");
+const DEFAULT_CONCURRENCY = Number(process.env.DUPLICATES_CONCURRENCY || 6);
+
+function parseArgs(argv) {
+  const args = {
+    apply: false,
+    redirects: true,
+    screenshots: true,
+    limit: Infinity,
+    concurrency: DEFAULT_CONCURRENCY
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const token = argv[i];
+    if (token === "--apply") args.apply = true;
+    if (token === "--no-redirects") args.redirects = false;
+    if (token === "--no-screenshots") args.screenshots = false;
+    if (token === "--limit") args.limit = Number(argv[i + 1] || Infinity);
+    if (token === "--concurrency") args.concurrency = Number(argv[i + 1] || DEFAULT_CONCURRENCY);
+  }
+
+  if (!Number.isFinite(args.limit) || args.limit < 1) args.limit = Infinity;
+  if (!Number.isFinite(args.concurrency) || args.concurrency < 1) args.concurrency = DEFAULT_CONCURRENCY;
+  args.concurrency = Math.min(20, Math.floor(args.concurrency));
+
+  return args;
+}
+
+function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let idx = 0;
+
+  async function worker() {
+    while (idx < items.length) {
+      const i = idx++;
+      out[i] = await fn(items[i], i);
+    }
+  }
+
+  return Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker)).then(() => out);
+}
+
+function toMarkdownReport(summary) {
+  const lines = [];
+  lines.push("# Duplicate Shops");
+  lines.push("");
+  lines.push(`Generated: ${summary.generatedAt}`);
+  lines.push(`Mode: ${summary.mode}`);
+  lines.push("");
+  lines.push(`- Shops: ${summary.shops}`);
+  lines.push(`- Clusters: ${summary.clusters.length}`);
+  lines.push(`- Redirects checked: ${summary.redirectsChecked}`);
+  lines.push(`- Screenshots compared: ${summary.screenshotsCompared}`);
+  if (summary.mode === "apply") {
+    lines.push(`- Merged: ${summary.merged}`);
+    lines.push(`- Archived: ${summary.archived}`);
+    lines.push(`- Errors: ${summary.errors.length}`);
+  }
+  lines.push("");
+
+  if (summary.clusters.length) {
+    lines.push("## Clusters");
+    lines.push("");
+    summary.clusters.forEach((cluster, index) => {
+      const titles = cluster.shops.map((shop) => shop.title).join(" / ");
+      lines.push(`${index + 1}. ${titles} (${cluster.reasons.join(", ")})`);
+      cluster.shops.forEach((shop) => {
+        const role = shop.id === cluster.survivorId ? "keep" : "archive";
+        const redirect = shop.finalUrl && shop.finalUrl !== shop.url ? ` -> ${shop.finalUrl}` : "";
+        lines.push(`- [${role}] ${shop.url}${redirect} (${shop.id})`);
+      });
+      if (cluster.merged.tags) lines.push(`- Tags after merge: ${cluster.merged.tags.join(", ")}`);
+      if (cluster.merged.notes) lines.push("- Notes are combined");
+      if (cluster.merged.category) lines.push(`- Category after merge: ${cluster.merged.category}`);
+      lines.push("");
+    });
+  }
+
+  if (summary.errors.length) {
+    lines.push("## Errors");
+    lines.push("");
+    summary.errors.forEach((error, index) => {
+      lines.push(`${index + 1}. ${error.survivorId}`);
+      lines.push(`- Error: ${error.error}`);
+      lines.push("");
+    });
+  }
+
+  return lines.join("\n");
+}
+
+async function writeReport(summary) {
+  await fs.mkdir(path.dirname(OUTPUT_JSON), { recursive: true });
+  await Promise.all([
+    fs.writeFile(OUTPUT_JSON, JSON.stringify(summary, null, 2), "utf8"),
+    fs.writeFile(OUTPUT_MD, toMarkdownReport(summary), "utf8")
+  ]);
+
+  console.log(`Wrote ${OUTPUT_JSON}`);
+  console.log(`Wrote ${OUTPUT_MD}`);
+}
+
+async function detect(args) {
+  const sourceData = await fetchShops({ propertyMap });
+  const shops = sourceData.items;
+
+  const redirects = new Map();
+  if (args.redirects) {
+    await mapLimit(shops, args.concurrency, async (shop, index) => {
+      const tech = await detectSiteTech(shop.url);
+      if (tech.finalUrl) redirects.set(shop.url, tech.finalUrl);
+      if ((index + 1) % 50 === 0) console.log(`[redirects] ${index + 1}/${shops.length}`);
+    });
+  }
+
+  // Only screenshots already in the cache are compared; run warm:screenshots first for full coverage.
+  const features = args.screenshots ? await getScreenshotFeatures(shops, { maxComputed: Infinity }) : new Map();
+  const clusters = findDuplicateClusters(shops, { redirects, features });
+
+  await writeReport({
+    generatedAt: new Date().toISOString(),
+    mode: "dry-run",
+    shops: shops.length,
+    redirectsChecked: redirects.size,
+    screenshotsCompared: features.size,
+    clusters,
+    merged: 0,
+    archived: 0,
+    errors: []
+  });
+  console.log(`Found ${clusters.length} clusters among ${shops.length} shops.`);
+  console.log("Review the report, then run with --apply.");
+}
+
+// Works from the reviewed report: delete clusters you don't want merged, or change
+// survivorId to keep a different shop. Tags and notes are re-read from the source first.
+async function apply(args) {
+  if (getDataSourceName() !== "notion") {
+    throw new Error("--apply archives pages in Notion and requires SHOPS_DATA_SOURCE=notion.");
+  }
+
+  const report = JSON.parse(await fs.readFile(OUTPUT_JSON, "utf8"));
+  const sourceData = await fetchShops({ propertyMap });
+  const byId = new Map(sourceData.items.map((shop) => [shop.id, shop]));
+  const clusters = (report.clusters || []).slice(0, args.limit);
+  const errors = [];
+  let merged = 0;
+  let archived = 0;
+
+  for (const cluster of clusters) {
+    const survivor = byId.get(cluster.survivorId);
+    const duplicates = cluster.shops.map((shop) => byId.get(shop.id)).filter((shop) => shop && shop !== survivor);
+
+    if (!survivor || duplicates.length === 0) {
+      console.log(`[skip:gone] ${cluster.survivorId}`);
+      continue;
+    }
+
+    try {
+      const result = await mergeDuplicateShops(survivor, duplicates, { propertyMap });
+      merged += 1;
+      archived += result.archived.length;
+      console.log(`[merged] ${survivor.title}: kept ${survivor.id}, archived ${result.archived.join(", ")}`);
+    } catch (error) {
+      errors.push({ survivorId: cluster.survivorId, error: error instanceof Error ? error.message : String(error) });
+      console.log(`[error] ${survivor.title}`);
+    }
+  }
+
+  await writeReport({
+    ...report,
+    generatedAt: new Date().toISOString(),
+    mode: "apply",
+    clusters,
+    merged,
+    archived,
+    errors
+  });
+  console.log(`Merged ${merged} clusters; archived ${archived} pages; ${errors.length} failed.`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  await (args.apply ? apply(args) : detect(args));
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -2,7 +2,7 @@ import "dotenv/config";
 import fs from "node:fs/promises";
 import path from "node:path";
 import { Client } from "@notionhq/client";
-import { fetchShopsFromNotion } from "../src/notion.js";
+import { fetchShops, getDataSourceName } from "../src/data-source.js";
 
 const OUTPUT_JSON = path.resolve("reports/unavailable-shops.json");
 const OUTPUT_MD = path.resolve("reports/unavailable-shops.md");
@@ -190,18 +190,18 @@ async function main() {
   const { apply, limit, timeoutMs, concurrency } = parseArgs(process.argv.slice(2));
   const notionApiKey = process.env.NOTION_API_KEY;
 
-  if (!notionApiKey) {
+  if (apply && getDataSourceName() !== "notion") {
+    throw new Error("--apply archives pages in Notion and requires SHOPS_DATA_SOURCE=notion.");
+  }
+
+  if (apply && !notionApiKey) {
     throw new Error("NOTION_API_KEY is missing.");
   }
 
-  const notion = new Client({ auth: notionApiKey });
-  const notionData = await fetchShopsFromNotion({
-    notionApiKey,
-    databaseId: process.env.NOTION_DATABASE_ID,
-    propertyMap
-  });
+  const notion = apply ? new Client({ auth: notionApiKey }) : null;
+  const sourceData = await fetchShops({ propertyMap });
 
-  const shops = notionData.items.slice(0, limit);
+  const shops = sourceData.items.slice(0, limit);
   const matches = [];
   const errors = [];
   let archived = 0;
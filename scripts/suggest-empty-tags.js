@@ -1,7 +1,7 @@
 import "dotenv/config";
 import fs from "node:fs/promises";
 import path from "node:path";
-import { fetchShopsFromNotion } from "../src/notion.js";
+import { fetchShops } from "../src/data-source.js";
 
 const OUTPUT_JSON = path.resolve("reports/tag-suggestions.json");
 const OUTPUT_MD = path.resolve("reports/tag-suggestions.md");
@@ -170,13 +170,9 @@ function toMarkdown(summary) {
 }
 
 async function main() {
-  const notionData = await fetchShopsFromNotion({
-    notionApiKey: process.env.NOTION_API_KEY,
-    databaseId: process.env.NOTION_DATABASE_ID,
-    propertyMap
-  });
+  const sourceData = await fetchShops({ propertyMap });
 
-  const all = notionData.items;
+  const all = sourceData.items;
   const existingTags = new Set();
   all.forEach((shop) => shop.tags.forEach((t) => existingTags.add(normalize(t))));
 
@@ -206,8 +202,8 @@ async function main() {
   const summary = {
     generatedAt: new Date().toISOString(),
     databaseId: process.env.NOTION_DATABASE_ID,
-    totalRows: notionData.totalRows,
-    shopsWithUrl: notionData.shopsWithUrl,
+    totalRows: sourceData.totalRows,
+    shopsWithUrl: sourceData.shopsWithUrl,
     existingTaggedShops: all.filter((s) => s.tags.length).length,
     emptyTagShops: emptyTagShops.length,
     withSuggestions: nonEmptySuggestions.length,
@@ -0,0 +1,226 @@
+import "dotenv/config";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fetchShops } from "../src/data-source.js";
+import { propertyMap } from "../src/property-map.js";
+import {
+  cacheKeyForUrl,
+  getCacheEntryState,
+  readCacheEntry,
+  screenshotCacheDir,
+  writeCacheEntry
+} from "../src/screenshot-cache.js";
+import { fetchScreenshotBuffer, parseScreenshotOptions, screenshotVariant } from "../src/screenshot-providers.js";
+import { parseVariantOptions, transformScreenshot, variantSuffix } from "../src/screenshot-variants.js";
+
+const OUTPUT_JSON = path.resolve("reports/screenshot-warmup.json");
+const OUTPUT_MD = path.resolve("reports/screenshot-warmup.md");
+const DEFAULT_CONCURRENCY = Number(process.env.WARMUP_CONCURRENCY || 4);
+
+// What the gallery requests for each shop: the card image with its srcset (SCREENSHOT_WIDTHS in
+// frontend/App.jsx), the share-page preview and the mobile capture on the detail page.
+const galleryCaptures = [
+  {
+    query: {},
+    variants: [
+      ...[480, 800, 1200, 1600].map((w) => ({ w, fmt: "webp" })),
+      { w: 1200, fmt: "jpeg" }
+    ]
+  },
+  { query: { device: "mobile" }, variants: [] }
+];
+const stateRank = { fresh: 0, expired: 1, missing: 2 };
+
+function parseArgs(argv) {
+  const args = {
+    onlyMissing: false,
+    onlyExpired: false,
+    force: false,
+    limit: Infinity,
+    concurrency: DEFAULT_CONCURRENCY
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const token = argv[i];
+    if (token === "--only-missing") args.onlyMissing = true;
+    if (token === "--only-expired") args.onlyExpired = true;
+    if (token === "--force") args.force = true;
+    if (token === "--limit") args.limit = Number(argv[i + 1] || Infinity);
+    if (token === "--concurrency") args.concurrency = Number(argv[i + 1] || DEFAULT_CONCURRENCY);
+  }
+
+  if (!Number.isFinite(args.limit) || args.limit < 1) args.limit = Infinity;
+  if (!Number.isFinite(args.concurrency) || args.concurrency < 1) args.concurrency = DEFAULT_CONCURRENCY;
+  args.concurrency = Math.min(20, Math.floor(args.concurrency));
+
+  return args;
+}
+
+function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let idx = 0;
+
+  async function worker() {
+    while (idx < items.length) {
+      const i = idx++;
+      out[i] = await fn(items[i], i);
+    }
+  }
+
+  return Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker)).then(() => out);
+}
+
+// Cache keys match the ones /api/screenshot uses, so warmed entries are served as-is.
+const cacheTargets = (url) =>
+  galleryCaptures.map(({ query, variants }) => {
+    const options = parseScreenshotOptions(query);
+    const captureVariant = screenshotVariant(options);
+    return {
+      options,
+      variant: captureVariant,
+      cacheKey: cacheKeyForUrl(url, captureVariant),
+      variants: variants.map((variantQuery) => {
+        const variant = parseVariantOptions(variantQuery);
+        const variantName = [captureVariant, variantSuffix(variant)].filter(Boolean).join("&");
+        return { variant, variantName, cacheKey: cacheKeyForUrl(url, variantName) };
+      })
+    };
+  });
+
+const entryKeys = (targets) =>
+  targets.flatMap((target) => [target.cacheKey, ...target.variants.map((variant) => variant.cacheKey)]);
+
+// A shop is as stale as its worst entry.
+const worstState = (states) => states.reduce((worst, state) => (stateRank[state] > stateRank[worst] ? state : worst));
+
+async function warmShop(shop, targets, due) {
+  for (const target of targets) {
+    let original = null;
+    if (due(target.cacheKey)) {
+      const fresh = await fetchScreenshotBuffer(shop.url, target.options);
+      original = { ...fresh, fetchedAt: Date.now() };
+      await writeCacheEntry(target.cacheKey, fresh.contentType, fresh.body, {
+        url: shop.url,
+        variant: target.variant,
+        fetchedAt: original.fetchedAt
+      });
+    }
+
+    for (const { variant, variantName, cacheKey } of target.variants) {
+      // Variants are rebuilt along with a new capture, since they inherit its age.
+      if (!original && !due(cacheKey)) continue;
+      original ||= await readCacheEntry(target.cacheKey);
+      const resized = await transformScreenshot(original.body, variant);
+      await writeCacheEntry(cacheKey, resized.contentType, resized.body, {
+        url: shop.url,
+        variant: variantName,
+        fetchedAt: original.fetchedAt
+      });
+    }
+  }
+}
+
+function shouldWarm(state, { onlyMissing, onlyExpired, force }) {
+  if (force) return true;
+  if (onlyMissing || onlyExpired) {
+    return (onlyMissing && state === "missing") || (onlyExpired && state === "expired");
+  }
+  return state !== "fresh";
+}
+
+function toMarkdownReport(summary) {
+  const lines = [];
+  lines.push("# Screenshot Warm-up");
+  lines.push("");
+  lines.push(`Generated: ${summary.generatedAt}`);
+  lines.push(`Mode: ${summary.mode}`);
+  lines.push("");
+  lines.push(`- Shops: ${summary.shops}`);
+  lines.push(`- Selected: ${summary.selected}`);
+  lines.push(`- Warmed: ${summary.warmed}`);
+  lines.push(`- Skipped: ${summary.skipped}`);
+  lines.push(`- Failures: ${summary.failures.length}`);
+  lines.push("");
+
+  if (summary.failures.length) {
+    lines.push("## Failures");
+    lines.push("");
+    summary.failures.forEach((failure, index) => {
+      lines.push(`${index + 1}. ${failure.title}`);
+      lines.push(`- URL: ${failure.url}`);
+      lines.push(`- Page ID: ${failure.id}`);
+      lines.push(`- Previous cache state: ${failure.state}`);
+      lines.push(`- Error: ${failure.error}`);
+      lines.push("");
+    });
+  }
+
+  return lines.join("\n");
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const sourceData = await fetchShops({ propertyMap });
+
+  await fs.mkdir(screenshotCacheDir, { recursive: true });
+
+  const shops = sourceData.items.map((shop) => ({ shop, targets: cacheTargets(shop.url) }));
+  const entryStates = await mapLimit(shops, 20, ({ targets }) =>
+    Promise.all(entryKeys(targets).map((cacheKey) => getCacheEntryState(cacheKey)))
+  );
+  const selected = shops
+    .map((item, index) => ({ ...item, states: entryStates[index], state: worstState(entryStates[index]) }))
+    .filter(({ state }) => shouldWarm(state, args))
+    .slice(0, args.limit);
+
+  const failures = [];
+  let warmed = 0;
+
+  await mapLimit(selected, args.concurrency, async ({ shop, targets, states, state }, index) => {
+    const n = index + 1;
+
+    try {
+      const keys = entryKeys(targets);
+      await warmShop(shop, targets, (cacheKey) => args.force || states[keys.indexOf(cacheKey)] !== "fresh");
+      warmed += 1;
+      console.log(`[warmed ${n}/${selected.length}] ${shop.title} (${state})`);
+    } catch (error) {
+      failures.push({
+        id: shop.id,
+        title: shop.title,
+        url: shop.url,
+        state,
+        error: error instanceof Error ? error.message : String(error)
+      });
+      console.log(`[error ${n}/${selected.length}] ${shop.title}`);
+    }
+  });
+
+  const filters = [args.onlyMissing && "only-missing", args.onlyExpired && "only-expired"].filter(Boolean);
+  const mode = args.force ? "force" : filters.join("+") || "missing+expired";
+
+  const summary = {
+    generatedAt: new Date().toISOString(),
+    mode,
+    shops: sourceData.items.length,
+    selected: selected.length,
+    warmed,
+    skipped: sourceData.items.length - selected.length,
+    failures
+  };
+
+  await fs.mkdir(path.dirname(OUTPUT_JSON), { recursive: true });
+  await Promise.all([
+    fs.writeFile(OUTPUT_JSON, JSON.stringify(summary, null, 2), "utf8"),
+    fs.writeFile(OUTPUT_MD, toMarkdownReport(summary), "utf8")
+  ]);
+
+  console.log(`Wrote ${OUTPUT_JSON}`);
+  console.log(`Wrote ${OUTPUT_MD}`);
+  console.log(`Warmed ${summary.warmed} of ${summary.selected} selected shops; ${summary.failures.length} failed.`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
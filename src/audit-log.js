@@ -0,0 +1,52 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { dataFilePath } from "./json-store.js";
+
+const auditLogFile = dataFilePath(process.env.AUDIT_LOG_FILE, "audit.log");
+
+const auditState =
+  globalThis.__shopHaulAuditLog ||
+  (globalThis.__shopHaulAuditLog = {
+    writing: Promise.resolve()
+  });
+
+// One JSON object per line, only ever appended to.
+export function appendAuditEvent(event) {
+  const line = `${JSON.stringify({ at: new Date().toISOString(), ...event })}\n`;
+
+  auditState.writing = auditState.writing
+    .then(async () => {
+      await fs.mkdir(path.dirname(auditLogFile), { recursive: true });
+      await fs.appendFile(auditLogFile, line, "utf8");
+    })
+    .catch((error) => console.error("Audit log write failed", error));
+
+  return auditState.writing;
+}
+
+export async function readAuditEvents({ limit = 100, event = "" } = {}) {
+  await auditState.writing;
+
+  let raw = "";
+  try {
+    raw = await fs.readFile(auditLogFile, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const events = [];
+  const lines = raw.split("\n");
+  for (let i = lines.length - 1; i >= 0 && events.length < limit; i -= 1) {
+    if (!lines[i].trim()) continue;
+
+    try {
+      const entry = JSON.parse(lines[i]);
+      if (!event || entry.event === event) events.push(entry);
+    } catch {
+      // Skip a torn line rather than failing the whole read.
+    }
+  }
+
+  return events;
+}
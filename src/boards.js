@@ -0,0 +1,113 @@
+import crypto from "node:crypto";
+import { createJsonStore, dataFilePath } from "./json-store.js";
+
+const maxBoardsPerUser = 100;
+const maxItemsPerBoard = 500;
+
+const boardStore = createJsonStore({
+  file: dataFilePath(process.env.BOARDS_FILE, "boards.json"),
+  key: "boards",
+  empty: []
+});
+
+function boardName(value) {
+  const name = String(value || "").trim().slice(0, 80);
+  if (!name) throw new Error("Board name is required.");
+  return name;
+}
+
+function boardItems(value) {
+  if (!Array.isArray(value)) throw new Error("items must be an array of shop ids.");
+  const items = Array.from(new Set(value.map((item) => String(item || "").trim()).filter(Boolean)));
+  if (items.length > maxItemsPerBoard) throw new Error(`A board holds up to ${maxItemsPerBoard} shops.`);
+  return items;
+}
+
+// change(board) runs inside the queued write, so it always sees the latest items.
+function changeBoard(id, change) {
+  return boardStore.update((boards) => {
+    const current = boards.find((board) => board.id === id);
+    if (!current) return { result: null };
+
+    const next = { ...current, ...change(current), updatedAt: new Date().toISOString() };
+    return { value: boards.map((board) => (board.id === id ? next : board)), result: next };
+  });
+}
+
+export async function listBoards(ownerId) {
+  return (await boardStore.read()).filter((board) => board.ownerId === ownerId);
+}
+
+export async function findBoard(id) {
+  return (await boardStore.read()).find((board) => board.id === id) || null;
+}
+
+export async function findSharedBoard(shareToken) {
+  if (!shareToken) return null;
+  return (await boardStore.read()).find((board) => board.shareToken === shareToken) || null;
+}
+
+export async function createBoard(ownerId, { name, items = [] } = {}) {
+  const now = new Date().toISOString();
+  const board = {
+    id: crypto.randomUUID(),
+    ownerId,
+    name: boardName(name),
+    items: boardItems(items),
+    shareToken: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await boardStore.update((boards) => {
+    if (boards.filter((existing) => existing.ownerId === ownerId).length >= maxBoardsPerUser) {
+      throw new Error(`You can have up to ${maxBoardsPerUser} boards.`);
+    }
+    return { value: [...boards, board] };
+  });
+  return board;
+}
+
+// items replaces the whole list, which is how the client reorders.
+export async function updateBoard(id, { name, items } = {}) {
+  const change = {};
+  if (name !== undefined) change.name = boardName(name);
+  if (items !== undefined) change.items = boardItems(items);
+  return changeBoard(id, () => change);
+}
+
+export async function addBoardItem(id, shopId) {
+  const item = String(shopId || "").trim();
+  if (!item) throw new Error("shopId is required.");
+
+  return changeBoard(id, (board) => ({
+    items: board.items.includes(item) ? board.items : boardItems([...board.items, item])
+  }));
+}
+
+export async function removeBoardItem(id, shopId) {
+  return changeBoard(id, (board) => ({ items: board.items.filter((item) => item !== shopId) }));
+}
+
+// Turning sharing off and on again issues a new token, so old links stop working.
+export async function setBoardSharing(id, shared) {
+  return changeBoard(id, (board) => ({
+    shareToken: shared ? board.shareToken || crypto.randomBytes(18).toString("base64url") : null
+  }));
+}
+
+export async function deleteBoard(id) {
+  return boardStore.update((boards) =>
+    boards.some((board) => board.id === id)
+      ? { value: boards.filter((board) => board.id !== id), result: true }
+      : { result: false }
+  );
+}
+
+export async function deleteUserBoards(ownerId) {
+  await boardStore.update((boards) =>
+    boards.some((board) => board.ownerId === ownerId)
+      ? { value: boards.filter((board) => board.ownerId !== ownerId) }
+      : {}
+  );
+}
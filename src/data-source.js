@@ -0,0 +1,75 @@
+import { fetchShopsFromFile } from "./file-source.js";
+import { fetchShopsFromNotion, mapNotionPage } from "./notion.js";
+import { applyNotionPages, applyNotionWebhookEvent, syncShopsFromNotion } from "./notion-sync.js";
+import { archiveNotionShop, createNotionShop, updateNotionShop } from "./notion-writer.js";
+import { checkNotionSchema } from "./schema-check.js";
+
+const notionConfig = (config) => ({
+  notionApiKey: process.env.NOTION_API_KEY,
+  databaseId: process.env.NOTION_DATABASE_ID,
+  ...config
+});
+
+const dataSources = {
+  // config.incremental syncs against the persisted snapshot instead of re-reading everything.
+  notion: (config) =>
+    config.incremental ? syncShopsFromNotion(notionConfig(config)) : fetchShopsFromNotion(notionConfig(config)),
+  file: (config) =>
+    fetchShopsFromFile({
+      filePath: process.env.SHOPS_DATA_FILE,
+      ...config
+    })
+};
+
+export function getDataSourceName() {
+  return String(process.env.SHOPS_DATA_SOURCE || "notion").trim().toLowerCase();
+}
+
+export async function fetchShops(config = {}) {
+  const name = getDataSourceName();
+  const source = dataSources[name];
+
+  if (!source) {
+    throw new Error(`Unknown SHOPS_DATA_SOURCE "${name}". Use one of: ${Object.keys(dataSources).join(", ")}.`);
+  }
+
+  return source(config);
+}
+
+export async function applyShopsWebhookEvent(event, config = {}) {
+  if (getDataSourceName() !== "notion") return false;
+  return applyNotionWebhookEvent(event, notionConfig(config));
+}
+
+// Only Notion can be written back to; the file source is read-only.
+async function writeToNotion(config, write) {
+  if (getDataSourceName() !== "notion") {
+    throw new Error("Editing shops requires SHOPS_DATA_SOURCE=notion.");
+  }
+
+  const resolved = notionConfig(config);
+  const page = await write(resolved);
+  await applyNotionPages([page], resolved);
+  return mapNotionPage(page, resolved.propertyMap);
+}
+
+export function createShop(fields, config = {}) {
+  return writeToNotion(config, (resolved) => createNotionShop(resolved, fields));
+}
+
+export function updateShop(id, fields, config = {}) {
+  return writeToNotion(config, (resolved) => updateNotionShop(resolved, id, fields));
+}
+
+export function archiveShop(id, config = {}) {
+  return writeToNotion(config, (resolved) => archiveNotionShop(resolved, id));
+}
+
+// The check reads the database schema itself, so it only applies to the Notion source.
+export function checkShopsSchema(config = {}, options = {}) {
+  if (getDataSourceName() !== "notion") {
+    throw new Error("Checking the property mapping requires SHOPS_DATA_SOURCE=notion.");
+  }
+
+  return checkNotionSchema(notionConfig(config), options);
+}
@@ -0,0 +1,177 @@
+import { archiveShop, updateShop } from "./data-source.js";
+import { hashDistance, histogramOverlap } from "./screenshot-features.js";
+import { shopHostKey, shopUrlKey } from "./shops-query.js";
+
+// Screenshots count as the same page when at most this many of the 64 hash bits differ
+// and the colours mostly overlap.
+const maxHashDistance = 3;
+const minHistogramOverlap = 0.9;
+// Error pages, parked domains and "store unavailable" screens look alike and redirect to
+// the same few places; a redirect host or screenshot shared by more shops than this is ignored.
+const maxSharedSignal = 6;
+// Marketplaces host many shops, so a shared host on its own links nothing. Two shops on a host
+// with few shops are linked when their screenshots are this close.
+const sameHostHashDistance = 10;
+const sameHostHistogramOverlap = 0.8;
+const blankHashes = new Set(["0000000000000000", "ffffffffffffffff"]);
+
+function createUnionFind(size) {
+  const parents = Array.from({ length: size }, (_, index) => index);
+  const find = (index) => {
+    while (parents[index] !== index) {
+      parents[index] = parents[parents[index]];
+      index = parents[index];
+    }
+    return index;
+  };
+  const union = (a, b) => {
+    parents[find(a)] = find(b);
+  };
+  return { find, union };
+}
+
+// The shop to keep: the one with the most curation, then the shortest URL.
+function pickSurvivor(shops) {
+  const completeness = (shop) => (shop.notes ? 2 : 0) + (shop.category ? 1 : 0) + shop.tags.length;
+  return [...shops].sort(
+    (a, b) =>
+      completeness(b) - completeness(a) ||
+      a.url.length - b.url.length ||
+      String(a.editedAt).localeCompare(String(b.editedAt))
+  )[0];
+}
+
+// Tags are combined, notes appended unless the survivor already says the same, and an empty
+// category filled from a duplicate.
+export function mergedFields(survivor, duplicates) {
+  const tags = [...survivor.tags, ...duplicates.flatMap((shop) => shop.tags)].filter(
+    (tag, index, all) => all.findIndex((other) => other.toLowerCase() === tag.toLowerCase()) === index
+  );
+  const notes = [survivor.notes, ...duplicates.map((shop) => shop.notes)]
+    .map((note) => String(note || "").trim())
+    .filter(Boolean)
+    .reduce((kept, note) => (kept.some((existing) => existing.includes(note)) ? kept : [...kept, note]), []);
+  const category = survivor.category || duplicates.find((shop) => shop.category)?.category || "";
+
+  const fields = {};
+  if (tags.length !== survivor.tags.length) fields.tags = tags;
+  if (notes.join("\n\n") !== String(survivor.notes || "").trim()) fields.notes = notes.join("\n\n");
+  if (category !== survivor.category) fields.category = category;
+  return fields;
+}
+
+// redirects: Map(url -> final URL after redirects). features: Map(url -> screenshot features).
+// Returns clusters of two or more shops, each with the signals that joined them.
+export function findDuplicateClusters(shops, { redirects = new Map(), features = new Map() } = {}) {
+  const { find, union } = createUnionFind(shops.length);
+  const reasons = shops.map(() => new Set());
+  const link = (a, b, reason) => {
+    union(a, b);
+    reasons[a].add(reason);
+    reasons[b].add(reason);
+  };
+
+  const byUrl = new Map();
+  shops.forEach((shop, index) => {
+    const key = shopUrlKey(shop.url);
+    if (byUrl.has(key)) link(byUrl.get(key), index, "url");
+    else byUrl.set(key, index);
+  });
+
+  // Shops whose URLs end up on the same page, or on another shop's URL, after redirects.
+  const byLanding = new Map();
+  shops.forEach((shop, index) => {
+    const finalUrl = redirects.get(shop.url);
+    const landing = finalUrl ? shopUrlKey(finalUrl) : "";
+    if (!landing || landing === shopUrlKey(shop.url)) return;
+    byLanding.set(landing, [...(byLanding.get(landing) || []), index]);
+  });
+  for (const [landing, indexes] of byLanding.entries()) {
+    if (indexes.length > maxSharedSignal) continue;
+    if (byUrl.has(landing)) link(byUrl.get(landing), indexes[0], "redirect");
+    indexes.slice(1).forEach((index) => link(indexes[0], index, "redirect"));
+  }
+
+  const hostCounts = new Map();
+  for (const shop of shops) {
+    const host = shopHostKey(shop.url);
+    hostCounts.set(host, (hostCounts.get(host) || 0) + 1);
+  }
+  const sharesSmallHost = (a, b) => {
+    const host = shopHostKey(a.url);
+    return host === shopHostKey(b.url) && hostCounts.get(host) <= maxSharedSignal;
+  };
+
+  const visual = shops
+    .map((shop, index) => ({ index, shop, features: features.get(shop.url) }))
+    .filter((item) => item.features && !blankHashes.has(item.features.hash));
+  const matches = visual.map(() => []);
+  const hostMatches = [];
+  for (let i = 0; i < visual.length; i += 1) {
+    for (let j = i + 1; j < visual.length; j += 1) {
+      const a = visual[i].features;
+      const b = visual[j].features;
+      const distance = hashDistance(a.hash, b.hash);
+      const overlap = histogramOverlap(a, b);
+      if (distance <= maxHashDistance && overlap >= minHistogramOverlap) {
+        matches[i].push(j);
+        matches[j].push(i);
+      } else if (
+        distance <= sameHostHashDistance &&
+        overlap >= sameHostHistogramOverlap &&
+        sharesSmallHost(visual[i].shop, visual[j].shop)
+      ) {
+        hostMatches.push([i, j]);
+      }
+    }
+  }
+  matches.forEach((others, i) => {
+    if (others.length >= maxSharedSignal) return;
+    others.forEach((j) => {
+      if (j > i && matches[j].length < maxSharedSignal) link(visual[i].index, visual[j].index, "screenshot");
+    });
+  });
+  hostMatches.forEach(([i, j]) => link(visual[i].index, visual[j].index, "host"));
+
+  const groups = new Map();
+  shops.forEach((_, index) => {
+    const root = find(index);
+    groups.set(root, [...(groups.get(root) || []), index]);
+  });
+
+  return Array.from(groups.values())
+    .filter((indexes) => indexes.length > 1)
+    .map((indexes) => {
+      const members = indexes.map((index) => shops[index]);
+      const survivor = pickSurvivor(members);
+      const duplicates = members.filter((shop) => shop !== survivor);
+      return {
+        survivorId: survivor.id,
+        reasons: Array.from(new Set(indexes.flatMap((index) => Array.from(reasons[index])))).sort(),
+        shops: indexes.map((index) => ({
+          id: shops[index].id,
+          title: shops[index].title,
+          url: shops[index].url,
+          finalUrl: redirects.get(shops[index].url) || null,
+          matchedBy: Array.from(reasons[index]).sort()
+        })),
+        merged: mergedFields(survivor, duplicates)
+      };
+    })
+    .sort((a, b) => b.shops.length - a.shops.length);
+}
+
+// Writes the merged tags and notes to the survivor, then archives the rest. Needs the
+// Notion source.
+export async function mergeDuplicateShops(survivor, duplicates, config = {}) {
+  const fields = mergedFields(survivor, duplicates);
+  const shop = Object.keys(fields).length ? await updateShop(survivor.id, fields, config) : survivor;
+
+  const archived = [];
+  for (const duplicate of duplicates) {
+    await archiveShop(duplicate.id, config);
+    archived.push(duplicate.id);
+  }
+
+  return { shop, fields, archived };
+}
@@ -0,0 +1,73 @@
+import fs from "node:fs";
+import path from "node:path";
+
+export const extraFieldTypes = ["select", "multi_select", "number", "date", "checkbox", "url", "people", "files"];
+// Types with a short list of repeated values, which the gallery offers as filter dropdowns.
+export const facetFieldTypes = ["select", "multi_select", "checkbox", "people"];
+
+const trim = (value) => String(value || "").trim();
+
+function readConfig() {
+  const inline = trim(process.env.NOTION_EXTRA_FIELDS);
+  if (inline) return { raw: inline, source: "NOTION_EXTRA_FIELDS" };
+
+  const file = trim(process.env.NOTION_EXTRA_FIELDS_FILE);
+  if (!file) return null;
+  return { raw: fs.readFileSync(path.resolve(file), "utf8"), source: file };
+}
+
+// Each entry maps a Notion property (or a column of the same name in a data file) to a key
+// under shop.extra: { "key": "country", "property": "Country", "type": "select", "label": "Country" }.
+// A broken config stops the server instead of quietly leaving the fields out.
+export function loadExtraFields() {
+  const config = readConfig();
+  if (!config) return [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(config.raw);
+  } catch (error) {
+    throw new Error(`${config.source} is not valid JSON: ${error.message}`);
+  }
+
+  const entries = Array.isArray(parsed) ? parsed : parsed?.fields;
+  if (!Array.isArray(entries)) {
+    throw new Error(`${config.source} must contain an array of fields or an object with a "fields" array.`);
+  }
+
+  const seen = new Set();
+  return entries.map((entry, index) => {
+    const key = trim(entry?.key);
+    const property = trim(entry?.property) || key;
+    const type = trim(entry?.type);
+
+    if (!/^[A-Za-z][\w]*$/.test(key)) {
+      throw new Error(`${config.source}: field ${index + 1} needs a "key" made of letters, digits and underscores.`);
+    }
+    if (seen.has(key)) throw new Error(`${config.source}: the key "${key}" is used twice.`);
+    if (!extraFieldTypes.includes(type)) {
+      throw new Error(`${config.source}: "${key}" has type "${type}"; use one of ${extraFieldTypes.join(", ")}.`);
+    }
+
+    seen.add(key);
+    return { key, property, type, label: trim(entry.label) || property };
+  });
+}
+
+// Flattens a field value to the strings it is filtered and counted by.
+export function extraFieldValues(value) {
+  if (value === null || value === undefined || value === "") return [];
+  if (Array.isArray(value)) return value.flatMap(extraFieldValues);
+  if (typeof value === "object") return value.url ? [value.url] : [];
+  return [String(value)];
+}
+
+// The field list the API sends alongside the shops, with the values in use for dropdown types.
+export function describeExtraFields(fields, shops) {
+  return fields.map(({ key, type, label }) => {
+    if (!facetFieldTypes.includes(type)) return { key, type, label };
+
+    const values = new Set(shops.flatMap((shop) => extraFieldValues(shop.extra?.[key])));
+    return { key, type, label, values: Array.from(values).sort((a, b) => a.localeCompare(b)) };
+  });
+}
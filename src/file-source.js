@@ -0,0 +1,184 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { normalizeCandidateUrl, unwrapBuiltWithUrl } from "./notion.js";
+
+const normalize = (value) => String(value || "").trim().toLowerCase();
+const trim = (value) => String(value || "").trim();
+
+const fieldAliases = {
+  id: ["id", "page id", "page_id"],
+  title: ["title", "name", "shop", "store"],
+  url: ["url", "website", "link", "site", "shop url"],
+  category: ["category", "category/type", "type", "categories"],
+  tags: ["tags", "tags/categories", "tag", "topics", "labels", "keywords"],
+  notes: ["notes", "description/notes/summary", "description", "summary", "blurb"],
+  editedAt: ["editedat", "edited_at", "last edited time", "last_edited_time", "updated"]
+};
+
+// Minimal RFC 4180 reader: quoted fields, escaped quotes and CRLF line endings.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') inQuotes = true;
+    else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...body] = rows.filter((cells) => cells.some((cell) => trim(cell)));
+  const keys = header.map((cell) => trim(cell.replace(/^\uFEFF/, "")));
+  return body.map((cells) => Object.fromEntries(keys.map((key, index) => [key, cells[index] ?? ""])));
+};
+
+const readRecords = (raw, filePath) => {
+  if (path.extname(filePath).toLowerCase() === ".csv") {
+    return parseCsv(raw);
+  }
+
+  const data = JSON.parse(raw);
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data?.shops)) return data.shops;
+  if (Array.isArray(data?.items)) return data.items;
+  throw new Error(`${filePath} must contain an array of shops or an object with a "shops" array.`);
+};
+
+const pickField = (record, field, propertyMap) => {
+  const byName = new Map(Object.entries(record || {}).map(([name, value]) => [normalize(name), value]));
+  const names = [field, propertyMap?.[field === "title" ? "name" : field], ...(fieldAliases[field] || [])];
+
+  for (const name of names.filter(Boolean).map(normalize)) {
+    if (byName.has(name)) return byName.get(name);
+  }
+
+  return undefined;
+};
+
+const readTags = (value) => {
+  if (Array.isArray(value)) return value.map(trim).filter(Boolean);
+  return trim(value)
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+};
+
+const readCategory = (value) => {
+  if (Array.isArray(value)) return trim(value[0]);
+  return trim(String(value || "").split(",")[0]);
+};
+
+const readEditedAt = (value, fallback) => {
+  const time = value ? new Date(value) : null;
+  return time && Number.isFinite(time.getTime()) ? time.toISOString() : fallback;
+};
+
+// Extra fields come from the column named by "property" or "key". CSV cells are text, so
+// lists are comma-separated and checkboxes accept true/yes/1/x.
+const extraFieldReaders = {
+  select: (value) => readCategory(value) || null,
+  multi_select: readTags,
+  number: (value) => {
+    const text = trim(value);
+    return text && Number.isFinite(Number(text)) ? Number(text) : null;
+  },
+  date: (value) => {
+    const text = trim(value);
+    return text && Number.isFinite(new Date(text).getTime()) ? text : null;
+  },
+  checkbox: (value) => {
+    if (typeof value === "boolean") return value;
+    const text = normalize(value);
+    return text ? ["true", "yes", "1", "x", "✓"].includes(text) : null;
+  },
+  url: (value) => normalizeCandidateUrl(value) || null,
+  people: readTags,
+  files: (value) =>
+    (Array.isArray(value) ? value : readTags(value))
+      .map((file) => (typeof file === "object" ? file : { url: file }))
+      .map((file) => ({ name: trim(file.name), url: normalizeCandidateUrl(file.url) }))
+      .filter((file) => file.url)
+};
+
+const readExtraFields = (record, fields) => {
+  const byName = new Map(Object.entries(record || {}).map(([name, value]) => [normalize(name), value]));
+  return Object.fromEntries(
+    fields.map(({ key, property, type }) => {
+      const value = byName.has(normalize(property)) ? byName.get(normalize(property)) : byName.get(normalize(key));
+      return [key, extraFieldReaders[type](value)];
+    })
+  );
+};
+
+export async function fetchShopsFromFile(config) {
+  const { filePath, propertyMap } = config;
+
+  if (!filePath) {
+    throw new Error("SHOPS_DATA_FILE is missing.");
+  }
+
+  const resolvedPath = path.resolve(filePath);
+  const [raw, stat] = await Promise.all([fs.readFile(resolvedPath, "utf8"), fs.stat(resolvedPath)]);
+  const records = readRecords(raw, resolvedPath);
+  const fileEditedAt = stat.mtime.toISOString();
+
+  const items = records
+    .map((record) => {
+      const url = unwrapBuiltWithUrl(normalizeCandidateUrl(pickField(record, "url", propertyMap)));
+      const parsedHost = (() => {
+        try {
+          return new URL(url).hostname.replace(/^www\./, "");
+        } catch {
+          return "";
+        }
+      })();
+
+      return {
+        id: trim(pickField(record, "id", propertyMap)) || url,
+        title: trim(pickField(record, "title", propertyMap)) || parsedHost || "Untitled",
+        url,
+        category: readCategory(pickField(record, "category", propertyMap)),
+        tags: readTags(pickField(record, "tags", propertyMap)),
+        notes: trim(pickField(record, "notes", propertyMap)),
+        editedAt: readEditedAt(pickField(record, "editedAt", propertyMap), fileEditedAt),
+        ...(propertyMap?.extra?.length ? { extra: readExtraFields(record, propertyMap.extra) } : {})
+      };
+    })
+    .filter((item) => item.url);
+
+  return {
+    items,
+    totalRows: records.length,
+    shopsWithUrl: items.length
+  };
+}
@@ -0,0 +1,80 @@
+import crypto from "node:crypto";
+import { createJsonStore, dataFilePath } from "./json-store.js";
+
+const defaultExpiryHours = Number(process.env.GUEST_LINK_DEFAULT_HOURS || 168);
+const maxExpiryHours = 24 * 365;
+
+const guestLinkStore = createJsonStore({
+  file: dataFilePath(process.env.GUEST_LINKS_FILE, "guest-links.json"),
+  key: "links",
+  empty: []
+});
+
+const toList = (value) => {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : [value];
+  return Array.from(new Set(list.map((item) => String(item || "").trim()).filter(Boolean)));
+};
+
+export const isGuestLinkActive = (link, now = Date.now()) =>
+  Boolean(link) && !link.revokedAt && Date.parse(link.expiresAt) > now;
+
+export async function listGuestLinks() {
+  return guestLinkStore.read();
+}
+
+export async function findGuestLink(id) {
+  return (await guestLinkStore.read()).find((link) => link.id === id) || null;
+}
+
+export async function createGuestLink({ label = "", expiresInHours, maxUses, categories, tags, createdBy = "" }) {
+  const hours = expiresInHours === undefined || expiresInHours === null ? defaultExpiryHours : Number(expiresInHours);
+  if (!Number.isFinite(hours) || hours <= 0 || hours > maxExpiryHours) {
+    throw new Error(`expiresInHours must be between 0 and ${maxExpiryHours}.`);
+  }
+
+  const uses = maxUses === undefined || maxUses === null || maxUses === "" ? null : Number(maxUses);
+  if (uses !== null && (!Number.isInteger(uses) || uses < 1)) {
+    throw new Error("maxUses must be a positive whole number.");
+  }
+
+  const now = new Date();
+  const link = {
+    id: crypto.randomUUID(),
+    label: String(label || "").trim().slice(0, 120),
+    scope: { categories: toList(categories), tags: toList(tags) },
+    maxUses: uses,
+    uses: 0,
+    createdBy,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + hours * 60 * 60 * 1000).toISOString(),
+    revokedAt: null
+  };
+
+  await guestLinkStore.update((links) => ({ value: [...links, link] }));
+  return link;
+}
+
+function changeGuestLink(id, change) {
+  return guestLinkStore.update((links) => {
+    const current = links.find((link) => link.id === id);
+    const next = current && change(current);
+    if (!next) return { result: null };
+    return { value: links.map((link) => (link.id === id ? next : link)), result: next };
+  });
+}
+
+export async function revokeGuestLink(id) {
+  return changeGuestLink(id, (current) => ({ ...current, revokedAt: current.revokedAt || new Date().toISOString() }));
+}
+
+// Counts one use per browser that opens the link; the resulting session is checked
+// against the link on every request, so revoking or expiring it still applies.
+// The use limit is checked inside the queued change, so simultaneous opens can't exceed it.
+export async function redeemGuestLink(id) {
+  return changeGuestLink(id, (current) => {
+    if (!isGuestLinkActive(current)) return null;
+    if (current.maxUses !== null && current.uses >= current.maxUses) return null;
+    return { ...current, uses: current.uses + 1, lastUsedAt: new Date().toISOString() };
+  });
+}
@@ -0,0 +1,87 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+const isVercel = Boolean(process.env.VERCEL);
+
+const jsonStores = globalThis.__shopHaulJsonStores || (globalThis.__shopHaulJsonStores = new Map());
+
+// Only /tmp is writable on Vercel, so stores there last as long as the instance does.
+export const dataFilePath = (configured, name) =>
+  path.resolve(configured || (isVercel ? path.join("/tmp", "shop-haul", name) : path.join("data", name)));
+
+// A JSON file holding { [key]: value }, cached in memory. Changes run one at a time against the
+// latest value, so two requests can't both read the old file and overwrite each other.
+export function createJsonStore({ file, key, empty }) {
+  if (!jsonStores.has(file)) {
+    jsonStores.set(file, { value: null, version: null, loading: null, queue: Promise.resolve() });
+  }
+  const state = jsonStores.get(file);
+
+  const fileVersion = () =>
+    fs.stat(file).then(
+      (stats) => `${stats.mtimeMs}:${stats.size}`,
+      (error) => {
+        if (error.code === "ENOENT") return "missing";
+        throw error;
+      }
+    );
+
+  // Every read checks the file's mtime and size, so a change made by another process (such as
+  // npm run users:create next to a running server) is loaded rather than overwritten.
+  async function read() {
+    const version = await fileVersion();
+    if (state.value && state.version === version) return state.value;
+
+    if (!state.loading) {
+      state.loading = fs
+        .readFile(file, "utf8")
+        .then((raw) => JSON.parse(raw)[key] || empty)
+        .catch((error) => {
+          if (error.code === "ENOENT") return empty;
+          throw error;
+        })
+        .then((value) => {
+          state.value = value;
+          state.version = version;
+          return value;
+        })
+        .finally(() => {
+          state.loading = null;
+        });
+    }
+
+    return state.loading;
+  }
+
+  // The pid and random suffix keep concurrent writers, including other instances sharing
+  // the directory, off each other's temp files.
+  async function write(value) {
+    const tmpPath = `${file}.${process.pid}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    try {
+      await fs.writeFile(tmpPath, JSON.stringify({ [key]: value }, null, 2), "utf8");
+      await fs.rename(tmpPath, file);
+    } catch (error) {
+      await fs.rm(tmpPath, { force: true });
+      throw error;
+    }
+    state.value = value;
+    state.version = await fileVersion();
+  }
+
+  // change(current) returns { value, result }: value is written if set, result is what
+  // update resolves with. A change that throws leaves the file and cache untouched.
+  function update(change) {
+    const task = async () => {
+      const { value, result } = await change(await read());
+      if (value !== undefined) await write(value);
+      return result;
+    };
+    const run = state.queue.then(task, task);
+    state.queue = run.catch(() => {});
+    return run;
+  }
+
+  return { read, update };
+}
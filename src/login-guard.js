@@ -0,0 +1,111 @@
+const failureWindowMs = 15 * 60 * 1000;
+const backoffAfter = 3;
+const maxBackoffMs = 60 * 1000;
+const lockoutAfter = Math.max(backoffAfter + 1, Number(process.env.LOGIN_MAX_ATTEMPTS || 10));
+const lockoutMs = Math.max(1, Number(process.env.LOGIN_LOCKOUT_MINUTES || 15)) * 60 * 1000;
+const globalMaxPerMinute = Math.max(1, Number(process.env.LOGIN_GLOBAL_MAX_PER_MINUTE || 60));
+const surgeDelayMs = 2000;
+const maxAccountDelayMs = 5000;
+
+const guardState =
+  globalThis.__shopHaulLoginGuard ||
+  (globalThis.__shopHaulLoginGuard = {
+    byIp: new Map(),
+    byAccount: new Map(),
+    recentFailures: []
+  });
+
+const accountKey = (username) => String(username || "").trim().toLowerCase();
+
+function pruneEntries(entries, now) {
+  if (entries.size < 10000) return;
+  for (const [key, entry] of entries.entries()) {
+    if (!(entry.lockedUntil > now) && now - entry.lastFailureAt > failureWindowMs) {
+      entries.delete(key);
+    }
+  }
+}
+
+function pruneState(now) {
+  guardState.recentFailures = guardState.recentFailures.filter((at) => now - at < 60 * 1000);
+  pruneEntries(guardState.byIp, now);
+  pruneEntries(guardState.byAccount, now);
+}
+
+const isSurging = () => guardState.recentFailures.length >= globalMaxPerMinute;
+
+// Only IPs with failures of their own are ever refused. While failures are surging site-wide
+// their backoff starts at the first failure instead of the third.
+// An allowed attempt counts as a failure straight away, before the caller awaits anything, so
+// parallel requests from one IP can't all slip through the same check; a success refunds it.
+export function checkLoginAllowed(ip) {
+  const now = Date.now();
+  pruneState(now);
+
+  let entry = guardState.byIp.get(ip);
+  if (entry && now - entry.lastFailureAt > failureWindowMs && !(entry.lockedUntil > now)) {
+    guardState.byIp.delete(ip);
+    entry = undefined;
+  }
+
+  if (entry) {
+    if (entry.failures >= lockoutAfter) {
+      entry.lockedUntil = now + lockoutMs;
+      entry.failures = 0;
+    }
+
+    if (entry.lockedUntil > now) {
+      return { allowed: false, reason: "locked", retryAfterMs: entry.lockedUntil - now };
+    }
+
+    // 1s, 2s, 4s ... between attempts once an IP has a few failures in a row.
+    const threshold = isSurging() ? 1 : backoffAfter;
+    if (entry.failures >= threshold) {
+      const waitMs = Math.min(maxBackoffMs, 1000 * 2 ** (entry.failures - threshold));
+      const elapsedMs = now - entry.lastFailureAt;
+      if (elapsedMs < waitMs) {
+        return { allowed: false, reason: "backoff", retryAfterMs: waitMs - elapsedMs };
+      }
+    }
+  }
+
+  const counted = entry || { failures: 0, lastFailureAt: 0, lockedUntil: 0 };
+  counted.failures += 1;
+  counted.lastFailureAt = now;
+  guardState.byIp.set(ip, counted);
+  return { allowed: true };
+}
+
+// How long to hold a login before checking the password. Guessing spread over many IPs slows
+// down without anyone being turned away: a site-wide surge delays every attempt, and repeated
+// failures on one account delay attempts on that account.
+export function loginDelayMs(username) {
+  const now = Date.now();
+  pruneState(now);
+
+  const account = guardState.byAccount.get(accountKey(username));
+  const accountDelayMs =
+    account && now - account.lastFailureAt <= failureWindowMs && account.failures >= backoffAfter
+      ? Math.min(maxAccountDelayMs, 250 * 2 ** (account.failures - backoffAfter))
+      : 0;
+
+  return Math.max(isSurging() ? surgeDelayMs : 0, accountDelayMs);
+}
+
+// The IP side was counted when the attempt was allowed; this adds the account and the surge.
+export function recordLoginFailure(username) {
+  const now = Date.now();
+  const key = accountKey(username);
+  const account = guardState.byAccount.get(key);
+  const recent = account && now - account.lastFailureAt <= failureWindowMs;
+  guardState.byAccount.set(key, { failures: recent ? account.failures + 1 : 1, lastFailureAt: now });
+  guardState.recentFailures.push(now);
+}
+
+// Refunds only this attempt, so the IP keeps the failures it had: logging in to one account
+// doesn't clear the way for more guesses at others.
+export function recordLoginSuccess(ip, username) {
+  const entry = guardState.byIp.get(ip);
+  if (entry) entry.failures = Math.max(0, entry.failures - 1);
+  guardState.byAccount.delete(accountKey(username));
+}
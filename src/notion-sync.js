@@ -0,0 +1,203 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { createNotionClient, mapNotionPage, queryDatabasePages } from "./notion.js";
+
+const isVercel = Boolean(process.env.VERCEL);
+const snapshotFile = path.resolve(
+  process.env.NOTION_SNAPSHOT_FILE ||
+    (isVercel ? path.join("/tmp", "shop-haul", "notion-snapshot.json") : "data/notion-snapshot.json")
+);
+const fullSyncHours = Number(process.env.NOTION_FULL_SYNC_HOURS || 24);
+const fullSyncMs = Math.max(1, fullSyncHours) * 60 * 60 * 1000;
+
+const syncState =
+  globalThis.__shopHaulNotionSync ||
+  (globalThis.__shopHaulNotionSync = {
+    snapshot: null,
+    queue: Promise.resolve()
+  });
+
+const normalizeId = (value) => String(value || "").replace(/-/g, "").toLowerCase();
+const isRemoved = (row) => Boolean(row.archived || row.in_trash);
+
+// A different database or property mapping makes the stored items meaningless.
+const snapshotKey = ({ databaseId, propertyMap }) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ databaseId: normalizeId(databaseId), propertyMap }))
+    .digest("hex")
+    .slice(0, 16);
+
+// Sync runs and webhook patches both rewrite the snapshot, so they take turns.
+function serialize(task) {
+  const run = syncState.queue.then(task, task);
+  syncState.queue = run.catch(() => {});
+  return run;
+}
+
+async function loadSnapshot(key) {
+  if (syncState.snapshot?.key === key) return syncState.snapshot;
+
+  try {
+    const snapshot = JSON.parse(await fs.readFile(snapshotFile, "utf8"));
+    syncState.snapshot = snapshot.key === key ? snapshot : null;
+  } catch (error) {
+    if (error.code !== "ENOENT") console.warn("Ignoring unreadable Notion snapshot", error);
+    syncState.snapshot = null;
+  }
+
+  return syncState.snapshot;
+}
+
+async function saveSnapshot(snapshot) {
+  const tmpPath = `${snapshotFile}.${process.pid}.tmp`;
+  await fs.mkdir(path.dirname(snapshotFile), { recursive: true });
+  await fs.writeFile(tmpPath, JSON.stringify(snapshot), "utf8");
+  await fs.rename(tmpPath, snapshotFile);
+  syncState.snapshot = snapshot;
+}
+
+function applyRows(snapshot, rows, propertyMap) {
+  let removed = 0;
+
+  for (const row of rows) {
+    if (isRemoved(row)) {
+      if (snapshot.pages[row.id]) removed += 1;
+      delete snapshot.pages[row.id];
+      continue;
+    }
+
+    snapshot.pages[row.id] = mapNotionPage(row, propertyMap);
+    if (row.last_edited_time > snapshot.watermark) snapshot.watermark = row.last_edited_time;
+  }
+
+  return removed;
+}
+
+async function retrievePage(notion, pageId) {
+  try {
+    return await notion.pages.retrieve({ page_id: pageId });
+  } catch (error) {
+    if (error?.code === "object_not_found") return null;
+    throw error;
+  }
+}
+
+function snapshotResult(snapshot, stats) {
+  const pages = Object.values(snapshot.pages);
+  const items = pages
+    .filter((item) => item.url)
+    .sort((a, b) => String(b.editedAt).localeCompare(String(a.editedAt)));
+
+  return {
+    items,
+    totalRows: pages.length,
+    shopsWithUrl: items.length,
+    sync: {
+      ...stats,
+      watermark: snapshot.watermark,
+      syncedAt: snapshot.syncedAt,
+      fullSyncedAt: snapshot.fullSyncedAt
+    }
+  };
+}
+
+// Queries only pages edited since the last watermark and merges them into the stored
+// snapshot. Archived and trashed pages never match that query; the webhook removes them as
+// they go, and the periodic full sync re-reads everything in case anything was missed.
+export function syncShopsFromNotion(config) {
+  const { databaseId, propertyMap } = config;
+  const notion = createNotionClient(config);
+  const key = snapshotKey(config);
+
+  return serialize(async () => {
+    const previous = await loadSnapshot(key);
+    const now = new Date().toISOString();
+    const isFullSync =
+      !previous?.watermark || Date.now() - Date.parse(previous.fullSyncedAt) > fullSyncMs;
+
+    if (isFullSync) {
+      const rows = await queryDatabasePages(notion, databaseId);
+      const snapshot = { key, watermark: "", syncedAt: now, fullSyncedAt: now, pages: {} };
+      applyRows(snapshot, rows, propertyMap);
+
+      const removed = previous ? Object.keys(previous.pages).filter((id) => !snapshot.pages[id]).length : 0;
+      await saveSnapshot(snapshot);
+      return snapshotResult(snapshot, { mode: "full", changed: rows.length, removed });
+    }
+
+    // Notion rounds last_edited_time to the minute, so on_or_after re-reads a few
+    // pages from the watermark minute; merging them again is harmless.
+    const rows = await queryDatabasePages(notion, databaseId, {
+      timestamp: "last_edited_time",
+      last_edited_time: { on_or_after: previous.watermark }
+    });
+    const snapshot = { ...previous, pages: { ...previous.pages }, syncedAt: now };
+    const removed = applyRows(snapshot, rows, propertyMap);
+
+    await saveSnapshot(snapshot);
+    return snapshotResult(snapshot, { mode: "incremental", changed: rows.length, removed });
+  });
+}
+
+const pageEvents = [
+  "page.created",
+  "page.properties_updated",
+  "page.content_updated",
+  "page.moved",
+  "page.deleted",
+  "page.undeleted"
+];
+
+// Patches a single page into the snapshot. Returns false when the event had nothing to
+// do with the synced database, or there is no snapshot yet to patch.
+export function applyNotionWebhookEvent(event, config) {
+  const { databaseId, propertyMap } = config;
+  const notion = createNotionClient(config);
+  const key = snapshotKey(config);
+
+  return serialize(async () => {
+    const pageId = event?.entity?.type === "page" ? String(event.entity.id || "") : "";
+    if (!pageId || !pageEvents.includes(event.type)) return false;
+
+    const previous = await loadSnapshot(key);
+    if (!previous) return false;
+
+    const snapshot = { ...previous, pages: { ...previous.pages } };
+    const existingId = Object.keys(snapshot.pages).find((id) => normalizeId(id) === normalizeId(pageId));
+
+    const page = event.type === "page.deleted" ? null : await retrievePage(notion, pageId);
+
+    const belongsHere = page && normalizeId(page.parent?.database_id) === normalizeId(databaseId);
+    if (!belongsHere) {
+      if (!existingId) return false;
+      delete snapshot.pages[existingId];
+    } else {
+      applyRows(snapshot, [page], propertyMap);
+    }
+
+    // A single page says nothing about other edits since the last sync, so the watermark stays.
+    snapshot.watermark = previous.watermark;
+    await saveSnapshot(snapshot);
+    return true;
+  });
+}
+
+// Patches pages the app itself just wrote (or archived) into the snapshot, so the next
+// incremental sync doesn't have to wait for a webhook to see an archive. The watermark
+// stays put: edits made elsewhere in the meantime haven't been synced yet.
+export function applyNotionPages(pages, config) {
+  const key = snapshotKey(config);
+
+  return serialize(async () => {
+    const previous = await loadSnapshot(key);
+    if (!previous) return false;
+
+    const snapshot = { ...previous, pages: { ...previous.pages } };
+    applyRows(snapshot, pages, config.propertyMap);
+    snapshot.watermark = previous.watermark;
+    await saveSnapshot(snapshot);
+    return true;
+  });
+}
@@ -0,0 +1,99 @@
+import { createNotionClient, normalizeCandidateUrl, resolveShopProperties } from "./notion.js";
+
+// Notion caps a single rich text object at 2000 characters.
+const maxTextChunk = 2000;
+const maxTags = 50;
+
+const trim = (value) => String(value || "").trim();
+
+const richText = (value) => {
+  const chunks = [];
+  for (let i = 0; i < value.length; i += maxTextChunk) {
+    chunks.push({ type: "text", text: { content: value.slice(i, i + maxTextChunk) } });
+  }
+  return chunks;
+};
+
+// Select option names can't contain commas, so neither can categories or tags.
+function optionName(value, label) {
+  const name = trim(value).slice(0, 100);
+  if (name.includes(",")) throw new Error(`${label} can't contain commas.`);
+  return name;
+}
+
+function shopUrl(value) {
+  const url = normalizeCandidateUrl(value);
+  if (!url) throw new Error("url must be a website address.");
+  return url;
+}
+
+// Picks the editable shop fields out of a request body. Fields that are left out stay as
+// they are; an empty string or list clears the property.
+export function parseShopFields(input = {}, { requireUrl = false } = {}) {
+  const fields = {};
+
+  if (input.title !== undefined) fields.title = trim(input.title).slice(0, 200);
+  if (input.url !== undefined || requireUrl) fields.url = shopUrl(input.url);
+  if (input.category !== undefined) fields.category = optionName(input.category, "category");
+  if (input.notes !== undefined) fields.notes = String(input.notes || "").slice(0, 10000);
+
+  if (input.tags !== undefined) {
+    const list = Array.isArray(input.tags) ? input.tags : String(input.tags || "").split(",");
+    const tags = Array.from(new Set(list.map((tag) => optionName(tag, "tags")).filter(Boolean)));
+    if (tags.length > maxTags) throw new Error(`A shop can have up to ${maxTags} tags.`);
+    fields.tags = tags;
+  }
+
+  return fields;
+}
+
+// Mirrors the readers in notion.js: a rich_text tags property is a comma-separated list,
+// and a multi_select category holds a single option.
+function buildPropertyValue(name, type, value) {
+  const values = Array.isArray(value) ? value : [value].filter(Boolean);
+
+  if (type === "title") return { title: richText(values.join(", ")) };
+  if (type === "rich_text") return { rich_text: richText(values.join(", ")) };
+  if (type === "url") return { url: values[0] || null };
+  if (type === "select") return { select: values[0] ? { name: values[0] } : null };
+  if (type === "multi_select") return { multi_select: values.map((option) => ({ name: option })) };
+
+  throw new Error(`The "${name}" property is a ${type} property and can't be edited from the app.`);
+}
+
+// The database schema decides each property's type, so a page that leaves a property
+// empty is still written correctly.
+async function buildProperties(notion, { databaseId, propertyMap }, fields) {
+  const database = await notion.databases.retrieve({ database_id: databaseId });
+  const resolved = resolveShopProperties(database.properties, propertyMap);
+  const keys = { title: "name", url: "url", category: "category", tags: "tags", notes: "notes" };
+  const properties = {};
+
+  for (const [field, value] of Object.entries(fields)) {
+    const target = resolved[keys[field]];
+    if (!target) throw new Error(`No Notion property is mapped to ${field}.`);
+    if (properties[target.name]) throw new Error(`${field} maps to "${target.name}", which is already being written.`);
+    properties[target.name] = buildPropertyValue(target.name, target.property.type, value);
+  }
+
+  return properties;
+}
+
+export async function updateNotionShop(config, pageId, fields) {
+  const notion = createNotionClient(config);
+  const properties = await buildProperties(notion, config, fields);
+  return notion.pages.update({ page_id: pageId, properties });
+}
+
+export async function createNotionShop(config, fields) {
+  const notion = createNotionClient(config);
+  const title = fields.title || new URL(fields.url).hostname.replace(/^www\./, "");
+  const properties = await buildProperties(notion, config, { ...fields, title });
+  return notion.pages.create({ parent: { database_id: config.databaseId }, properties });
+}
+
+// Archived pages can be restored from Notion's trash.
+export async function archiveNotionShop(config, pageId) {
+  const notion = createNotionClient(config);
+  return notion.pages.update({ page_id: pageId, archived: true });
+}
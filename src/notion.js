@@ -5,7 +5,7 @@ const normalize = (value) => String(value || "").trim().toLowerCase();
 const trim = (value) => String(value || "").trim();
 const hasWhitespace = (value) => /\s/.test(String(value || ""));
 
-const normalizeCandidateUrl = (value) => {
+export const normalizeCandidateUrl = (value) => {
   const raw = trim(value);
   if (!raw) return "";
 
@@ -64,7 +64,7 @@ const normalizeWebsiteUrl = (value) => {
   return normalizeCandidateUrl(value);
 };
 
-const unwrapBuiltWithUrl = (value) => {
+export const unwrapBuiltWithUrl = (value) => {
   const raw = trim(value);
   if (!raw) return raw;
 
@@ -124,31 +124,155 @@ const readNotes = (property) => {
   return "";
 };
 
+// Readers for the extra fields in propertyMap.extra. Unset values are null, or an empty list
+// for the list types.
+const readSelect = (property) => {
+  if (property?.type === "status") return property.status?.name || null;
+  if (property?.type === "formula" && property.formula?.type === "string") return trim(property.formula.string) || null;
+  return readCategory(property) || null;
+};
+
+const readNumber = (property) => {
+  if (!property) return null;
+  if (property.type === "number") return property.number ?? null;
+  if (property.type === "formula" && property.formula?.type === "number") return property.formula.number ?? null;
+  if (property.type === "rollup" && property.rollup?.type === "number") return property.rollup.number ?? null;
+  if (property.type === "rich_text") {
+    const text = trim(getPlainText(property.rich_text));
+    return text && Number.isFinite(Number(text)) ? Number(text) : null;
+  }
+  return null;
+};
+
+const readDate = (property) => {
+  if (!property) return null;
+  if (property.type === "date") return property.date?.start || null;
+  if (property.type === "formula" && property.formula?.type === "date") return property.formula.date?.start || null;
+  if (property.type === "created_time") return property.created_time || null;
+  if (property.type === "last_edited_time") return property.last_edited_time || null;
+  return null;
+};
+
+const readCheckbox = (property) => {
+  if (!property) return null;
+  if (property.type === "checkbox") return Boolean(property.checkbox);
+  if (property.type === "formula" && property.formula?.type === "boolean") return property.formula.boolean ?? null;
+  return null;
+};
+
+const readPeople = (property) => {
+  if (property?.type !== "people") return [];
+  return property.people.map((person) => person.name || person.person?.email || "").filter(Boolean);
+};
+
+// Files uploaded to Notion get signed URLs that expire after an hour; external links don't.
+const readFiles = (property) => {
+  if (property?.type !== "files") return [];
+  return property.files
+    .map((file) => ({ name: file.name || "", url: file.external?.url || file.file?.url || "" }))
+    .filter((file) => file.url);
+};
+
+// The property types each extra field type can be read from.
+export const extraFieldSourceTypes = {
+  select: ["select", "status", "multi_select", "rich_text", "formula"],
+  multi_select: ["multi_select", "select", "rich_text"],
+  number: ["number", "formula", "rollup", "rich_text"],
+  date: ["date", "formula", "created_time", "last_edited_time"],
+  checkbox: ["checkbox", "formula"],
+  url: ["url", "rich_text", "title", "formula"],
+  people: ["people"],
+  files: ["files"]
+};
+
+const extraFieldReaders = {
+  select: readSelect,
+  multi_select: readTags,
+  number: readNumber,
+  date: readDate,
+  checkbox: readCheckbox,
+  url: (property) => readUrl(property) || null,
+  people: readPeople,
+  files: readFiles
+};
+
+// Extra fields are looked up by their exact property name (ignoring case); there is no fallback.
+const readExtraFields = (props, fields) => {
+  const byName = new Map(Object.entries(props || {}).map(([name, property]) => [normalize(name), property]));
+  return Object.fromEntries(
+    fields.map(({ key, property, type }) => [key, extraFieldReaders[type](byName.get(normalize(property)))])
+  );
+};
+
 const firstPropertyByType = (props, acceptedTypes = []) => {
-  const values = Object.values(props || {});
-  return values.find((property) => acceptedTypes.includes(property?.type));
+  const entries = Object.entries(props || {});
+  return entries.find(([, property]) => acceptedTypes.includes(property?.type));
 };
 
-const findProperty = (props, preferredName, options = {}) => {
+// The third element says how the property was found: "exact" (the configured name),
+// "alias" (one of the common names) or "type" (the first property of an accepted type).
+const findPropertyEntry = (props, preferredName, options = {}) => {
   const acceptedTypes = options.acceptedTypes || [];
   const preferredNames = (options.preferredNames || []).map(normalize);
   const entries = Object.entries(props || {});
-  const byName = new Map(entries.map(([name, value]) => [normalize(name), value]));
+  const byName = new Map(entries.map(([name, value]) => [normalize(name), [name, value]]));
 
   if (preferredName && byName.has(normalize(preferredName))) {
-    return byName.get(normalize(preferredName));
+    return [...byName.get(normalize(preferredName)), "exact"];
   }
 
   for (const name of preferredNames) {
-    if (byName.has(name)) return byName.get(name);
+    if (byName.has(name)) return [...byName.get(name), "alias"];
   }
 
   const byType = firstPropertyByType(props, acceptedTypes);
-  if (byType) return byType;
+  if (byType) return [...byType, "type"];
 
   return undefined;
 };
 
+// How each propertyMap key is looked up: the configured name first, then common names,
+// then the first property of an accepted type.
+export const shopPropertyRules = {
+  name: {
+    acceptedTypes: ["title", "rich_text"],
+    preferredNames: ["name", "title", "shop", "store"]
+  },
+  url: {
+    acceptedTypes: ["url", "rich_text", "formula"],
+    preferredNames: ["url", "website", "link", "site", "shop url"]
+  },
+  tags: {
+    acceptedTypes: ["multi_select", "select", "rich_text"],
+    preferredNames: ["tags", "tags/categories", "tag", "topics", "labels", "keywords"]
+  },
+  category: {
+    acceptedTypes: ["select", "multi_select", "rich_text"],
+    preferredNames: ["category/type", "category", "type", "categories"]
+  },
+  notes: {
+    acceptedTypes: ["rich_text", "title", "formula"],
+    preferredNames: ["description/notes/summary", "description", "notes", "summary", "blurb"]
+  }
+};
+
+// props can be a page's property values or a database's property schema; both carry a type.
+// Returns { key: { name, property, match } } with undefined for keys nothing matched.
+export function resolveShopProperties(props, propertyMap = {}) {
+  return Object.fromEntries(
+    Object.entries(shopPropertyRules).map(([key, rules]) => {
+      const entry = findPropertyEntry(props, propertyMap[key], rules);
+      return [key, entry ? { name: entry[0], property: entry[1], match: entry[2] } : undefined];
+    })
+  );
+}
+
+const shopPropertyReaders = { name: readTitle, url: readUrl, tags: readTags, category: readCategory, notes: readNotes };
+
+// Used by the schema check to spot values that are set but can't be read.
+export const readShopProperty = (key, property) => shopPropertyReaders[key](property);
+export const readExtraField = (type, property) => extraFieldReaders[type](property);
+
 const findUrlFromAnyProperty = (props) => {
   for (const property of Object.values(props || {})) {
     const candidate = readUrl(property);
@@ -157,9 +281,43 @@ const findUrlFromAnyProperty = (props) => {
   return "";
 };
 
-export async function fetchShopsFromNotion(config) {
-  const { notionApiKey, databaseId, propertyMap } = config;
+export function mapNotionPage(row, propertyMap = {}) {
+  const props = row.properties || {};
+  const resolved = resolveShopProperties(props, propertyMap);
+  const titleProp = resolved.name?.property;
+  const urlProp = resolved.url?.property;
+  const tagsProp = resolved.tags?.property;
+  const categoryProp = resolved.category?.property;
+  const notesProp = resolved.notes?.property;
+
+  const explicitUrl = readUrl(urlProp);
+  const fallbackUrl = explicitUrl ? "" : findUrlFromAnyProperty(props);
+  const url = unwrapBuiltWithUrl(normalizeWebsiteUrl(explicitUrl || fallbackUrl));
+  const parsedHost = (() => {
+    try {
+      return new URL(url).hostname.replace(/^www\./, "");
+    } catch {
+      return "";
+    }
+  })();
+  const title = trim(readTitle(titleProp)) || parsedHost || "Untitled";
+  const tags = readTags(tagsProp);
+  const category = readCategory(categoryProp);
+  const notes = readNotes(notesProp);
+
+  return {
+    id: row.id,
+    title,
+    url,
+    category,
+    tags,
+    notes,
+    editedAt: row.last_edited_time,
+    ...(propertyMap.extra?.length ? { extra: readExtraFields(props, propertyMap.extra) } : {})
+  };
+}
 
+export function createNotionClient({ notionApiKey, databaseId }) {
   if (!notionApiKey) {
     throw new Error("NOTION_API_KEY is missing.");
   }
@@ -168,8 +326,10 @@ export async function fetchShopsFromNotion(config) {
     throw new Error("NOTION_DATABASE_ID is missing.");
   }
 
-  const notion = new Client({ auth: notionApiKey });
+  return new Client({ auth: notionApiKey });
+}
 
+export async function queryDatabasePages(notion, databaseId, filter) {
   const results = [];
   let cursor = undefined;
 
@@ -178,6 +338,7 @@ export async function fetchShopsFromNotion(config) {
       database_id: databaseId,
       start_cursor: cursor,
       page_size: 100,
+      ...(filter ? { filter } : {}),
       sorts: [
         {
           timestamp: "last_edited_time",
@@ -190,58 +351,14 @@ export async function fetchShopsFromNotion(config) {
     cursor = page.has_more ? page.next_cursor : undefined;
   } while (cursor);
 
-  const pageRows = results.filter((row) => row.object === "page");
-
-  const items = pageRows
-    .map((row) => {
-      const props = row.properties || {};
-      const titleProp = findProperty(props, propertyMap.name, {
-        acceptedTypes: ["title", "rich_text"],
-        preferredNames: ["name", "title", "shop", "store"]
-      });
-      const urlProp = findProperty(props, propertyMap.url, {
-        acceptedTypes: ["url", "rich_text", "formula"],
-        preferredNames: ["url", "website", "link", "site", "shop url"]
-      });
-      const tagsProp = findProperty(props, propertyMap.tags, {
-        acceptedTypes: ["multi_select", "select", "rich_text"],
-        preferredNames: ["tags", "tags/categories", "tag", "topics", "labels", "keywords"]
-      });
-      const categoryProp = findProperty(props, propertyMap.category, {
-        acceptedTypes: ["select", "multi_select", "rich_text"],
-        preferredNames: ["category/type", "category", "type", "categories"]
-      });
-      const notesProp = findProperty(props, propertyMap.notes, {
-        acceptedTypes: ["rich_text", "title", "formula"],
-        preferredNames: ["description/notes/summary", "description", "notes", "summary", "blurb"]
-      });
-
-      const explicitUrl = readUrl(urlProp);
-      const fallbackUrl = explicitUrl ? "" : findUrlFromAnyProperty(props);
-      const url = unwrapBuiltWithUrl(normalizeWebsiteUrl(explicitUrl || fallbackUrl));
-      const parsedHost = (() => {
-        try {
-          return new URL(url).hostname.replace(/^www\./, "");
-        } catch {
-          return "";
-        }
-      })();
-      const title = trim(readTitle(titleProp)) || parsedHost || "Untitled";
-      const tags = readTags(tagsProp);
-      const category = readCategory(categoryProp);
-      const notes = readNotes(notesProp);
-
-      return {
-        id: row.id,
-        title,
-        url,
-        category,
-        tags,
-        notes,
-        editedAt: row.last_edited_time
-      };
-    })
-    .filter((item) => item.url);
+  return results.filter((row) => row.object === "page");
+}
+
+export async function fetchShopsFromNotion(config) {
+  const { databaseId, propertyMap } = config;
+  const notion = createNotionClient(config);
+  const pageRows = await queryDatabasePages(notion, databaseId);
+  const items = pageRows.map((row) => mapNotionPage(row, propertyMap)).filter((item) => item.url);
 
   return {
     items,
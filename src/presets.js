@@ -0,0 +1,81 @@
+import crypto from "node:crypto";
+import { createJsonStore, dataFilePath } from "./json-store.js";
+
+const maxPresets = 50;
+const sorts = ["relevance", "recent", "oldest", "az", "za"];
+
+const presetStore = createJsonStore({
+  file: dataFilePath(process.env.PRESETS_FILE, "presets.json"),
+  key: "byUser",
+  empty: {}
+});
+
+const toList = (value, limit) =>
+  (Array.isArray(value) ? value : [])
+    .map((item) => String(item || "").trim())
+    .filter(Boolean)
+    .slice(0, limit);
+
+// Same shape as the filter strip's state in the React app.
+function normalizeFilters(filters = {}) {
+  return {
+    categories: toList(filters.categories, 50),
+    tags: toList(filters.tags, 50),
+    tagMode: filters.tagMode === "any" ? "any" : "all",
+    fields: Object.fromEntries(
+      Object.entries(filters.fields && typeof filters.fields === "object" ? filters.fields : {})
+        .filter(([key]) => /^[A-Za-z]\w*$/.test(key))
+        .map(([key, values]) => [key, toList(values, 20)])
+        .filter(([, values]) => values.length > 0)
+        .slice(0, 20)
+    ),
+    summary: String(filters.summary || "").slice(0, 200),
+    sort: sorts.includes(filters.sort) ? filters.sort : "recent"
+  };
+}
+
+export async function getUserPresets(userId) {
+  const entry = (await presetStore.read())[userId];
+  return { presets: entry?.presets || [], defaultId: entry?.defaultId || null };
+}
+
+// Replaces the user's whole list; the client renames, reorders and deletes locally and saves
+// the result, which keeps the server and localStorage fallback on the same code path.
+export async function saveUserPresets(userId, { presets, defaultId } = {}) {
+  if (!Array.isArray(presets)) {
+    throw new Error("presets must be an array.");
+  }
+
+  if (presets.length > maxPresets) {
+    throw new Error(`You can save up to ${maxPresets} presets.`);
+  }
+
+  const normalized = presets.map((preset) => {
+    const name = String(preset?.name || "").trim().slice(0, 60);
+    if (!name) throw new Error("Every preset needs a name.");
+
+    return {
+      id: /^[\w-]{1,64}$/.test(String(preset.id || "")) ? String(preset.id) : crypto.randomUUID(),
+      name,
+      filters: normalizeFilters(preset.filters)
+    };
+  });
+
+  const entry = {
+    presets: normalized,
+    defaultId: normalized.some((preset) => preset.id === defaultId) ? defaultId : null,
+    updatedAt: new Date().toISOString()
+  };
+
+  await presetStore.update((byUser) => ({ value: { ...byUser, [userId]: entry } }));
+  return { presets: entry.presets, defaultId: entry.defaultId };
+}
+
+export async function deleteUserPresets(userId) {
+  await presetStore.update((byUser) => {
+    if (!byUser[userId]) return {};
+
+    const { [userId]: _removed, ...rest } = byUser;
+    return { value: rest };
+  });
+}
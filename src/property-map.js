@@ -0,0 +1,14 @@
+import { loadExtraFields } from "./extra-fields.js";
+
+export const extraFields = loadExtraFields();
+
+// The Notion property names the gallery reads, shared by the server and the scripts that must see the same columns.
+// extra is only set when configured, so adding the option doesn't invalidate existing snapshots.
+export const propertyMap = {
+  name: process.env.NOTION_NAME_PROP || "Name",
+  url: process.env.NOTION_URL_PROP || "URL",
+  category: process.env.NOTION_CATEGORY_PROP || "Category/Type",
+  tags: process.env.NOTION_TAGS_PROP || "Tags",
+  notes: process.env.NOTION_NOTES_PROP || "Notes",
+  ...(extraFields.length ? { extra: extraFields } : {})
+};
@@ -0,0 +1,232 @@
+import {
+  createNotionClient,
+  extraFieldSourceTypes,
+  mapNotionPage,
+  queryDatabasePages,
+  readExtraField,
+  readShopProperty,
+  resolveShopProperties,
+  shopPropertyRules
+} from "./notion.js";
+
+// Only the first rows with problems are listed; the counts cover all of them.
+const maxRowSamples = 100;
+// Without these the gallery has nothing to show, so a missing mapping is an error rather than a warning.
+const requiredKeys = ["name", "url"];
+
+const normalize = (value) => String(value || "").trim().toLowerCase();
+
+const quoteNames = (names) => names.map((name) => `"${name}"`).join(", ");
+
+const isEmptyValue = (value) =>
+  value === null || value === undefined || value === "" || (Array.isArray(value) && value.length === 0);
+
+// Formulas and rollups keep their result one level down, under their own type.
+const rawValue = (property) => {
+  const value = property?.[property?.type];
+  return property?.type === "formula" || property?.type === "rollup" ? value?.[value?.type] : value;
+};
+
+// Whether a page property holds anything at all, whatever its type. An unticked checkbox counts.
+function hasRawValue(property) {
+  const value = rawValue(property);
+  if (Array.isArray(value)) {
+    return value.some((item) => (item?.plain_text === undefined ? true : item.plain_text.trim()));
+  }
+  return !isEmptyValue(value);
+}
+
+function previewValue(property) {
+  const value = rawValue(property);
+  const text =
+    Array.isArray(value) && value.every((item) => item?.plain_text !== undefined)
+      ? value.map((item) => item.plain_text).join("")
+      : JSON.stringify(value);
+  return String(text).slice(0, 80);
+}
+
+function createStatus() {
+  const status = { status: "ok", issues: [] };
+  const flag = (level, message) => {
+    status.issues.push(message);
+    if (level === "error" || status.status === "ok") status.status = level;
+  };
+  return { status, flag };
+}
+
+// How each propertyMap key resolved against the database schema, and what looks wrong about it.
+// Properties taken by extra fields count as claimed by name.
+function checkMappings(schema, propertyMap = {}, extra = []) {
+  const resolved = resolveShopProperties(schema, propertyMap);
+  const names = new Map(Object.keys(schema).map((name) => [normalize(name), name]));
+  const claims = [
+    ...Object.entries(resolved)
+      .filter(([, target]) => target)
+      .map(([key, target]) => ({ key, name: target.name, byName: target.match !== "type" })),
+    ...extra
+      .filter((field) => field.property)
+      .map((field) => ({ key: `extra.${field.key}`, name: field.property, byName: true }))
+  ];
+  const explicit = new Set(claims.filter((claim) => claim.byName).map((claim) => claim.name));
+  const usedBy = new Map();
+  for (const claim of claims) usedBy.set(claim.name, [...(usedBy.get(claim.name) || []), claim.key]);
+
+  return Object.entries(shopPropertyRules).map(([key, rules]) => {
+    const target = resolved[key];
+    const configured = propertyMap[key] || null;
+    const { status, flag } = createStatus();
+    let candidates = [];
+
+    if (!target) {
+      const types = rules.acceptedTypes.join(", ");
+      flag(
+        requiredKeys.includes(key) ? "error" : "warning",
+        configured
+          ? `No property named "${configured}" and no ${types} property to fall back to.`
+          : `No ${types} property found.`
+      );
+    } else {
+      if (configured && target.match !== "exact") {
+        flag("warning", `No property named "${configured}"; it may have been renamed. Using "${target.name}".`);
+      }
+
+      if (!rules.acceptedTypes.includes(target.property.type)) {
+        flag("error", `"${target.name}" is a ${target.property.type} property, which can't be read as ${key}.`);
+      }
+
+      if (target.match === "alias") {
+        candidates = rules.preferredNames
+          .filter((name) => names.has(name) && name !== normalize(target.name))
+          .map((name) => names.get(name));
+        if (candidates.length) flag("warning", `Ambiguous: ${quoteNames(candidates)} also match.`);
+      }
+
+      // The first property of an accepted type that no other key claimed by name.
+      if (target.match === "type") {
+        candidates = Object.entries(schema)
+          .filter(([name, property]) => rules.acceptedTypes.includes(property.type) && !explicit.has(name))
+          .map(([name]) => name)
+          .filter((name) => name !== target.name);
+        flag(
+          "warning",
+          candidates.length
+            ? `Ambiguous: guessed from the property type; ${quoteNames(candidates)} would also fit.`
+            : "Guessed from the property type."
+        );
+      }
+
+      const shared = usedBy.get(target.name).filter((other) => other !== key);
+      if (shared.length) flag("warning", `"${target.name}" is also used for ${shared.join(", ")}.`);
+    }
+
+    return {
+      key,
+      configured,
+      property: target?.name || null,
+      type: target?.property.type || null,
+      match: target?.match || null,
+      candidates,
+      ...status
+    };
+  });
+}
+
+// Extra fields are matched by name only, so the check is whether the property exists and its
+// type can be read as the configured one.
+function checkExtraFields(schema, fields = []) {
+  const byName = new Map(Object.entries(schema).map(([name, property]) => [normalize(name), [name, property]]));
+
+  return fields.map(({ key, property, type }) => {
+    const found = byName.get(normalize(property));
+    const { status, flag } = createStatus();
+
+    if (!found) flag("error", `No property named "${property}".`);
+    else if (!extraFieldSourceTypes[type].includes(found[1].type)) {
+      flag("error", `"${found[0]}" is a ${found[1].type} property, which can't be read as ${type}.`);
+    }
+
+    return {
+      key,
+      configured: property,
+      property: found?.[0] || null,
+      type: found?.[1].type || null,
+      expectedType: type,
+      match: found ? "exact" : null,
+      ...status
+    };
+  });
+}
+
+// A value is unreadable when the property holds something but the reader gets nothing out of it,
+// e.g. "n/a" in a URL column or a text formula feeding a number field. Rows without a URL are
+// left out of the gallery altogether.
+function checkRows(rows, propertyMap, mappings, extra) {
+  const readers = [
+    ...mappings
+      .filter((mapping) => mapping.property)
+      .map((mapping) => ({ ...mapping, read: (property) => readShopProperty(mapping.key, property) })),
+    ...extra
+      .filter((field) => field.property)
+      .map((field) => ({
+        key: `extra.${field.key}`,
+        property: field.property,
+        read: (property) => readExtraField(field.expectedType, property)
+      }))
+  ];
+  const samples = [];
+  let unreadable = 0;
+  let withoutUrl = 0;
+
+  for (const row of rows) {
+    const props = row.properties || {};
+    const issues = readers
+      .filter(({ property, read }) => hasRawValue(props[property]) && isEmptyValue(read(props[property])))
+      .map(({ key, property }) => ({ key, property, value: previewValue(props[property]) }));
+    const shop = mapNotionPage(row, propertyMap);
+
+    if (issues.length) unreadable += 1;
+    if (!shop.url) withoutUrl += 1;
+    if ((issues.length || !shop.url) && samples.length < maxRowSamples) {
+      samples.push({ id: row.id, title: shop.title, notionUrl: row.url || null, missingUrl: !shop.url, issues });
+    }
+  }
+
+  return { checked: rows.length, unreadable, withoutUrl, samples };
+}
+
+// Retrieves the database schema (and with rows, every page) and reports how the shop
+// fields map onto it. options.rows = false skips the page scan on large databases.
+export async function checkNotionSchema(config, { rows = true } = {}) {
+  const { databaseId, propertyMap = {} } = config;
+  const notion = createNotionClient(config);
+  const database = await notion.databases.retrieve({ database_id: databaseId });
+  const schema = database.properties || {};
+
+  const extra = checkExtraFields(schema, propertyMap.extra);
+  const mappings = checkMappings(schema, propertyMap, extra);
+  const rowReport = rows
+    ? checkRows(await queryDatabasePages(notion, databaseId), propertyMap, mappings, extra)
+    : null;
+  const checks = [...mappings, ...extra];
+
+  const usedFor = (name) => [
+    ...mappings.filter((mapping) => mapping.property === name).map((mapping) => mapping.key),
+    ...extra.filter((field) => field.property === name).map((field) => `extra.${field.key}`)
+  ];
+
+  return {
+    checkedAt: new Date().toISOString(),
+    databaseId,
+    databaseTitle: (database.title || []).map((item) => item.plain_text).join("") || null,
+    errors: checks.filter((check) => check.status === "error").length,
+    warnings: checks.filter((check) => check.status === "warning").length,
+    mappings,
+    extra,
+    properties: Object.entries(schema).map(([name, property]) => ({
+      name,
+      type: property.type,
+      usedFor: usedFor(name)
+    })),
+    rows: rowReport
+  };
+}
@@ -0,0 +1,311 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const isVercel = Boolean(process.env.VERCEL);
+const screenshotTtlHours = Number(process.env.SCREENSHOT_CACHE_TTL_HOURS || 168);
+const screenshotStaleHours = Number(process.env.SCREENSHOT_CACHE_STALE_HOURS || 720);
+const maxBytes = Math.max(1, Number(process.env.SCREENSHOT_CACHE_MAX_MB || 1024)) * 1024 * 1024;
+const maxEntries = Math.max(1, Number(process.env.SCREENSHOT_CACHE_MAX_ENTRIES || 5000));
+const sweepIntervalMs = Math.max(1, Number(process.env.SCREENSHOT_CACHE_SWEEP_MINUTES || 60)) * 60 * 1000;
+// Files this young may belong to a write that hasn't reached the index yet, so the sweep leaves them.
+const sweepGraceMs = 10 * 60 * 1000;
+// A hit moves the entry's timestamp at most this often.
+const touchIntervalMs = 60 * 1000;
+
+export const screenshotCacheDir = isVercel
+  ? path.join("/tmp", "shop-haul-screenshots")
+  : path.resolve(__dirname, "../public/cache/screenshots");
+export const screenshotTtlMs = Math.max(1, screenshotTtlHours) * 60 * 60 * 1000;
+const screenshotStaleMs = Math.max(0, screenshotStaleHours) * 60 * 60 * 1000;
+export const screenshotVersion = "v3";
+
+const cacheState =
+  globalThis.__shopHaulScreenshotCache ||
+  (globalThis.__shopHaulScreenshotCache = {
+    index: null,
+    indexing: null,
+    hits: 0,
+    staleHits: 0,
+    misses: 0,
+    evictions: 0,
+    lastSweepAt: 0,
+    sweeper: null
+  });
+
+export const cacheKeyForUrl = (url, variant = "") =>
+  crypto
+    .createHash("sha256")
+    .update(`${screenshotVersion}:${url}${variant ? `#${variant}` : ""}`)
+    .digest("hex");
+
+const pathsForKey = (cacheKey) => ({
+  binPath: path.join(screenshotCacheDir, `${cacheKey}.bin`),
+  metaPath: path.join(screenshotCacheDir, `${cacheKey}.json`)
+});
+
+const ageOf = (fetchedAt) => Date.now() - Number(fetchedAt);
+
+const isExpired = (fetchedAt) => {
+  const ageMs = ageOf(fetchedAt);
+  return !Number.isFinite(ageMs) || ageMs > screenshotTtlMs;
+};
+
+// Expired entries stay servable as stale copies until the stale window closes too.
+const isUnservable = (fetchedAt) => {
+  const ageMs = ageOf(fetchedAt);
+  return !Number.isFinite(ageMs) || ageMs > screenshotTtlMs + screenshotStaleMs;
+};
+
+async function scanCacheDir() {
+  const index = new Map();
+  const files = await fs.readdir(screenshotCacheDir).catch(() => []);
+
+  for (const file of files.filter((name) => name.endsWith(".json"))) {
+    const cacheKey = file.slice(0, -".json".length);
+    const { binPath, metaPath } = pathsForKey(cacheKey);
+
+    try {
+      const [metaRaw, binStat] = await Promise.all([fs.readFile(metaPath, "utf8"), fs.stat(binPath)]);
+      const meta = JSON.parse(metaRaw);
+      // Hits touch the image file, so its mtime is the last access, not the write.
+      index.set(cacheKey, {
+        url: meta.url || "",
+        variant: meta.variant || "",
+        fetchedAt: Number(meta.fetchedAt) || 0,
+        size: binStat.size,
+        lastAccessedAt: binStat.mtimeMs
+      });
+    } catch {
+      // Half-written or orphaned pairs are removed by the next sweep.
+    }
+  }
+
+  return index;
+}
+
+async function getIndex() {
+  if (cacheState.index) return cacheState.index;
+
+  if (!cacheState.indexing) {
+    cacheState.indexing = scanCacheDir()
+      .then((index) => {
+        cacheState.index = index;
+        return index;
+      })
+      .finally(() => {
+        cacheState.indexing = null;
+      });
+  }
+
+  return cacheState.indexing;
+}
+
+async function removeEntry(cacheKey) {
+  const { binPath, metaPath } = pathsForKey(cacheKey);
+  await Promise.all([fs.rm(binPath, { force: true }), fs.rm(metaPath, { force: true })]);
+  cacheState.index?.delete(cacheKey);
+}
+
+async function enforceQuota() {
+  const index = await getIndex();
+  let totalBytes = 0;
+  for (const entry of index.values()) totalBytes += entry.size;
+
+  if (totalBytes <= maxBytes && index.size <= maxEntries) return;
+
+  const leastRecentlyUsed = [...index.entries()].sort((a, b) => a[1].lastAccessedAt - b[1].lastAccessedAt);
+  for (const [cacheKey, entry] of leastRecentlyUsed) {
+    if (totalBytes <= maxBytes && index.size <= maxEntries) break;
+    await removeEntry(cacheKey);
+    totalBytes -= entry.size;
+    cacheState.evictions += 1;
+  }
+}
+
+export async function readCacheEntry(cacheKey) {
+  const { binPath, metaPath } = pathsForKey(cacheKey);
+
+  try {
+    const [metaRaw, bin] = await Promise.all([fs.readFile(metaPath, "utf8"), fs.readFile(binPath)]);
+    const meta = JSON.parse(metaRaw);
+
+    if (!meta?.fetchedAt || !meta?.contentType) {
+      cacheState.misses += 1;
+      return null;
+    }
+
+    if (!String(meta.contentType).toLowerCase().startsWith("image/")) {
+      cacheState.misses += 1;
+      return null;
+    }
+
+    if (isUnservable(meta.fetchedAt)) {
+      cacheState.misses += 1;
+      return null;
+    }
+
+    const stale = isExpired(meta.fetchedAt);
+    const indexed = cacheState.index?.get(cacheKey);
+    const now = Date.now();
+    if (!indexed || now - indexed.lastAccessedAt > touchIntervalMs) {
+      // Keeps the LRU order across restarts; freshness comes from fetchedAt in the meta file.
+      fs.utimes(binPath, new Date(now), new Date(now)).catch(() => {});
+    }
+    if (indexed) indexed.lastAccessedAt = now;
+    if (stale) cacheState.staleHits += 1;
+    else cacheState.hits += 1;
+
+    return {
+      contentType: meta.contentType,
+      body: bin,
+      fetchedAt: Number(meta.fetchedAt),
+      stale
+    };
+  } catch {
+    cacheState.misses += 1;
+    return null;
+  }
+}
+
+export async function findCacheEntry(cacheKey) {
+  return (await getIndex()).get(cacheKey) || null;
+}
+
+// For local analysis: doesn't count as a hit or refresh the entry's LRU position.
+export async function readCachedImage(cacheKey) {
+  const entry = await findCacheEntry(cacheKey);
+  if (!entry) return null;
+
+  try {
+    return { body: await fs.readFile(pathsForKey(cacheKey).binPath), fetchedAt: entry.fetchedAt };
+  } catch {
+    return null;
+  }
+}
+
+export async function getCacheEntryState(cacheKey) {
+  const { metaPath } = pathsForKey(cacheKey);
+
+  try {
+    const meta = JSON.parse(await fs.readFile(metaPath, "utf8"));
+    if (!meta?.fetchedAt || isUnservable(meta.fetchedAt)) return "missing";
+    return isExpired(meta.fetchedAt) ? "expired" : "fresh";
+  } catch {
+    return "missing";
+  }
+}
+
+export async function writeCacheEntry(cacheKey, contentType, body, details = {}) {
+  const { binPath, metaPath } = pathsForKey(cacheKey);
+  const meta = {
+    contentType,
+    fetchedAt: details.fetchedAt || Date.now(),
+    url: details.url || "",
+    variant: details.variant || ""
+  };
+
+  await Promise.all([
+    fs.writeFile(binPath, body),
+    fs.writeFile(metaPath, JSON.stringify(meta), "utf8")
+  ]);
+
+  const index = await getIndex();
+  index.set(cacheKey, {
+    url: meta.url,
+    variant: meta.variant,
+    fetchedAt: meta.fetchedAt,
+    size: body.length,
+    lastAccessedAt: Date.now()
+  });
+
+  enforceQuota().catch((error) => console.error("Screenshot cache eviction failed", error));
+}
+
+export async function sweepCache() {
+  const files = await fs.readdir(screenshotCacheDir).catch(() => []);
+  const keys = new Set(
+    files.filter((name) => /\.(bin|json)$/.test(name)).map((name) => name.replace(/\.(bin|json)$/, ""))
+  );
+  const index = await getIndex();
+  let removed = 0;
+
+  for (const cacheKey of keys) {
+    const entry = index.get(cacheKey);
+    if (entry && !isUnservable(entry.fetchedAt)) continue;
+
+    const { binPath, metaPath } = pathsForKey(cacheKey);
+    const stats = await Promise.all([binPath, metaPath].map((file) => fs.stat(file).catch(() => null)));
+    if (stats.some((stat) => stat && Date.now() - stat.mtimeMs < sweepGraceMs)) continue;
+
+    await removeEntry(cacheKey);
+    removed += 1;
+  }
+
+  await enforceQuota();
+  cacheState.lastSweepAt = Date.now();
+  return { removed };
+}
+
+export function startCacheSweeper() {
+  if (cacheState.sweeper) return;
+
+  cacheState.sweeper = setInterval(() => {
+    sweepCache().catch((error) => console.error("Screenshot cache sweep failed", error));
+  }, sweepIntervalMs);
+  cacheState.sweeper.unref?.();
+}
+
+export async function getCacheStats() {
+  const index = await getIndex();
+  let totalBytes = 0;
+  let expired = 0;
+
+  for (const entry of index.values()) {
+    totalBytes += entry.size;
+    if (isExpired(entry.fetchedAt)) expired += 1;
+  }
+
+  const lookups = cacheState.hits + cacheState.staleHits + cacheState.misses;
+
+  return {
+    entries: index.size,
+    expired,
+    totalBytes,
+    maxBytes,
+    maxEntries,
+    hits: cacheState.hits,
+    staleHits: cacheState.staleHits,
+    misses: cacheState.misses,
+    hitRatio: lookups ? (cacheState.hits + cacheState.staleHits) / lookups : null,
+    evictions: cacheState.evictions,
+    lastSweepAt: cacheState.lastSweepAt ? new Date(cacheState.lastSweepAt).toISOString() : null
+  };
+}
+
+export async function purgeCacheUrl(url) {
+  const index = await getIndex();
+  const defaultKey = cacheKeyForUrl(url);
+  const keys = [...index.entries()]
+    .filter(([cacheKey, entry]) => cacheKey === defaultKey || entry.url === url)
+    .map(([cacheKey]) => cacheKey);
+
+  for (const cacheKey of keys) {
+    await removeEntry(cacheKey);
+  }
+
+  return { removed: keys.length };
+}
+
+export async function purgeCache() {
+  const index = await getIndex();
+  const removed = index.size;
+
+  await fs.rm(screenshotCacheDir, { recursive: true, force: true });
+  await fs.mkdir(screenshotCacheDir, { recursive: true });
+  index.clear();
+
+  return { removed };
+}
@@ -0,0 +1,93 @@
+import { createJsonStore, dataFilePath } from "./json-store.js";
+import { cacheKeyForUrl, findCacheEntry, readCachedImage } from "./screenshot-cache.js";
+
+const featureStore = createJsonStore({
+  file: dataFilePath(process.env.SCREENSHOT_FEATURES_FILE, "screenshot-features.json"),
+  key: "byUrl",
+  empty: {}
+});
+const defaultMaxComputed = 40;
+
+// A 64-bit difference hash (layout) and a 64-bin colour histogram (palette).
+async function computeFeatures(body) {
+  const { default: sharp } = await import("sharp");
+
+  const gray = await sharp(body, { failOn: "none" }).grayscale().resize(9, 8, { fit: "fill" }).raw().toBuffer();
+  let hash = 0n;
+  for (let y = 0; y < 8; y += 1) {
+    for (let x = 0; x < 8; x += 1) {
+      hash = (hash << 1n) | (gray[y * 9 + x] > gray[y * 9 + x + 1] ? 1n : 0n);
+    }
+  }
+
+  const rgb = await sharp(body, { failOn: "none" }).removeAlpha().resize(32, 32, { fit: "fill" }).raw().toBuffer();
+  const bins = new Array(64).fill(0);
+  for (let i = 0; i < rgb.length; i += 3) {
+    bins[(rgb[i] >> 6) * 16 + (rgb[i + 1] >> 6) * 4 + (rgb[i + 2] >> 6)] += 1;
+  }
+
+  const pixels = rgb.length / 3;
+  return {
+    hash: hash.toString(16).padStart(16, "0"),
+    histogram: bins.map((count) => Math.round((count / pixels) * 10000) / 10000)
+  };
+}
+
+// Features for every shop whose default screenshot is cached, keyed by URL. Nothing is
+// captured here; new or refreshed screenshots are analysed maxComputed at a time.
+export async function getScreenshotFeatures(shops, { maxComputed = defaultMaxComputed } = {}) {
+  const stored = await featureStore.read();
+  const features = new Map();
+  const updates = {};
+  let computed = 0;
+
+  for (const shop of shops) {
+    const cacheKey = cacheKeyForUrl(shop.url);
+    const entry = await findCacheEntry(cacheKey);
+    if (!entry) continue;
+
+    const known = stored[shop.url];
+    if (known?.fetchedAt === entry.fetchedAt) {
+      features.set(shop.url, known);
+      continue;
+    }
+
+    if (computed >= maxComputed) continue;
+    const image = await readCachedImage(cacheKey);
+    if (!image) continue;
+
+    try {
+      const next = { fetchedAt: image.fetchedAt, ...(await computeFeatures(image.body)) };
+      updates[shop.url] = next;
+      features.set(shop.url, next);
+      computed += 1;
+    } catch (error) {
+      console.warn(`Could not analyse the screenshot of ${shop.url}`, error);
+    }
+  }
+
+  if (computed > 0) await featureStore.update((byUrl) => ({ value: { ...byUrl, ...updates } }));
+  return features;
+}
+
+const popCount32 = (value) => {
+  let bits = value - ((value >>> 1) & 0x55555555);
+  bits = (bits & 0x33333333) + ((bits >>> 2) & 0x33333333);
+  return (((bits + (bits >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+};
+
+// Number of differing bits between two 16-hex-digit hashes (0..64).
+export function hashDistance(a, b) {
+  const high = Number.parseInt(a.slice(0, 8), 16) ^ Number.parseInt(b.slice(0, 8), 16);
+  const low = Number.parseInt(a.slice(8), 16) ^ Number.parseInt(b.slice(8), 16);
+  return popCount32(high >>> 0) + popCount32(low >>> 0);
+}
+
+export function histogramOverlap(a, b) {
+  return a.histogram.reduce((sum, value, index) => sum + Math.min(value, b.histogram[index]), 0);
+}
+
+// 0..1: the average of hash closeness and histogram intersection.
+export function visualSimilarity(a, b) {
+  return (1 - hashDistance(a.hash, b.hash) / 64 + histogramOverlap(a, b)) / 2;
+}
@@ -0,0 +1,121 @@
+import { devicePresets, renderScreenshot } from "./screenshot-renderer.js";
+
+const screenshotWaitForIdle = process.env.SCREENSHOT_WAIT_FOR_IDLE === "true";
+
+const isDefaultScreenshot = (options) =>
+  options.device === "desktop" && !options.width && !options.height && !options.fullPage;
+
+const screenshotProviderRegistry = {
+  local: {
+    render: (url, options) => renderScreenshot(url, options)
+  },
+  screenshotof: {
+    buildUrl: (url, options) => {
+      if (!isDefaultScreenshot(options)) return "";
+      return `https://screenshotof.com/${new URL(url).hostname}`;
+    }
+  },
+  thumio: {
+    buildUrl: (url, options) => {
+      const preset = devicePresets[options.device];
+      const viewportWidth = options.width || preset.width;
+      const size = options.fullPage
+        ? "fullpage"
+        : `crop/${Math.round(((options.height || preset.height) * 1400) / viewportWidth)}`;
+      const viewport = isDefaultScreenshot(options) ? "" : `viewportWidth/${viewportWidth}/`;
+      return `https://image.thum.io/get/${viewport}width/1400/${size}/noanimate/${encodeURIComponent(url)}`;
+    }
+  }
+};
+
+const screenshotProviders = String(process.env.SCREENSHOT_PROVIDERS || "screenshotof,thumio")
+  .split(",")
+  .map((name) => name.trim().toLowerCase())
+  .filter((name) => screenshotProviderRegistry[name])
+  .map((name) => ({ name, ...screenshotProviderRegistry[name] }));
+
+const parseBoundedInt = (value, min, max) => {
+  const parsed = Number.parseInt(String(value ?? ""), 10);
+  return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : undefined;
+};
+
+export function parseScreenshotOptions(query = {}) {
+  const device = devicePresets[query.device] ? query.device : "desktop";
+  const idle = typeof query.idle === "string" ? query.idle === "1" : screenshotWaitForIdle;
+
+  return {
+    device,
+    width: parseBoundedInt(query.vw, 320, 3840),
+    height: parseBoundedInt(query.vh, 320, 2400),
+    fullPage: query.full === "1",
+    waitForNetworkIdle: idle
+  };
+}
+
+// Default captures keep an empty variant so existing cache entries stay valid.
+export const screenshotVariant = (options) =>
+  [
+    options.device !== "desktop" ? `device=${options.device}` : "",
+    options.width ? `vw=${options.width}` : "",
+    options.height ? `vh=${options.height}` : "",
+    options.fullPage ? "full=1" : "",
+    options.waitForNetworkIdle !== screenshotWaitForIdle ? `idle=${options.waitForNetworkIdle ? 1 : 0}` : ""
+  ]
+    .filter(Boolean)
+    .join("&");
+
+function screenshotError(contentType, body) {
+  if (!String(contentType).toLowerCase().startsWith("image/")) {
+    return `Provider returned non-image content (${contentType}).`;
+  }
+
+  if (!body.length) {
+    return "Provider returned an empty image.";
+  }
+
+  return "";
+}
+
+export async function fetchScreenshotBuffer(targetUrl, options) {
+  let lastError = "Unknown screenshot error.";
+
+  for (const provider of screenshotProviders) {
+    try {
+      if (provider.render) {
+        const rendered = await provider.render(targetUrl, options);
+        const renderError = screenshotError(rendered.contentType, rendered.body);
+        if (renderError) {
+          lastError = renderError;
+          continue;
+        }
+
+        return rendered;
+      }
+
+      const upstream = provider.buildUrl(targetUrl, options);
+      if (!upstream) {
+        continue;
+      }
+
+      const response = await fetch(upstream);
+      if (!response.ok) {
+        lastError = `Provider failed (${response.status}).`;
+        continue;
+      }
+
+      const contentType = response.headers.get("content-type") || "image/jpeg";
+      const body = Buffer.from(await response.arrayBuffer());
+      const responseError = screenshotError(contentType, body);
+      if (responseError) {
+        lastError = responseError;
+        continue;
+      }
+
+      return { contentType, body };
+    } catch (error) {
+      lastError = error instanceof Error ? error.message : String(error);
+    }
+  }
+
+  throw new Error(lastError);
+}
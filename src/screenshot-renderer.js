@@ -0,0 +1,251 @@
+import dns from "node:dns/promises";
+import net from "node:net";
+
+const renderTimeoutMs = Number(process.env.SCREENSHOT_RENDER_TIMEOUT_MS || 30000);
+const renderConcurrency = Math.max(1, Number(process.env.SCREENSHOT_RENDER_CONCURRENCY || 2));
+const jpegQuality = Number(process.env.SCREENSHOT_RENDER_QUALITY || 82);
+// Chromium's sandbox needs kernel features serverless runtimes (and some containers running as
+// root) don't offer. Everywhere else it stays on, since the renderer opens arbitrary shop pages.
+const disableSandbox =
+  Boolean(process.env.VERCEL) || String(process.env.SCREENSHOT_BROWSER_NO_SANDBOX || "").toLowerCase() === "true";
+
+export const devicePresets = {
+  desktop: {
+    width: 1400,
+    height: 900,
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false
+  },
+  mobile: {
+    width: 390,
+    height: 844,
+    deviceScaleFactor: 2,
+    isMobile: true,
+    hasTouch: true,
+    userAgent:
+      "Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1"
+  }
+};
+
+const renderer =
+  globalThis.__shopHaulScreenshotRenderer ||
+  (globalThis.__shopHaulScreenshotRenderer = {
+    browser: null,
+    active: 0,
+    queue: []
+  });
+
+// Loopback, private, link-local, shared (CGNAT), documentation, benchmark, multicast and reserved ranges.
+const privateIpv4 = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4]
+].forEach(([network, prefix]) => privateIpv4.addSubnet(network, prefix, "ipv4"));
+
+const privateIpv6 = new net.BlockList();
+[
+  ["::", 128],
+  ["::1", 128],
+  ["100::", 64],
+  ["2001:db8::", 32],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["fec0::", 10],
+  ["ff00::", 8]
+].forEach(([network, prefix]) => privateIpv6.addSubnet(network, prefix, "ipv6"));
+
+// The eight 16-bit groups of an IPv6 address, with "::" expanded and a trailing dotted quad folded in.
+function ipv6Groups(address) {
+  let text = address.toLowerCase().split("%")[0];
+  const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, -dotted[0].length)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split("::");
+  const parse = (part) => (part ? part.split(":").map((group) => Number.parseInt(group, 16)) : []);
+  const start = parse(head);
+  const end = tail === undefined ? [] : parse(tail);
+  return [...start, ...new Array(Math.max(0, 8 - start.length - end.length)).fill(0), ...end];
+}
+
+// IPv4-mapped (::ffff:a.b.c.d), IPv4-compatible (::a.b.c.d), NAT64 (64:ff9b::/96) and 6to4
+// (2002::/16) addresses reach an IPv4 host, so they are judged by that host.
+function embeddedIpv4(groups) {
+  const ipv4 = (high, low) => [high >> 8, high & 255, low >> 8, low & 255].join(".");
+  const zeros = (from, to) => groups.slice(from, to).every((group) => group === 0);
+
+  if (zeros(0, 5) && (groups[5] === 0xffff || groups[5] === 0)) return ipv4(groups[6], groups[7]);
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && zeros(2, 6)) return ipv4(groups[6], groups[7]);
+  if (groups[0] === 0x2002) return ipv4(groups[1], groups[2]);
+  return null;
+}
+
+export function isPrivateAddress(address) {
+  const host = String(address || "").replace(/^\[|\]$/g, "");
+  if (net.isIPv4(host)) return privateIpv4.check(host, "ipv4");
+  if (!net.isIPv6(host)) return true;
+
+  const groups = ipv6Groups(host);
+  const ipv4 = embeddedIpv4(groups);
+  if (ipv4) return isPrivateAddress(ipv4);
+  return privateIpv6.check(groups.map((group) => group.toString(16)).join(":"), "ipv6");
+}
+
+// The renderer runs inside our network, so never let it browse to internal hosts.
+async function assertPublicUrl(targetUrl) {
+  const { hostname } = new URL(targetUrl);
+  const host = hostname.replace(/^\[|\]$/g, "");
+
+  if (host === "localhost" || host.endsWith(".localhost") || host.endsWith(".internal")) {
+    throw new Error(`Refusing to render internal host ${host}.`);
+  }
+
+  const addresses = net.isIP(host) ? [{ address: host }] : await dns.lookup(host, { all: true });
+  if (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error(`Refusing to render internal host ${host}.`);
+  }
+}
+
+// Every request the page makes (redirect hops, subresources, iframes) is checked before it goes
+// out, with one DNS lookup per host and render. Chromium resolves the name again itself, so a
+// host that rebinds in between is caught by the address each response actually came from.
+async function guardPage(page) {
+  const lookups = new Map();
+  const allowed = (url) => {
+    const { protocol, host } = new URL(url);
+    if (protocol === "data:" || protocol === "blob:") return Promise.resolve(true);
+    if (protocol !== "http:" && protocol !== "https:") return Promise.resolve(false);
+    if (!lookups.has(host)) {
+      lookups.set(
+        host,
+        assertPublicUrl(url).then(
+          () => true,
+          () => false
+        )
+      );
+    }
+    return lookups.get(host);
+  };
+
+  const state = { blockedResponse: null };
+  await page.setBypassServiceWorker(true);
+  await page.setRequestInterception(true);
+
+  page.on("request", (request) => {
+    if (request.isInterceptResolutionHandled()) return;
+    allowed(request.url())
+      .catch(() => false)
+      .then((ok) => (ok ? request.continue() : request.abort("blockedbyclient")))
+      .catch(() => {});
+  });
+  page.on("response", (response) => {
+    const { ip } = response.remoteAddress() || {};
+    if (ip && isPrivateAddress(ip)) state.blockedResponse = response.url();
+  });
+
+  return state;
+}
+
+async function launchBrowser() {
+  const executablePath = process.env.SCREENSHOT_BROWSER_PATH;
+  if (!executablePath) {
+    throw new Error("SCREENSHOT_BROWSER_PATH is missing.");
+  }
+
+  const { default: puppeteer } = await import("puppeteer-core");
+  const browser = await puppeteer.launch({
+    executablePath,
+    headless: true,
+    args: [...(disableSandbox ? ["--no-sandbox"] : []), "--disable-dev-shm-usage", "--hide-scrollbars"]
+  });
+
+  browser.on("disconnected", () => {
+    renderer.browser = null;
+  });
+
+  return browser;
+}
+
+function getBrowser() {
+  if (!renderer.browser) {
+    renderer.browser = launchBrowser().catch((error) => {
+      renderer.browser = null;
+      throw error;
+    });
+  }
+
+  return renderer.browser;
+}
+
+// A finished render hands its slot straight to the next waiter, so a caller arriving in between
+// can't take it as well and push the count over the limit.
+async function withRenderSlot(fn) {
+  if (renderer.active < renderConcurrency) renderer.active += 1;
+  else await new Promise((resolve) => renderer.queue.push(resolve));
+
+  try {
+    return await fn();
+  } finally {
+    const next = renderer.queue.shift();
+    if (next) next();
+    else renderer.active -= 1;
+  }
+}
+
+export async function renderScreenshot(targetUrl, options = {}) {
+  await assertPublicUrl(targetUrl);
+
+  const preset = devicePresets[options.device] || devicePresets.desktop;
+  const viewport = {
+    width: options.width || preset.width,
+    height: options.height || preset.height,
+    deviceScaleFactor: preset.deviceScaleFactor,
+    isMobile: preset.isMobile,
+    hasTouch: preset.hasTouch
+  };
+
+  return withRenderSlot(async () => {
+    const browser = await getBrowser();
+    const page = await browser.newPage();
+
+    try {
+      const guard = await guardPage(page);
+      if (preset.userAgent) await page.setUserAgent(preset.userAgent);
+      await page.setViewport(viewport);
+      await page.goto(targetUrl, {
+        waitUntil: options.waitForNetworkIdle ? "networkidle2" : "load",
+        timeout: renderTimeoutMs
+      });
+      if (guard.blockedResponse) {
+        throw new Error(`Refusing to render ${targetUrl}: ${guard.blockedResponse} came from an internal address.`);
+      }
+
+      const body = Buffer.from(
+        await page.screenshot({
+          type: "jpeg",
+          quality: jpegQuality,
+          fullPage: Boolean(options.fullPage)
+        })
+      );
+
+      return { contentType: "image/jpeg", body };
+    } finally {
+      await page.close().catch(() => {});
+    }
+  });
+}
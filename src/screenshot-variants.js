@@ -0,0 +1,58 @@
+const variantWidths = [320, 480, 640, 800, 960, 1200, 1400, 1600, 2000];
+const variantQualities = [40, 50, 60, 75, 80, 90];
+const formatSettings = {
+  webp: { contentType: "image/webp", quality: 75 },
+  avif: { contentType: "image/avif", quality: 50 },
+  jpeg: { contentType: "image/jpeg", quality: 80 }
+};
+
+// Widths snap up to a fixed ladder so arbitrary `w` values can't flood the cache.
+const snapWidth = (value) => {
+  const parsed = Number.parseInt(String(value ?? ""), 10);
+  if (!Number.isFinite(parsed) || parsed < 1) return undefined;
+  return variantWidths.find((width) => width >= parsed) || variantWidths[variantWidths.length - 1];
+};
+
+// Quality snaps to the nearest level for the same reason.
+const snapQuality = (value) => {
+  const parsed = Number.parseInt(String(value ?? ""), 10);
+  if (!Number.isFinite(parsed)) return undefined;
+  return variantQualities.reduce((best, level) => (Math.abs(level - parsed) < Math.abs(best - parsed) ? level : best));
+};
+
+export function parseVariantOptions(query) {
+  const width = snapWidth(query.w);
+  const requestedFormat = String(query.fmt || "").toLowerCase();
+  const format = formatSettings[requestedFormat] ? requestedFormat : width ? "jpeg" : "";
+
+  if (!width && !format) {
+    return null;
+  }
+
+  return {
+    width,
+    format,
+    quality: snapQuality(query.q) || formatSettings[format].quality
+  };
+}
+
+export const variantSuffix = (variant) =>
+  [variant.width ? `w=${variant.width}` : "", `fmt=${variant.format}`, `q=${variant.quality}`]
+    .filter(Boolean)
+    .join("&");
+
+export async function transformScreenshot(body, variant) {
+  const { default: sharp } = await import("sharp");
+  let pipeline = sharp(body, { failOn: "none" });
+
+  if (variant.width) {
+    pipeline = pipeline.resize({ width: variant.width, withoutEnlargement: true });
+  }
+
+  const output = await pipeline.toFormat(variant.format, { quality: variant.quality }).toBuffer();
+
+  return {
+    contentType: formatSettings[variant.format].contentType,
+    body: output
+  };
+}
@@ -0,0 +1,193 @@
+const fieldWeights = { title: 5, tags: 3, category: 2, notes: 1, url: 1.5 };
+const tokenPattern = /[\p{L}\p{N}]+/gu;
+const stopWords = new Set(
+  "a an and are as at be by for from has in is it of on or that the to with www http https com".split(" ")
+);
+
+const indexes = new WeakMap();
+
+const fold = (value) =>
+  String(value || "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase();
+
+const urlText = (url) => String(url || "").replace(/^https?:\/\/(www\.)?/i, "");
+
+// Deliberately small suffix stripper: enough to line up "stores"/"store" or
+// "shopping"/"shop" without pulling in a full Porter implementation.
+export function stem(word) {
+  let term = word;
+  if (term.length <= 3 || /\d/.test(term)) return term;
+
+  if (term.endsWith("ies") && term.length > 4) term = `${term.slice(0, -3)}y`;
+  else if (term.endsWith("sses")) term = term.slice(0, -2);
+  else if (term.endsWith("s") && !/(ss|us|is)$/.test(term)) term = term.slice(0, -1);
+
+  for (const suffix of ["ations", "ation", "ingly", "ing", "edly", "ed", "ness", "ment", "ly", "er"]) {
+    if (term.endsWith(suffix) && term.length - suffix.length >= 4) {
+      term = term.slice(0, -suffix.length);
+      break;
+    }
+  }
+
+  if (/([b-df-hj-np-tv-z])\1$/.test(term) && !/(ll|ss|zz)$/.test(term)) term = term.slice(0, -1);
+  if (term.endsWith("e") && term.length > 4) term = term.slice(0, -1);
+  return term;
+}
+
+function tokenize(text) {
+  const tokens = [];
+  for (const match of String(text || "").matchAll(tokenPattern)) {
+    const word = fold(match[0]);
+    tokens.push({ word, term: stem(word), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+// Stemmed terms without stop words, for comparing texts rather than searching them.
+export const textTerms = (text) =>
+  tokenize(text)
+    .filter((token) => !stopWords.has(token.word))
+    .map((token) => token.term);
+
+function queryTerms(query) {
+  const tokens = tokenize(query);
+  const meaningful = tokens.filter((token) => !stopWords.has(token.word));
+  return Array.from(new Set((meaningful.length > 0 ? meaningful : tokens).map((token) => token.term)));
+}
+
+const shopFields = (shop) => ({
+  title: shop.title,
+  tags: (shop.tags || []).join(" "),
+  category: shop.category,
+  notes: shop.notes,
+  url: urlText(shop.url)
+});
+
+function buildIndex(shops) {
+  const postings = new Map();
+
+  shops.forEach((shop, docIndex) => {
+    const scores = new Map();
+
+    for (const [field, text] of Object.entries(shopFields(shop))) {
+      const counts = new Map();
+      for (const { word, term } of tokenize(text)) {
+        if (!stopWords.has(word)) counts.set(term, (counts.get(term) || 0) + 1);
+      }
+
+      for (const [term, count] of counts.entries()) {
+        scores.set(term, (scores.get(term) || 0) + fieldWeights[field] * (1 + Math.log(count)));
+      }
+    }
+
+    for (const [term, score] of scores.entries()) {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(docIndex, score);
+    }
+  });
+
+  return { shops, postings, vocabulary: Array.from(postings.keys()) };
+}
+
+function getIndex(shops) {
+  if (!indexes.has(shops)) indexes.set(shops, buildIndex(shops));
+  return indexes.get(shops);
+}
+
+// Levenshtein distance with an early exit once every cell in a row exceeds maxEdits.
+function editDistance(a, b, maxEdits) {
+  if (Math.abs(a.length - b.length) > maxEdits) return maxEdits + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxEdits) return maxEdits + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// Exact matches count fully and prefixes (for the word still being typed) a little less.
+// Typo matches are only tried when neither finds anything.
+function expandTerm(index, term, isLast) {
+  const candidates = index.postings.has(term) ? [{ term, quality: 1 }] : [];
+
+  if (isLast && term.length >= 2) {
+    for (const candidate of index.vocabulary) {
+      if (candidate !== term && candidate.startsWith(term)) candidates.push({ term: candidate, quality: 0.8 });
+    }
+  }
+
+  const maxEdits = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+  if (candidates.length > 0 || maxEdits === 0) return candidates;
+
+  for (const candidate of index.vocabulary) {
+    const distance = editDistance(term, candidate, maxEdits);
+    if (distance <= maxEdits) candidates.push({ term: candidate, quality: distance === 1 ? 0.6 : 0.4 });
+  }
+
+  return candidates;
+}
+
+// Returns Map(shop.id -> { score, terms }) for shops matching every query word, or,
+// when nothing matches them all, the shops matching the most of them. onlyIds limits
+// the result to shops that already passed other filters.
+export function searchShops(shops, query, onlyIds = null) {
+  const terms = queryTerms(query);
+  const results = new Map();
+  if (terms.length === 0) return results;
+
+  const index = getIndex(shops);
+  const docCount = Math.max(1, shops.length);
+  const matches = new Map();
+
+  terms.forEach((term, termIndex) => {
+    for (const candidate of expandTerm(index, term, termIndex === terms.length - 1)) {
+      const docs = index.postings.get(candidate.term);
+      const idf = Math.log(1 + docCount / docs.size);
+
+      for (const [docIndex, fieldScore] of docs.entries()) {
+        if (onlyIds && !onlyIds.has(index.shops[docIndex].id)) continue;
+        const entry = matches.get(docIndex) || { best: new Array(terms.length).fill(0), terms: new Set() };
+        entry.best[termIndex] = Math.max(entry.best[termIndex], candidate.quality * idf * fieldScore);
+        entry.terms.add(candidate.term);
+        matches.set(docIndex, entry);
+      }
+    }
+  });
+
+  const coverage = (entry) => entry.best.filter((score) => score > 0).length;
+  const bestCoverage = Math.max(0, ...Array.from(matches.values(), coverage));
+
+  for (const [docIndex, entry] of matches.entries()) {
+    if (coverage(entry) < bestCoverage) continue;
+    const score = entry.best.reduce((sum, value) => sum + value, 0);
+    results.set(index.shops[docIndex].id, { score: Math.round(score * 1000) / 1000, terms: entry.terms });
+  }
+
+  return results;
+}
+
+const matchRanges = (text, terms) =>
+  tokenize(text)
+    .filter((token) => terms.has(token.term))
+    .map((token) => [token.start, token.end]);
+
+// Character ranges into the original strings, so the client can mark them up safely.
+export function highlightShop(shop, terms) {
+  return {
+    title: matchRanges(shop.title, terms),
+    category: matchRanges(shop.category, terms),
+    notes: matchRanges(shop.notes, terms),
+    tags: (shop.tags || []).filter((tag) => matchRanges(tag, terms).length > 0)
+  };
+}
@@ -3,9 +3,107 @@ import crypto from "node:crypto";
 import fsSync from "node:fs";
 import fs from "node:fs/promises";
 import path from "node:path";
+import { setTimeout as sleep } from "node:timers/promises";
 import { fileURLToPath } from "node:url";
 import express from "express";
-import { fetchShopsFromNotion } from "./notion.js";
+import { appendAuditEvent, readAuditEvents } from "./audit-log.js";
+import { findDuplicateClusters, mergeDuplicateShops } from "./duplicates.js";
+import { describeExtraFields } from "./extra-fields.js";
+import {
+  addBoardItem,
+  createBoard,
+  deleteBoard,
+  deleteUserBoards,
+  findBoard,
+  findSharedBoard,
+  listBoards,
+  removeBoardItem,
+  setBoardSharing,
+  updateBoard
+} from "./boards.js";
+import {
+  applyShopsWebhookEvent,
+  archiveShop,
+  checkShopsSchema,
+  createShop,
+  fetchShops,
+  getDataSourceName,
+  updateShop
+} from "./data-source.js";
+import {
+  createGuestLink,
+  findGuestLink,
+  isGuestLinkActive,
+  listGuestLinks,
+  redeemGuestLink,
+  revokeGuestLink
+} from "./guest-links.js";
+import { createJsonStore, dataFilePath } from "./json-store.js";
+import { checkLoginAllowed, loginDelayMs, recordLoginFailure, recordLoginSuccess } from "./login-guard.js";
+import { normalizeCandidateUrl } from "./notion.js";
+import { parseShopFields } from "./notion-writer.js";
+import { extraFields, propertyMap } from "./property-map.js";
+import {
+  cacheKeyForUrl,
+  getCacheStats,
+  purgeCache,
+  purgeCacheUrl,
+  readCacheEntry,
+  screenshotCacheDir,
+  screenshotTtlMs,
+  screenshotVersion,
+  startCacheSweeper,
+  writeCacheEntry
+} from "./screenshot-cache.js";
+import { fetchScreenshotBuffer, parseScreenshotOptions, screenshotVariant } from "./screenshot-providers.js";
+import { parseVariantOptions, transformScreenshot, variantSuffix } from "./screenshot-variants.js";
+import {
+  clearedSessionCookie,
+  csrfCookie,
+  csrfCookieName,
+  sessionCookie,
+  sessionCookieName,
+  sessionTtlMs,
+  signSession,
+  verifySession
+} from "./sessions.js";
+import { deleteUserPresets, getUserPresets, saveUserPresets } from "./presets.js";
+import { getScreenshotFeatures } from "./screenshot-features.js";
+import { loadShopsSnapshot, saveShopsSnapshot } from "./shops-snapshot.js";
+import {
+  findRelatedShops,
+  hasShopsQuery,
+  parseShopsQuery,
+  queryShops,
+  scopeShopsPayload,
+  shopHostKey,
+  shopUrlKey
+} from "./shops-query.js";
+import { findSimilarShops } from "./similarity.js";
+import {
+  addSubmission,
+  checkSubmissionAllowed,
+  claimSubmission,
+  findSubmission,
+  listSubmissions,
+  parseSubmission,
+  recordSubmissionAttempt,
+  releaseSubmission,
+  reviewSubmission
+} from "./submissions.js";
+import { detectSiteTech, getCachedSiteTech } from "./site-tech.js";
+import {
+  createUser,
+  deleteUser,
+  findUserById,
+  findUserByUsername,
+  hasUsers,
+  listUsers,
+  publicUser,
+  roleAtLeast,
+  updateUser,
+  verifyPassword
+} from "./users.js";
 
 const app = express();
 const port = Number(process.env.PORT || 3000);
@@ -15,40 +113,57 @@ const publicDir = path.resolve(__dirname, "../public");
 const distDir = path.resolve(__dirname, "../dist");
 const staticDir = fsSync.existsSync(path.join(distDir, "index.html")) ? distDir : publicDir;
 const isVercel = Boolean(process.env.VERCEL);
-const screenshotCacheDir = isVercel ? path.join("/tmp", "shop-haul-screenshots") : path.join(publicDir, "cache", "screenshots");
-const screenshotTtlHours = Number(process.env.SCREENSHOT_CACHE_TTL_HOURS || 168);
-const screenshotTtlMs = Math.max(1, screenshotTtlHours) * 60 * 60 * 1000;
-const screenshotVersion = "v3";
+const screenshotRetryMs = Math.max(1, Number(process.env.SCREENSHOT_REFRESH_RETRY_MINUTES || 15)) * 60 * 1000;
 const shopsCacheTtlSeconds = Number(process.env.SHOPS_CACHE_TTL_SECONDS || 300);
 const shopsCacheTtlMs = Math.max(5, shopsCacheTtlSeconds) * 1000;
+const shopsRefreshRetryMs = 30 * 1000;
 const edgeCacheSeconds = Number(process.env.SHOPS_EDGE_CACHE_SECONDS || 60);
 const edgeStaleSeconds = Number(process.env.SHOPS_EDGE_STALE_SECONDS || 300);
 const sitePassword = String(process.env.SITE_PASSWORD || "");
-const isPasswordGateEnabled = Boolean(sitePassword);
-const authCookieName = "shop_haul_vault_auth";
-const authCookieValue = sitePassword
-  ? crypto.createHash("sha256").update(`shop-haul:${sitePassword}`).digest("hex")
-  : "";
+const adminToken = String(process.env.ADMIN_TOKEN || "");
+const notionIncrementalSync = process.env.NOTION_INCREMENTAL_SYNC !== "false";
+const notionWebhookSecret = String(process.env.NOTION_WEBHOOK_SECRET || "");
+const trustProxy = String(process.env.TRUST_PROXY || (isVercel ? "true" : ""));
+
+// The token from Notion's subscription handshake, kept for admins to read rather than logged.
+const notionWebhookVerification = createJsonStore({
+  file: dataFilePath(process.env.NOTION_WEBHOOK_VERIFICATION_FILE, "notion-webhook.json"),
+  key: "verification",
+  empty: null
+});
+
+// Login throttling keys on req.ip, so it has to see the real client address behind a proxy.
+if (trustProxy) {
+  app.set("trust proxy", trustProxy === "true" ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
+// SITE_PASSWORD keeps working as a shared viewer login. Its session version is derived
+// from the password, so rotating the password still logs shared sessions out.
+const sharedViewer = sitePassword
+  ? {
+      id: "shared",
+      username: "shared",
+      role: "viewer",
+      sessionVersion: crypto.createHash("sha256").update(`shop-haul:${sitePassword}`).digest("hex").slice(0, 16)
+    }
+  : null;
 
 const shopsCache =
   globalThis.__shopHaulShopsCache ||
   (globalThis.__shopHaulShopsCache = {
     payload: null,
     fetchedAt: 0,
-    inflight: null
+    inflight: null,
+    restored: false,
+    lastFailureAt: 0
   });
 
-const propertyMap = {
-  name: process.env.NOTION_NAME_PROP || "Name",
-  url: process.env.NOTION_URL_PROP || "URL",
-  category: process.env.NOTION_CATEGORY_PROP || "Category/Type",
-  tags: process.env.NOTION_TAGS_PROP || "Tags",
-  notes: process.env.NOTION_NOTES_PROP || "Notes"
-};
-
-const screenshotProviders = [
-  (url) => `https://image.thum.io/get/width/1400/crop/900/noanimate/${encodeURIComponent(url)}`
-];
+const screenshotJobs =
+  globalThis.__shopHaulScreenshotJobs ||
+  (globalThis.__shopHaulScreenshotJobs = {
+    inflight: new Map(),
+    failures: new Map()
+  });
 
 const isWebUrl = (value) => {
   try {
@@ -59,103 +174,15 @@ const isWebUrl = (value) => {
   }
 };
 
-const cacheKeyForUrl = (url) => crypto.createHash("sha256").update(`${screenshotVersion}:${url}`).digest("hex");
-
-const pathsForKey = (cacheKey) => ({
-  binPath: path.join(screenshotCacheDir, `${cacheKey}.bin`),
-  metaPath: path.join(screenshotCacheDir, `${cacheKey}.json`)
+const withScreenshot = (shop) => ({
+  ...shop,
+  screenshot: `/api/screenshot?u=${encodeURIComponent(shop.url)}&sv=${screenshotVersion}`
 });
 
-async function readCacheEntry(cacheKey) {
-  const { binPath, metaPath } = pathsForKey(cacheKey);
-
-  try {
-    const [metaRaw, bin] = await Promise.all([fs.readFile(metaPath, "utf8"), fs.readFile(binPath)]);
-    const meta = JSON.parse(metaRaw);
-
-    if (!meta?.fetchedAt || !meta?.contentType) {
-      return null;
-    }
-
-    if (!String(meta.contentType).toLowerCase().startsWith("image/")) {
-      return null;
-    }
-
-    const ageMs = Date.now() - Number(meta.fetchedAt);
-    if (!Number.isFinite(ageMs) || ageMs > screenshotTtlMs) {
-      return null;
-    }
-
-    return {
-      contentType: meta.contentType,
-      body: bin
-    };
-  } catch {
-    return null;
-  }
-}
-
-async function writeCacheEntry(cacheKey, contentType, body) {
-  const { binPath, metaPath } = pathsForKey(cacheKey);
-  const meta = {
-    contentType,
-    fetchedAt: Date.now()
-  };
-
-  await Promise.all([
-    fs.writeFile(binPath, body),
-    fs.writeFile(metaPath, JSON.stringify(meta), "utf8")
-  ]);
-}
-
-async function fetchScreenshotBuffer(targetUrl) {
-  let lastError = "Unknown screenshot error.";
-
-  for (const buildProviderUrl of screenshotProviders) {
-    const upstream = buildProviderUrl(targetUrl);
-    if (!upstream) {
-      continue;
-    }
-
-    try {
-      const response = await fetch(upstream);
-      if (!response.ok) {
-        lastError = `Provider failed (${response.status}).`;
-        continue;
-      }
-
-      const contentType = response.headers.get("content-type") || "image/jpeg";
-      if (!contentType.toLowerCase().startsWith("image/")) {
-        lastError = `Provider returned non-image content (${contentType}).`;
-        continue;
-      }
-
-      const body = Buffer.from(await response.arrayBuffer());
-      if (!body.length) {
-        lastError = "Provider returned an empty image.";
-        continue;
-      }
-
-      return { contentType, body };
-    } catch (error) {
-      lastError = error instanceof Error ? error.message : String(error);
-    }
-  }
-
-  throw new Error(lastError);
-}
-
 async function buildShopsPayload() {
-  const notionData = await fetchShopsFromNotion({
-    notionApiKey: process.env.NOTION_API_KEY,
-    databaseId: process.env.NOTION_DATABASE_ID,
-    propertyMap
-  });
+  const sourceData = await fetchShops({ propertyMap, incremental: notionIncrementalSync });
 
-  const payload = notionData.items.map((shop) => ({
-    ...shop,
-    screenshot: `/api/screenshot?u=${encodeURIComponent(shop.url)}&sv=${screenshotVersion}`
-  }));
+  const payload = sourceData.items.map(withScreenshot);
 
   const tags = Array.from(
     new Set(payload.flatMap((shop) => shop.tags).map((tag) => tag.trim()).filter(Boolean))
@@ -164,14 +191,22 @@ async function buildShopsPayload() {
     new Set(payload.map((shop) => String(shop.category || "").trim()).filter(Boolean))
   ).sort((a, b) => a.localeCompare(b));
 
+  const version = crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ payload, totalRows: sourceData.totalRows }))
+    .digest("hex")
+    .slice(0, 16);
+
   return {
     shops: payload,
     categories,
     tags,
+    ...(extraFields.length ? { fields: describeExtraFields(extraFields, payload) } : {}),
     count: payload.length,
-    totalRows: notionData.totalRows,
-    shopsWithUrl: notionData.shopsWithUrl,
-    databaseId: process.env.NOTION_DATABASE_ID
+    totalRows: sourceData.totalRows,
+    shopsWithUrl: sourceData.shopsWithUrl,
+    databaseId: process.env.NOTION_DATABASE_ID,
+    version
   };
 }
 
@@ -180,30 +215,90 @@ function isFreshCache() {
   return Date.now() - shopsCache.fetchedAt < shopsCacheTtlMs;
 }
 
+// Anything that changes what buildShopsPayload() would return for the same rows.
+const shopsSnapshotKey = crypto
+  .createHash("sha256")
+  .update(
+    JSON.stringify({
+      dataSource: getDataSourceName(),
+      databaseId: process.env.NOTION_DATABASE_ID || "",
+      dataFile: process.env.SHOPS_DATA_FILE || "",
+      propertyMap,
+      screenshotVersion
+    })
+  )
+  .digest("hex")
+  .slice(0, 16);
+
+function refreshShopsPayload() {
+  if (!shopsCache.inflight) {
+    shopsCache.inflight = buildShopsPayload()
+      .then((payload) => {
+        // updatedAt only moves when the content does, so Last-Modified stays meaningful.
+        const previous = shopsCache.payload;
+        payload.updatedAt =
+          previous?.version === payload.version && previous.updatedAt ? previous.updatedAt : new Date().toISOString();
+        shopsCache.payload = payload;
+        shopsCache.fetchedAt = Date.now();
+        shopsCache.restored = false;
+        saveShopsSnapshot(shopsSnapshotKey, { payload, fetchedAt: shopsCache.fetchedAt }).catch((error) =>
+          console.error("Failed to persist shops snapshot", error)
+        );
+        return payload;
+      })
+      .catch((error) => {
+        shopsCache.lastFailureAt = Date.now();
+        throw error;
+      })
+      .finally(() => {
+        shopsCache.inflight = null;
+      });
+  }
+
+  return shopsCache.inflight;
+}
+
 async function getShopsPayload() {
   if (isFreshCache()) {
     return { payload: shopsCache.payload, source: "memory-fresh" };
   }
 
+  // Serve what we have and refresh behind it, so only a process with nothing at all waits on the source.
+  if (shopsCache.payload) {
+    if (!shopsCache.inflight && Date.now() - shopsCache.lastFailureAt > shopsRefreshRetryMs) {
+      refreshShopsPayload().catch((error) => console.error("Background shops refresh failed", error));
+    }
+    return { payload: shopsCache.payload, source: shopsCache.restored ? "snapshot-stale" : "memory-stale" };
+  }
+
   if (shopsCache.inflight) {
     const payload = await shopsCache.inflight;
     return { payload, source: "memory-inflight" };
   }
 
-  shopsCache.inflight = buildShopsPayload()
-    .then((payload) => {
-      shopsCache.payload = payload;
-      shopsCache.fetchedAt = Date.now();
-      return payload;
-    })
-    .finally(() => {
-      shopsCache.inflight = null;
-    });
-
-  const payload = await shopsCache.inflight;
+  const payload = await refreshShopsPayload();
   return { payload, source: "notion-refresh" };
 }
 
+async function restoreShopsSnapshot() {
+  if (shopsCache.payload) return;
+
+  try {
+    const snapshot = await loadShopsSnapshot(shopsSnapshotKey);
+    if (!snapshot || shopsCache.payload) return;
+
+    shopsCache.payload = snapshot.payload;
+    shopsCache.fetchedAt = Number(snapshot.fetchedAt) || 0;
+    shopsCache.restored = true;
+
+    if (!isFreshCache()) {
+      refreshShopsPayload().catch((error) => console.error("Background shops refresh failed", error));
+    }
+  } catch (error) {
+    console.error("Failed to restore shops snapshot", error);
+  }
+}
+
 function parseCookies(cookieHeader) {
   if (!cookieHeader) return {};
 
@@ -215,13 +310,13 @@ function parseCookies(cookieHeader) {
   }, {});
 }
 
-function buildPasswordGateHtml(errorMessage = "") {
+function buildStandalonePageHtml(title, content) {
   return `<!doctype html>
 <html lang="en">
   <head>
     <meta charset="utf-8" />
     <meta name="viewport" content="width=device-width, initial-scale=1" />
-    <title>Shop Haul Vault</title>
+    <title>${title}</title>
     <style>
       :root {
         color-scheme: light;
@@ -264,7 +359,7 @@ function buildPasswordGateHtml(errorMessage = "") {
         line-height: 1.5;
       }
       form { display: grid; gap: 12px; }
-      input {
+      input, textarea {
         width: 100%;
         height: 56px;
         border-radius: 18px;
@@ -273,6 +368,11 @@ function buildPasswordGateHtml(errorMessage = "") {
         font: inherit;
         outline: none;
       }
+      textarea {
+        height: 112px;
+        padding: 14px 16px;
+        resize: vertical;
+      }
       button {
         height: 56px;
         border: 0;
@@ -287,20 +387,66 @@ function buildPasswordGateHtml(errorMessage = "") {
         color: #b42318;
         font-size: .92rem;
       }
+      .notice {
+        padding: 12px 16px;
+        border-radius: 18px;
+        background: rgba(219,255,73,.35);
+        color: var(--fg);
+      }
+      .trap {
+        position: absolute;
+        left: -10000px;
+      }
     </style>
   </head>
   <body>
     <main class="card">
-      <h1>Private Vault</h1>
-      <p>Enter the password to access Shop Haul Vault.</p>
+      ${content}
+    </main>
+  </body>
+</html>`;
+}
+
+function buildPasswordGateHtml(errorMessage = "", options = {}) {
+  const usernameHint = sharedViewer ? "Username (leave empty for the shared password)" : "Username";
+  const usernameField = options.accounts
+    ? `<input type="text" name="username" placeholder="${usernameHint}" autocomplete="username"${sharedViewer ? "" : " required"} />`
+    : "";
+  return buildStandalonePageHtml(
+    "Shop Haul Vault",
+    `<h1>Private Vault</h1>
+      <p>${options.accounts ? "Sign in" : "Enter the password"} to access Shop Haul Vault.</p>
       <form method="post" action="/auth/login">
+        <input type="hidden" name="_csrf" value="${options.csrfToken || ""}" />
+        ${usernameField}
         <input type="password" name="password" placeholder="Password" autocomplete="current-password" required />
         <div class="error">${errorMessage}</div>
         <button type="submit">Enter vault</button>
-      </form>
-    </main>
-  </body>
-</html>`;
+      </form>`
+  );
+}
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+// The public suggestion form. "homepage" is a honeypot that people never see.
+function buildSubmitPageHtml({ error = "", message = "", values = {} } = {}) {
+  const value = (field) => escapeHtml(values[field] || "");
+  return buildStandalonePageHtml(
+    "Suggest a shop | Shop Haul Vault",
+    `<h1>Suggest a shop</h1>
+      <p>Found a store we should feature? Send it in and an editor will take a look.</p>
+      ${message ? `<p class="notice">${escapeHtml(message)}</p>` : ""}
+      <form method="post" action="/api/submissions">
+        <input type="text" name="url" placeholder="Shop URL" value="${value("url")}" required />
+        <input type="text" name="name" placeholder="Shop name (optional)" value="${value("name")}" maxlength="200" />
+        <textarea name="note" placeholder="What makes it stand out? (optional)" maxlength="2000">${value("note")}</textarea>
+        <input type="email" name="email" placeholder="Your email (optional)" value="${value("email")}" maxlength="254" />
+        <input class="trap" type="text" name="homepage" tabindex="-1" autocomplete="off" aria-hidden="true" />
+        <div class="error">${escapeHtml(error)}</div>
+        <button type="submit">Send suggestion</button>
+      </form>`
+  );
 }
 
 function timingSafeMatch(expected, actual) {
@@ -313,112 +459,1496 @@ function timingSafeMatch(expected, actual) {
   return crypto.timingSafeEqual(expectedBuffer, actualBuffer);
 }
 
-app.use(express.urlencoded({ extended: false }));
+async function isAuthEnabled() {
+  return Boolean(sitePassword) || (await hasUsers());
+}
 
-if (isPasswordGateEnabled) {
-  app.get("/auth/login", (_req, res) => {
-    res.status(200).type("html").send(buildPasswordGateHtml());
-  });
+// Double-submit token: the form field has to match a SameSite=Strict cookie set alongside it.
+function issueCsrfToken(req, res) {
+  const existing = parseCookies(req.headers.cookie || "")[csrfCookieName] || "";
+  const token = /^[A-Za-z0-9_-]{32}$/.test(existing) ? existing : crypto.randomBytes(24).toString("base64url");
+  res.append("Set-Cookie", csrfCookie(token));
+  return token;
+}
 
-  app.post("/auth/login", (req, res) => {
-    const submittedPassword = String(req.body?.password || "");
-    const passwordMatches = timingSafeMatch(sitePassword, submittedPassword);
+function hasValidCsrfToken(req) {
+  const expected = parseCookies(req.headers.cookie || "")[csrfCookieName] || "";
+  const actual = String(req.body?._csrf || "");
+  return Boolean(expected) && timingSafeMatch(expected, actual);
+}
 
-    if (!passwordMatches) {
-      res.status(401).type("html").send(buildPasswordGateHtml("Incorrect password."));
-      return;
-    }
+async function sendGate(req, res, status, errorMessage = "") {
+  const csrfToken = issueCsrfToken(req, res);
+  res
+    .status(status)
+    .type("html")
+    .send(buildPasswordGateHtml(errorMessage, { accounts: await hasUsers(), csrfToken }));
+}
+
+// The login page needs the user store; when it can't be read the request fails on its own.
+function sendLoginError(req, res, error) {
+  const details = error instanceof Error ? error.message : String(error);
+  if (req.is("application/json")) {
+    res.status(500).json({ error: "Failed to check the login.", details });
+    return;
+  }
 
-    const secure = isVercel ? "; Secure" : "";
-    res.setHeader(
-      "Set-Cookie",
-      `${authCookieName}=${authCookieValue}; Path=/; HttpOnly; SameSite=Lax${secure}; Max-Age=${60 * 60 * 24 * 14}`
+  console.error("Login page failed", error);
+  res
+    .status(500)
+    .type("html")
+    .send(
+      buildStandalonePageHtml(
+        "Shop Haul Vault",
+        `<h1>Sign-in unavailable</h1>
+      <p>The account list couldn't be read. Try again in a moment.</p>`
+      )
     );
-    res.redirect(302, "/");
-  });
+}
 
-  app.post("/auth/logout", (_req, res) => {
-    const secure = isVercel ? "; Secure" : "";
-    res.setHeader("Set-Cookie", `${authCookieName}=; Path=/; HttpOnly; SameSite=Lax${secure}; Max-Age=0`);
-    res.redirect(302, "/auth/login");
-  });
+const auditContext = (req) => ({
+  ip: req.ip,
+  userAgent: String(req.headers["user-agent"] || "").slice(0, 300)
+});
 
-  app.use((req, res, next) => {
-    if (req.path === "/auth/login" || req.path === "/auth/logout") {
-      next();
+function formatRetryAfter(ms) {
+  const seconds = Math.max(1, Math.ceil(ms / 1000));
+  if (seconds < 120) return seconds === 1 ? "1 second" : `${seconds} seconds`;
+  return `${Math.ceil(seconds / 60)} minutes`;
+}
+
+const guestUser = (link) => ({
+  id: `guest:${link.id}`,
+  username: link.label || "guest",
+  role: "viewer",
+  guest: true,
+  scope: link.scope
+});
+
+function guestLinkUrl(req, link) {
+  const token = signSession({ typ: "guest-link", gid: link.id, exp: Date.parse(link.expiresAt) });
+  return `${req.protocol}://${req.get("host")}/?guest=${encodeURIComponent(token)}`;
+}
+
+// Trades a ?guest= token for a session cookie that lasts as long as the link does.
+async function redeemGuestToken(req, res) {
+  const token = verifySession(String(req.query.guest || ""));
+  const link = token?.typ === "guest-link" ? await redeemGuestLink(token.gid) : null;
+
+  if (!link) {
+    appendAuditEvent({ event: "guest_link_rejected", linkId: token?.gid || "", ...auditContext(req) });
+    return null;
+  }
+
+  appendAuditEvent({ event: "guest_link_redeemed", linkId: link.id, username: link.label, ...auditContext(req) });
+  const expiresAt = Math.min(Date.parse(link.expiresAt), Date.now() + sessionTtlMs);
+  res.append(
+    "Set-Cookie",
+    sessionCookie(signSession({ sub: `guest:${link.id}`, exp: expiresAt }), expiresAt - Date.now())
+  );
+  return guestUser(link);
+}
+
+const sharedBoardPath = /^\/(?:api\/)?shared\/boards\/([\w-]+)\/?$/;
+
+const boardViewer = (board) => ({
+  id: `board:${board.id}`,
+  username: board.name,
+  role: "viewer",
+  guest: true,
+  scope: { shopIds: board.items }
+});
+
+// A shared board link works like a guest link limited to the board's shops, so the
+// page, its assets and screenshots load without the site password.
+async function openSharedBoard(req, res, shareToken) {
+  const board = await findSharedBoard(shareToken);
+  if (!board) return null;
+
+  appendAuditEvent({ event: "shared_board_opened", boardId: board.id, username: board.name, ...auditContext(req) });
+  res.append("Set-Cookie", sessionCookie(signSession({ sub: `board:${board.id}`, tok: shareToken })));
+  return boardViewer(board);
+}
+
+async function authenticateRequest(req) {
+  const header = String(req.headers.authorization || "");
+  const bearer = header.startsWith("Bearer ") ? header.slice("Bearer ".length).trim() : "";
+  if (adminToken && bearer && timingSafeMatch(adminToken, bearer)) {
+    return { id: "admin-token", username: "admin-token", role: "admin" };
+  }
+
+  const cookies = parseCookies(req.headers.cookie || "");
+  const session = verifySession(cookies[sessionCookieName]);
+  if (!session) return null;
+
+  if (session.sub === sharedViewer?.id) {
+    return session.ver === sharedViewer.sessionVersion ? publicUser(sharedViewer) : null;
+  }
+
+  if (String(session.sub || "").startsWith("guest:")) {
+    const link = await findGuestLink(session.sub.slice("guest:".length));
+    return isGuestLinkActive(link) ? guestUser(link) : null;
+  }
+
+  if (String(session.sub || "").startsWith("board:")) {
+    const board = await findBoard(session.sub.slice("board:".length));
+    return board?.shareToken && board.shareToken === session.tok ? boardViewer(board) : null;
+  }
+
+  const user = await findUserById(session.sub);
+  if (!user || user.disabled || user.sessionVersion !== session.ver) return null;
+  return publicUser(user);
+}
+
+async function verifyLogin(username, password) {
+  if (!username) {
+    return sharedViewer && timingSafeMatch(sitePassword, password) ? sharedViewer : null;
+  }
+
+  const user = await findUserByUsername(username);
+  if (!user || user.disabled) return null;
+  return (await verifyPassword(password, user.passwordHash)) ? user : null;
+}
+
+// The shared password, guest links, shared boards and ADMIN_TOKEN are used by many people at once.
+const isPersonalAccount = (user) =>
+  Boolean(user) && !user.guest && user.id !== sharedViewer?.id && user.id !== "admin-token";
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) {
+      res.status(401).json({ error: "Authentication required." });
       return;
     }
 
-    const cookies = parseCookies(req.headers.cookie || "");
-    const isAuthed = cookies[authCookieName] && timingSafeMatch(authCookieValue, cookies[authCookieName]);
+    if (!roleAtLeast(req.user.role, role)) {
+      res.status(403).json({ error: "Insufficient permissions." });
+      return;
+    }
 
-    if (!isAuthed) {
-      if (req.path.startsWith("/api/")) {
-        res.status(401).json({ error: "Authentication required." });
-        return;
-      }
+    next();
+  };
+}
 
-      res.status(200).type("html").send(buildPasswordGateHtml());
+function requireAccount(feature) {
+  return (req, res, next) => {
+    if (!isPersonalAccount(req.user)) {
+      res.status(403).json({ error: `${feature} need a personal account.` });
       return;
     }
 
     next();
-  });
+  };
 }
 
-app.use(express.static(staticDir));
+app.use(express.urlencoded({ extended: false }));
+app.use(
+  express.json({
+    verify: (req, _res, buffer) => {
+      req.rawBody = buffer;
+    }
+  })
+);
 
-app.get("/api/screenshot", async (req, res) => {
-  const targetUrl = typeof req.query.u === "string" ? req.query.u.trim() : "";
+// Notion signs each delivery with the verification token it sent when the subscription was created.
+function hasValidNotionSignature(req) {
+  const signature = String(req.headers["x-notion-signature"] || "");
+  const expected = `sha256=${crypto.createHmac("sha256", notionWebhookSecret).update(req.rawBody || "").digest("hex")}`;
+  return timingSafeMatch(expected, signature);
+}
 
-  if (!isWebUrl(targetUrl)) {
-    res.status(400).json({ error: "Missing or invalid screenshot URL." });
+app.post("/api/notion/webhook", async (req, res) => {
+  // The one-time handshake carries the token to paste back into Notion (and into NOTION_WEBHOOK_SECRET).
+  // Admins read it from /api/admin/notion/webhook-verification. Anyone can post a handshake, so only
+  // the first token is kept, and once a secret is set handshakes face the signature check like the rest.
+  if (req.body?.verification_token && !notionWebhookSecret) {
+    try {
+      const verification = { token: String(req.body.verification_token), receivedAt: new Date().toISOString() };
+      const stored = await notionWebhookVerification.update((current) =>
+        current ? { result: false } : { value: verification, result: true }
+      );
+      if (!stored) {
+        res.status(409).json({ error: "A verification token is already stored. An admin can clear it first." });
+        return;
+      }
+      appendAuditEvent({ event: "notion_webhook_verification", ...auditContext(req) });
+      res.json({ ok: true });
+    } catch (error) {
+      console.error("Failed to store the Notion webhook verification token", error);
+      res.status(500).json({ error: "Failed to store the verification token." });
+    }
+    return;
+  }
+
+  if (!notionWebhookSecret) {
+    res.status(404).json({ error: "Notion webhook is not configured." });
     return;
   }
 
-  const cacheKey = cacheKeyForUrl(targetUrl);
+  if (!hasValidNotionSignature(req)) {
+    res.status(401).json({ error: "Invalid signature." });
+    return;
+  }
 
   try {
-    const cached = await readCacheEntry(cacheKey);
-    if (cached) {
-      res.setHeader("content-type", cached.contentType);
-      res.setHeader("cache-control", "no-store");
-      res.send(cached.body);
+    const patched = await applyShopsWebhookEvent(req.body, { propertyMap });
+    if (patched) shopsCache.fetchedAt = 0;
+    res.json({ ok: true, patched });
+  } catch (error) {
+    // Still drop the cached payload so the next request re-syncs.
+    shopsCache.fetchedAt = 0;
+    console.error("Notion webhook failed", error);
+    res.status(500).json({ error: "Failed to apply webhook event." });
+  }
+});
+
+// Suggestions come from newsletter readers without an account, so these two sit in front
+// of the login gate.
+const submissionThanks = "Thanks! An editor will take a look.";
+
+app.get("/submit", (req, res) => {
+  res.type("html").send(buildSubmitPageHtml(req.query.sent === "1" ? { message: submissionThanks } : {}));
+});
+
+app.post("/api/submissions", async (req, res) => {
+  // The form gets a redirect on success, so reloading the page doesn't send it again.
+  const reply = (status, { error = "", submission = null } = {}) => {
+    if (req.is("application/json")) {
+      res.status(status).json(error ? { error } : { ok: true, message: submissionThanks, id: submission?.id || null });
+      return;
+    }
+    if (!error) {
+      res.redirect(303, "/submit?sent=1");
       return;
     }
+    res.status(status).type("html").send(buildSubmitPageHtml({ error, values: req.body || {} }));
+  };
+
+  // Bots fill in every field, including the hidden one; they get the same answer as people.
+  if (req.body?.homepage) {
+    reply(201);
+    return;
+  }
 
-    const fresh = await fetchScreenshotBuffer(targetUrl);
-    await writeCacheEntry(cacheKey, fresh.contentType, fresh.body);
+  const allowed = checkSubmissionAllowed(req.ip);
+  if (!allowed.allowed) {
+    res.setHeader("retry-after", String(Math.ceil(allowed.retryAfterMs / 1000)));
+    reply(429, {
+      error: `Too many suggestions from your network. Try again in ${formatRetryAfter(allowed.retryAfterMs)}.`
+    });
+    return;
+  }
+  recordSubmissionAttempt(req.ip);
 
-    res.setHeader("content-type", fresh.contentType);
-    res.setHeader("cache-control", "no-store");
-    res.send(fresh.body);
+  let fields;
+  try {
+    fields = parseSubmission(req.body || {});
   } catch (error) {
-    res.status(502).json({
-      error: "Failed to create screenshot.",
-      details: error instanceof Error ? error.message : String(error)
+    reply(400, { error: error instanceof Error ? error.message : String(error) });
+    return;
+  }
+
+  // Shops already in the vault are thanked but not queued. Saying so would tell anyone
+  // what a private vault contains.
+  try {
+    const { payload } = await getShopsPayload();
+    const urlKey = shopUrlKey(fields.url);
+    if (payload.shops.some((shop) => shopUrlKey(shop.url) === urlKey)) {
+      appendAuditEvent({
+        event: "submission_received",
+        host: shopHostKey(fields.url),
+        duplicate: "vault",
+        ...auditContext(req)
+      });
+      reply(200);
+      return;
+    }
+  } catch (error) {
+    console.warn("Could not check a submission against the vault", error);
+  }
+
+  try {
+    const { submission, duplicate } = await addSubmission(fields);
+    appendAuditEvent({
+      event: "submission_received",
+      submissionId: submission.id,
+      host: submission.host,
+      duplicate: duplicate ? "queue" : "",
+      ...auditContext(req)
     });
+    reply(duplicate ? 200 : 201, { submission });
+  } catch (error) {
+    reply(503, { error: error instanceof Error ? error.message : String(error) });
   }
 });
 
-app.get("/api/shops", async (_req, res) => {
+app.get("/auth/login", async (req, res) => {
   try {
-    const { payload, source } = await getShopsPayload();
-    res.setHeader("cache-control", `public, s-maxage=${edgeCacheSeconds}, stale-while-revalidate=${edgeStaleSeconds}`);
-    res.setHeader("x-shops-cache", source);
-    res.json(payload);
+    await sendGate(req, res, 200);
   } catch (error) {
-    if (shopsCache.payload) {
-      res.setHeader("cache-control", `public, s-maxage=${edgeCacheSeconds}, stale-while-revalidate=${edgeStaleSeconds}`);
-      res.setHeader("x-shops-cache", "memory-stale-on-error");
-      res.json(shopsCache.payload);
+    sendLoginError(req, res, error);
+  }
+});
+
+app.post("/auth/login", async (req, res) => {
+  const username = String(req.body?.username || "").trim();
+  const password = String(req.body?.password || "");
+  const wantsJson = req.is("application/json");
+
+  try {
+    const allowed = checkLoginAllowed(req.ip);
+    if (!allowed.allowed) {
+      appendAuditEvent({ event: "login_blocked", reason: allowed.reason, username, ...auditContext(req) });
+      res.setHeader("Retry-After", String(Math.max(1, Math.ceil(allowed.retryAfterMs / 1000))));
+      const message = `Too many login attempts. Try again in ${formatRetryAfter(allowed.retryAfterMs)}.`;
+
+      if (wantsJson) {
+        res.status(429).json({ error: message });
+        return;
+      }
+
+      await sendGate(req, res, 429, message);
       return;
     }
 
-    res.status(500).json({
-      error: "Failed to load Notion database.",
-      details: error instanceof Error ? error.message : String(error)
-    });
+    // JSON logins can't be sent cross-site without a CORS preflight, so only form posts carry a token.
+    if (!wantsJson && !hasValidCsrfToken(req)) {
+      appendAuditEvent({ event: "login_failure", reason: "csrf", username, ...auditContext(req) });
+      await sendGate(req, res, 403, "Your login form expired. Please try again.");
+      return;
+    }
+
+    await sleep(loginDelayMs(username));
+    const user = await verifyLogin(username, password);
+
+    if (!user) {
+      recordLoginFailure(username);
+      appendAuditEvent({ event: "login_failure", reason: "bad_credentials", username, ...auditContext(req) });
+
+      if (wantsJson) {
+        res.status(401).json({ error: "Incorrect username or password." });
+        return;
+      }
+
+      await sendGate(req, res, 401, username ? "Incorrect username or password." : "Incorrect password.");
+      return;
+    }
+
+    recordLoginSuccess(req.ip, username);
+    appendAuditEvent({ event: "login_success", username: user.username, userId: user.id, ...auditContext(req) });
+    res.append("Set-Cookie", sessionCookie(signSession({ sub: user.id, ver: user.sessionVersion })));
+
+    if (wantsJson) {
+      res.json({ user: publicUser(user) });
+      return;
+    }
+
+    res.redirect(302, "/");
+  } catch (error) {
+    sendLoginError(req, res, error);
+  }
+});
+
+app.post("/auth/logout", async (req, res) => {
+  const user = await authenticateRequest(req).catch(() => null);
+  if (user) {
+    appendAuditEvent({ event: "logout", username: user.username, userId: user.id, ...auditContext(req) });
+  }
+
+  res.setHeader("Set-Cookie", clearedSessionCookie());
+
+  if (req.is("application/json")) {
+    res.json({ ok: true });
+    return;
+  }
+
+  res.redirect(302, "/auth/login");
+});
+
+app.use(async (req, res, next) => {
+  try {
+    req.user = await authenticateRequest(req);
+
+    if (!req.user && req.query.guest && (await isAuthEnabled())) {
+      req.user = await redeemGuestToken(req, res);
+
+      if (req.user && req.method === "GET" && !req.path.startsWith("/api/")) {
+        const params = new URLSearchParams(req.query);
+        params.delete("guest");
+        const search = params.toString();
+        res.redirect(302, `${req.path}${search ? `?${search}` : ""}`);
+        return;
+      }
+
+      if (!req.user) {
+        if (req.path.startsWith("/api/")) {
+          res.status(401).json({ error: "This guest link has expired or is no longer valid." });
+          return;
+        }
+
+        await sendGate(req, res, 401, "This guest link has expired or is no longer valid.");
+        return;
+      }
+    }
+
+    const sharedBoardToken = req.path.match(sharedBoardPath)?.[1];
+    if (!req.user && sharedBoardToken && (await isAuthEnabled())) {
+      req.user = await openSharedBoard(req, res, sharedBoardToken);
+    }
+
+    if (req.user || req.path === "/auth/login" || req.path === "/auth/logout" || !(await isAuthEnabled())) {
+      next();
+      return;
+    }
+
+    if (req.path.startsWith("/api/") || req.path.startsWith("/auth/")) {
+      res.status(401).json({ error: "Authentication required." });
+      return;
+    }
+
+    await sendGate(req, res, 200);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get("/auth/me", async (req, res) => {
+  try {
+    res.json({ user: req.user || null, authEnabled: await isAuthEnabled() });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to check the session.",
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
+app.get("/api/admin/users", requireRole("admin"), async (_req, res) => {
+  try {
+    res.json({ users: await listUsers() });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to load users.",
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
+app.post("/api/admin/users", requireRole("admin"), async (req, res) => {
+  try {
+    const user = await createUser({
+      username: req.body?.username,
+      password: req.body?.password,
+      role: req.body?.role
+    });
+    res.status(201).json({ user });
+  } catch (error) {
+    res.status(400).json({ error: error instanceof Error ? error.message : String(error) });
+  }
+});
+
+app.patch("/api/admin/users/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const { role, password, disabled } = req.body || {};
+    const user = await updateUser(req.params.id, { role, password, disabled });
+    if (!user) {
+      res.status(404).json({ error: "User not found." });
+      return;
+    }
+    res.json({ user });
+  } catch (error) {
+    res.status(400).json({ error: error instanceof Error ? error.message : String(error) });
+  }
+});
+
+app.post("/api/admin/users/:id/revoke-sessions", requireRole("admin"), async (req, res) => {
+  try {
+    const user = await updateUser(req.params.id, { revokeSessions: true });
+    if (!user) {
+      res.status(404).json({ error: "User not found." });
+      return;
+    }
+    res.json({ user });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to revoke sessions.",
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
+app.delete("/api/admin/users/:id", requireRole("admin"), async (req, res) => {
+  if (req.params.id === req.user.id) {
+    res.status(400).json({ error: "You cannot delete your own account." });
+    return;
+  }
+
+  try {
+    if (!(await deleteUser(req.params.id))) {
+      res.status(404).json({ error: "User not found." });
+      return;
+    }
+    await deleteUserPresets(req.params.id);
+    await deleteUserBoards(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to delete the user.",
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
+// Clients fall back to localStorage when these answer 401 or 403.
+app.get("/api/presets", requireRole("viewer"), requireAccount("Saved presets"), async (req, res) => {
+  try {
+    res.json(await getUserPresets(req.user.id));
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to load presets.",
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
+app.put("/api/presets", requireRole("viewer"), requireAccount("Saved presets"), async (req, res) => {
+  try {
+    res.json(await saveUserPresets(req.user.id, req.body || {}));
+  } catch (error) {
+    res.status(400).json({ error: error instanceof Error ? error.message : String(error) });
+  }
+});
+
+const boardResponse = (req, board) => ({
+  ...board,
+  shareUrl: board.shareToken ? `${req.protocol}://${req.get("host")}/shared/boards/${board.shareToken}` : null
+});
+
+async function findOwnBoard(req, res) {
+  const board = await findBoard(req.params.id);
+  if (!board || board.ownerId !== req.user.id) {
+    res.status(404).json({ error: "Board not found." });
+    return null;
+  }
+  return board;
+}
+
+// Shops come back in board order; ones that have left the database are dropped.
+async function sendBoard(res, board) {
+  try {
+    const { payload } = await getShopsPayload();
+    const byId = new Map((payload.shops || []).map((shop) => [shop.id, shop]));
+    res.setHeader("cache-control", "private, no-store");
+    res.json({ board, shops: board.items.map((id) => byId.get(id)).filter(Boolean) });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to load Notion database.",
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+}
+
+function sendBoardStoreError(res, error) {
+  res.status(500).json({
+    error: "Failed to read or save boards.",
+    details: error instanceof Error ? error.message : String(error)
+  });
+}
+
+// The board can be deleted between the ownership check and the write.
+function sendChangedBoard(req, res, board) {
+  if (!board) {
+    res.status(404).json({ error: "Board not found." });
+    return;
+  }
+  res.json({ board: boardResponse(req, board) });
+}
+
+const boardsAccess = [requireRole("viewer"), requireAccount("Boards")];
+
+app.get("/api/boards", boardsAccess, async (req, res) => {
+  try {
+    const boards = await listBoards(req.user.id);
+    res.json({ boards: boards.map((board) => boardResponse(req, board)) });
+  } catch (error) {
+    sendBoardStoreError(res, error);
+  }
+});
+
+app.post("/api/boards", boardsAccess, async (req, res) => {
+  try {
+    const board = await createBoard(req.user.id, req.body || {});
+    res.status(201).json({ board: boardResponse(req, board) });
+  } catch (error) {
+    res.status(400).json({ error: error instanceof Error ? error.message : String(error) });
+  }
+});
+
+app.get("/api/boards/:id", boardsAccess, async (req, res) => {
+  try {
+    const board = await findOwnBoard(req, res);
+    if (board) await sendBoard(res, boardResponse(req, board));
+  } catch (error) {
+    sendBoardStoreError(res, error);
+  }
+});
+
+app.patch("/api/boards/:id", boardsAccess, async (req, res) => {
+  try {
+    if (!(await findOwnBoard(req, res))) return;
+  } catch (error) {
+    sendBoardStoreError(res, error);
+    return;
+  }
+
+  try {
+    const { name, items } = req.body || {};
+    sendChangedBoard(req, res, await updateBoard(req.params.id, { name, items }));
+  } catch (error) {
+    res.status(400).json({ error: error instanceof Error ? error.message : String(error) });
+  }
+});
+
+app.delete("/api/boards/:id", boardsAccess, async (req, res) => {
+  try {
+    if (!(await findOwnBoard(req, res))) return;
+    await deleteBoard(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendBoardStoreError(res, error);
+  }
+});
+
+app.post("/api/boards/:id/items", boardsAccess, async (req, res) => {
+  try {
+    if (!(await findOwnBoard(req, res))) return;
+  } catch (error) {
+    sendBoardStoreError(res, error);
+    return;
+  }
+
+  try {
+    sendChangedBoard(req, res, await addBoardItem(req.params.id, req.body?.shopId));
+  } catch (error) {
+    res.status(400).json({ error: error instanceof Error ? error.message : String(error) });
+  }
+});
+
+app.delete("/api/boards/:id/items/:shopId", boardsAccess, async (req, res) => {
+  try {
+    if (!(await findOwnBoard(req, res))) return;
+    sendChangedBoard(req, res, await removeBoardItem(req.params.id, req.params.shopId));
+  } catch (error) {
+    sendBoardStoreError(res, error);
+  }
+});
+
+app.post("/api/boards/:id/share", boardsAccess, async (req, res) => {
+  try {
+    if (!(await findOwnBoard(req, res))) return;
+    sendChangedBoard(req, res, await setBoardSharing(req.params.id, true));
+  } catch (error) {
+    sendBoardStoreError(res, error);
+  }
+});
+
+app.delete("/api/boards/:id/share", boardsAccess, async (req, res) => {
+  try {
+    if (!(await findOwnBoard(req, res))) return;
+    sendChangedBoard(req, res, await setBoardSharing(req.params.id, false));
+  } catch (error) {
+    sendBoardStoreError(res, error);
+  }
+});
+
+// Read-only view of a shared board; only the name and shops are exposed.
+app.get("/api/shared/boards/:token", async (req, res) => {
+  try {
+    const board = await findSharedBoard(req.params.token);
+    if (!board) {
+      res.status(404).json({ error: "This board is no longer shared." });
+      return;
+    }
+
+    await sendBoard(res, { name: board.name, items: board.items, updatedAt: board.updatedAt });
+  } catch (error) {
+    sendBoardStoreError(res, error);
+  }
+});
+
+app.get("/api/admin/guest-links", requireRole("admin"), async (_req, res) => {
+  try {
+    res.json({ links: await listGuestLinks() });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to load guest links.",
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
+app.post("/api/admin/guest-links", requireRole("admin"), async (req, res) => {
+  try {
+    const { label, expiresInHours, maxUses, category, tag } = req.body || {};
+    const link = await createGuestLink({
+      label,
+      expiresInHours,
+      maxUses,
+      categories: category,
+      tags: tag,
+      createdBy: req.user.username
+    });
+    res.status(201).json({ link, url: guestLinkUrl(req, link) });
+  } catch (error) {
+    res.status(400).json({ error: error instanceof Error ? error.message : String(error) });
+  }
+});
+
+app.delete("/api/admin/guest-links/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const link = await revokeGuestLink(req.params.id);
+    if (!link) {
+      res.status(404).json({ error: "Guest link not found." });
+      return;
+    }
+    res.json({ link });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to revoke the guest link.",
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
+app.get("/api/admin/audit", requireRole("admin"), async (req, res) => {
+  const limit = Math.min(1000, Math.max(1, Number.parseInt(String(req.query.limit || "100"), 10) || 100));
+  const event = String(req.query.event || "");
+  try {
+    res.json({ events: await readAuditEvents({ limit, event }) });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to read the audit log.",
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
+app.get("/api/admin/notion/webhook-verification", requireRole("admin"), async (_req, res) => {
+  try {
+    const verification = await notionWebhookVerification.read();
+    if (!verification) {
+      res.status(404).json({ error: "No verification request from Notion has arrived yet." });
+      return;
+    }
+    res.json(verification);
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to read the verification token.",
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
+// Clears the stored token so a new subscription's handshake can be accepted.
+app.delete("/api/admin/notion/webhook-verification", requireRole("admin"), async (req, res) => {
+  try {
+    await notionWebhookVerification.update(() => ({ value: null }));
+    appendAuditEvent({
+      event: "notion_webhook_verification_cleared",
+      username: req.user.username,
+      ...auditContext(req)
+    });
+    res.json({ ok: true });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to clear the verification token.",
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
+// How each propertyMap key and extra field resolved against the live schema. ?rows=0 skips
+// reading every page for unreadable values.
+app.get("/api/admin/schema", requireRole("admin"), async (req, res) => {
+  try {
+    res.json(await checkShopsSchema({ propertyMap }, { rows: req.query.rows !== "0" }));
+  } catch (error) {
+    res.status(error?.code ? 502 : 400).json({
+      error: "Failed to check the Notion schema.",
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
+// Notion API errors carry a code; anything else is a problem with the request or setup.
+function sendShopWriteError(res, error) {
+  res.status(error?.code ? 502 : 400).json({
+    error: "Failed to write to Notion.",
+    details: error instanceof Error ? error.message : String(error)
+  });
+}
+
+async function findAdminShop(req, res) {
+  const { payload } = await getShopsPayload();
+  const shop = payload.shops.find((item) => item.id === req.params.id);
+  if (!shop) res.status(404).json({ error: "Shop not found." });
+  return shop || null;
+}
+
+// Answers 409 with the existing shop, and returns null, when the URL is already in the vault.
+async function createVaultShop(req, res, fields) {
+  const { payload } = await getShopsPayload();
+  const existing = payload.shops.find((shop) => shopUrlKey(shop.url) === shopUrlKey(fields.url));
+  if (existing) {
+    res.status(409).json({ error: "That shop is already in the vault.", shop: existing });
+    return null;
+  }
+
+  const shop = withScreenshot(await createShop(fields, { propertyMap }));
+  shopsCache.fetchedAt = 0;
+  appendAuditEvent({ event: "shop_created", shopId: shop.id, username: req.user.username, ...auditContext(req) });
+  return shop;
+}
+
+// Writes go straight to Notion; the cached payload is marked stale so the next
+// /api/shops request re-syncs behind the response.
+app.post("/api/admin/shops", requireRole("editor"), async (req, res) => {
+  let fields;
+  try {
+    fields = parseShopFields(req.body || {}, { requireUrl: true });
+  } catch (error) {
+    res.status(400).json({ error: error instanceof Error ? error.message : String(error) });
+    return;
+  }
+
+  try {
+    const shop = await createVaultShop(req, res, fields);
+    if (shop) res.status(201).json({ shop });
+  } catch (error) {
+    sendShopWriteError(res, error);
+  }
+});
+
+app.patch("/api/admin/shops/:id", requireRole("editor"), async (req, res) => {
+  let fields;
+  try {
+    fields = parseShopFields(req.body || {});
+  } catch (error) {
+    res.status(400).json({ error: error instanceof Error ? error.message : String(error) });
+    return;
+  }
+
+  if (Object.keys(fields).length === 0) {
+    res.status(400).json({ error: "Nothing to update. Send title, url, category, tags or notes." });
+    return;
+  }
+
+  try {
+    if (!(await findAdminShop(req, res))) return;
+
+    const shop = withScreenshot(await updateShop(req.params.id, fields, { propertyMap }));
+    shopsCache.fetchedAt = 0;
+    appendAuditEvent({
+      event: "shop_updated",
+      shopId: shop.id,
+      fields: Object.keys(fields),
+      username: req.user.username,
+      ...auditContext(req)
+    });
+    res.json({ shop });
+  } catch (error) {
+    sendShopWriteError(res, error);
+  }
+});
+
+app.delete("/api/admin/shops/:id", requireRole("editor"), async (req, res) => {
+  try {
+    if (!(await findAdminShop(req, res))) return;
+
+    await archiveShop(req.params.id, { propertyMap });
+    shopsCache.fetchedAt = 0;
+    appendAuditEvent({
+      event: "shop_archived",
+      shopId: req.params.id,
+      username: req.user.username,
+      ...auditContext(req)
+    });
+    res.status(204).end();
+  } catch (error) {
+    sendShopWriteError(res, error);
+  }
+});
+
+// Same clustering as scripts/find-duplicates.js, but only with redirects and screenshots
+// that are already cached, so it never waits on other sites.
+app.get("/api/admin/duplicates", requireRole("editor"), async (_req, res) => {
+  try {
+    const { payload } = await getShopsPayload();
+    const cachedTech = await getCachedSiteTech();
+    const redirects = new Map(
+      payload.shops
+        .filter((shop) => cachedTech[shop.url]?.finalUrl)
+        .map((shop) => [shop.url, cachedTech[shop.url].finalUrl])
+    );
+    const features = await getScreenshotFeatures(payload.shops).catch((error) => {
+      console.warn("Screenshot features unavailable", error);
+      return new Map();
+    });
+
+    res.json({
+      clusters: findDuplicateClusters(payload.shops, { redirects, features }),
+      redirectsChecked: redirects.size,
+      screenshotsCompared: features.size
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to load Notion database.",
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
+// { survivorId, ids }: tags and notes from ids are merged into the survivor, then ids are archived.
+app.post("/api/admin/duplicates/merge", requireRole("editor"), async (req, res) => {
+  const survivorId = String(req.body?.survivorId || "");
+  const ids = Array.isArray(req.body?.ids) ? req.body.ids.map(String).filter((id) => id && id !== survivorId) : [];
+  if (!survivorId || ids.length === 0) {
+    res.status(400).json({ error: "Send survivorId and the ids to merge into it." });
+    return;
+  }
+
+  try {
+    const { payload } = await getShopsPayload();
+    const byId = new Map(payload.shops.map((shop) => [shop.id, shop]));
+    const missing = [survivorId, ...ids].filter((id) => !byId.has(id));
+    if (missing.length) {
+      res.status(404).json({ error: `Shop not found: ${missing.join(", ")}.` });
+      return;
+    }
+
+    const duplicates = ids.map((id) => byId.get(id));
+    const result = await mergeDuplicateShops(byId.get(survivorId), duplicates, { propertyMap });
+    shopsCache.fetchedAt = 0;
+    appendAuditEvent({
+      event: "shops_merged",
+      shopId: survivorId,
+      archived: result.archived,
+      username: req.user.username,
+      ...auditContext(req)
+    });
+    res.json({ shop: withScreenshot(result.shop), fields: result.fields, archived: result.archived });
+  } catch (error) {
+    sendShopWriteError(res, error);
+  }
+});
+
+app.get("/api/admin/submissions", requireRole("editor"), async (req, res) => {
+  try {
+    res.json({ submissions: await listSubmissions({ status: String(req.query.status || "pending") }) });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to load submissions.",
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
+const sendSubmissionConflict = (res, submission) =>
+  res.status(409).json({
+    error:
+      submission.status === "pending"
+        ? "Another editor is approving this submission."
+        : `This submission was already ${submission.status}.`,
+    submission
+  });
+
+// A quick check before any work; the review itself checks again inside the queued write.
+async function findPendingSubmission(req, res) {
+  const submission = await findSubmission(req.params.id);
+  if (!submission) {
+    res.status(404).json({ error: "Submission not found." });
+    return null;
+  }
+  if (submission.status !== "pending") {
+    sendSubmissionConflict(res, submission);
+    return null;
+  }
+  return submission;
+}
+
+// Sends the reviewed submission, or a 404 or 409 when the review didn't apply.
+function reviewApplied(res, result) {
+  if (!result) {
+    res.status(404).json({ error: "Submission not found." });
+    return false;
+  }
+  if (!result.changed) {
+    sendSubmissionConflict(res, result.submission);
+    return false;
+  }
+  return true;
+}
+
+// The body can adjust any shop field before the page is created; the suggested name is
+// the default title. Reader notes are not copied unless sent as notes.
+app.post("/api/admin/submissions/:id/approve", requireRole("editor"), async (req, res) => {
+  let claim = "";
+
+  try {
+    const submission = await findPendingSubmission(req, res);
+    if (!submission) return;
+
+    let fields;
+    try {
+      fields = parseShopFields({ url: submission.url, title: submission.name, ...req.body }, { requireUrl: true });
+    } catch (error) {
+      res.status(400).json({ error: error instanceof Error ? error.message : String(error) });
+      return;
+    }
+
+    const claimed = await claimSubmission(submission.id);
+    if (!reviewApplied(res, claimed)) return;
+    claim = claimed.submission.claim.token;
+
+    const shop = await createVaultShop(req, res, fields);
+    if (!shop) return;
+
+    const reviewed = await reviewSubmission(submission.id, {
+      status: "approved",
+      shopId: shop.id,
+      reviewedBy: req.user.username,
+      claim
+    });
+    claim = "";
+    appendAuditEvent({
+      event: "submission_approved",
+      submissionId: submission.id,
+      shopId: shop.id,
+      username: req.user.username,
+      ...auditContext(req)
+    });
+    res.json({ submission: reviewed?.submission || null, shop });
+  } catch (error) {
+    sendShopWriteError(res, error);
+  } finally {
+    if (claim) {
+      await releaseSubmission(req.params.id, claim).catch((error) => {
+        console.error(`Failed to release submission ${req.params.id}`, error);
+      });
+    }
+  }
+});
+
+app.post("/api/admin/submissions/:id/reject", requireRole("editor"), async (req, res) => {
+  try {
+    const result = await reviewSubmission(req.params.id, {
+      status: "rejected",
+      reason: req.body?.reason,
+      reviewedBy: req.user.username
+    });
+    if (!reviewApplied(res, result)) return;
+
+    appendAuditEvent({
+      event: "submission_rejected",
+      submissionId: req.params.id,
+      username: req.user.username,
+      ...auditContext(req)
+    });
+    res.json({ submission: result.submission });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to reject the submission.",
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
+// Marks the submission as a duplicate of a shop that is already in the vault. shop is an id
+// or URL; without one, the shop with the same URL is used.
+app.post("/api/admin/submissions/:id/merge", requireRole("editor"), async (req, res) => {
+  try {
+    const submission = await findPendingSubmission(req, res);
+    if (!submission) return;
+
+    const target = String(req.body?.shop || "").trim();
+    const targetUrl = target ? normalizeCandidateUrl(target) : submission.url;
+    const { payload } = await getShopsPayload();
+    const shop =
+      payload.shops.find((item) => target && item.id === target) ||
+      payload.shops.find((item) => targetUrl && shopUrlKey(item.url) === shopUrlKey(targetUrl));
+
+    if (!shop) {
+      res.status(404).json({
+        error: target ? "No shop matches that id or URL." : "No shop in the vault has this URL."
+      });
+      return;
+    }
+
+    const result = await reviewSubmission(submission.id, {
+      status: "merged",
+      shopId: shop.id,
+      reviewedBy: req.user.username
+    });
+    if (!reviewApplied(res, result)) return;
+
+    appendAuditEvent({
+      event: "submission_merged",
+      submissionId: submission.id,
+      shopId: shop.id,
+      username: req.user.username,
+      ...auditContext(req)
+    });
+    res.json({ submission: result.submission, shop });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to load Notion database.",
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
+app.use(express.static(staticDir));
+
+function dedupeScreenshotJob(cacheKey, job) {
+  const existing = screenshotJobs.inflight.get(cacheKey);
+  if (existing) return existing;
+
+  const inflight = job().finally(() => {
+    screenshotJobs.inflight.delete(cacheKey);
+  });
+  screenshotJobs.inflight.set(cacheKey, inflight);
+  return inflight;
+}
+
+function captureScreenshot(targetUrl, options, cacheKey) {
+  return dedupeScreenshotJob(cacheKey, async () => {
+    const fresh = await fetchScreenshotBuffer(targetUrl, options);
+    const fetchedAt = Date.now();
+    await writeCacheEntry(cacheKey, fresh.contentType, fresh.body, {
+      url: targetUrl,
+      variant: screenshotVariant(options),
+      fetchedAt
+    });
+    return { ...fresh, fetchedAt };
+  });
+}
+
+// Returns false when the key failed recently, so a dead provider isn't hit on every request.
+function revalidateInBackground(cacheKey, job) {
+  const failedAt = screenshotJobs.failures.get(cacheKey) || 0;
+  if (Date.now() - failedAt < screenshotRetryMs) {
+    return false;
+  }
+
+  dedupeScreenshotJob(cacheKey, job)
+    .then(() => {
+      screenshotJobs.failures.delete(cacheKey);
+    })
+    .catch((error) => {
+      screenshotJobs.failures.set(cacheKey, Date.now());
+      console.error(`Screenshot refresh failed for ${cacheKey}`, error);
+    });
+  return true;
+}
+
+async function loadScreenshot(targetUrl, options, cacheKey) {
+  const cached = await readCacheEntry(cacheKey);
+  if (cached && !cached.stale) {
+    return { entry: cached, status: "fresh" };
+  }
+
+  if (cached) {
+    const revalidating = revalidateInBackground(cacheKey, () => captureScreenshot(targetUrl, options, cacheKey));
+    return { entry: cached, status: revalidating ? "revalidating" : "stale" };
+  }
+
+  return { entry: await captureScreenshot(targetUrl, options, cacheKey), status: "miss" };
+}
+
+async function buildVariant(targetUrl, options, cacheKey, variant, variantKey, variantName) {
+  const { entry: original, status } = await loadScreenshot(targetUrl, options, cacheKey);
+  const resized = await transformScreenshot(original.body, variant);
+
+  // Variants inherit the original's age, so they go stale together.
+  await writeCacheEntry(variantKey, resized.contentType, resized.body, {
+    url: targetUrl,
+    variant: variantName,
+    fetchedAt: original.fetchedAt
+  });
+
+  return { entry: { ...resized, fetchedAt: original.fetchedAt }, status };
+}
+
+// URLs carrying sv= only change content when the entry is refreshed, so browsers may keep
+// them without revalidating until the entry goes stale on our side.
+function screenshotCacheControl(req, { entry, status }) {
+  if (!req.query.sv) return "no-cache";
+  if (status === "stale" || status === "revalidating") return "public, max-age=60";
+
+  const remainingSeconds = Math.floor((screenshotTtlMs - (Date.now() - entry.fetchedAt)) / 1000);
+  return remainingSeconds > 60 ? `public, max-age=${remainingSeconds}, immutable` : "public, max-age=60";
+}
+
+function sendScreenshot(req, res, result, cacheKey) {
+  const { entry, status } = result;
+  res.setHeader("content-type", entry.contentType);
+  res.setHeader("cache-control", screenshotCacheControl(req, result));
+  res.setHeader("x-screenshot-cache", status);
+
+  if (entry.fetchedAt) {
+    res.setHeader("etag", `"${cacheKey}-${entry.fetchedAt}"`);
+    res.setHeader("last-modified", new Date(entry.fetchedAt).toUTCString());
+  }
+
+  if (req.fresh) {
+    res.status(304).end();
+    return;
+  }
+
+  res.send(entry.body);
+}
+
+app.get("/api/screenshot", async (req, res) => {
+  const targetUrl = typeof req.query.u === "string" ? req.query.u.trim() : "";
+
+  if (!isWebUrl(targetUrl)) {
+    res.status(400).json({ error: "Missing or invalid screenshot URL." });
+    return;
+  }
+
+  const options = parseScreenshotOptions(req.query);
+  const captureVariant = screenshotVariant(options);
+  const cacheKey = cacheKeyForUrl(targetUrl, captureVariant);
+  const variant = parseVariantOptions(req.query);
+
+  try {
+    if (!variant) {
+      sendScreenshot(req, res, await loadScreenshot(targetUrl, options, cacheKey), cacheKey);
+      return;
+    }
+
+    const variantName = [captureVariant, variantSuffix(variant)].filter(Boolean).join("&");
+    const variantKey = cacheKeyForUrl(targetUrl, variantName);
+    const rebuildVariant = () => buildVariant(targetUrl, options, cacheKey, variant, variantKey, variantName);
+    const cachedVariant = await readCacheEntry(variantKey);
+
+    if (cachedVariant && !cachedVariant.stale) {
+      sendScreenshot(req, res, { entry: cachedVariant, status: "fresh" }, variantKey);
+      return;
+    }
+
+    if (cachedVariant) {
+      const revalidating = revalidateInBackground(variantKey, async () => {
+        const original = await readCacheEntry(cacheKey);
+        if (!original || original.stale) {
+          await captureScreenshot(targetUrl, options, cacheKey);
+        }
+        return rebuildVariant();
+      });
+      sendScreenshot(req, res, { entry: cachedVariant, status: revalidating ? "revalidating" : "stale" }, variantKey);
+      return;
+    }
+
+    sendScreenshot(req, res, await dedupeScreenshotJob(variantKey, rebuildVariant), variantKey);
+  } catch (error) {
+    res.status(502).json({
+      error: "Failed to create screenshot.",
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
+app.get("/api/admin/screenshot-cache", requireRole("admin"), async (_req, res) => {
+  try {
+    res.json(await getCacheStats());
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to read the screenshot cache.",
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
+app.delete("/api/admin/screenshot-cache", requireRole("admin"), async (req, res) => {
+  const targetUrl = typeof req.query.u === "string" ? req.query.u.trim() : "";
+
+  if (!targetUrl && req.query.all !== "1") {
+    res.status(400).json({ error: "Pass ?u=<url> to purge one URL or ?all=1 to purge everything." });
+    return;
+  }
+
+  try {
+    res.json(targetUrl ? await purgeCacheUrl(targetUrl) : await purgeCache());
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to purge the screenshot cache.",
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
+const visibleShopsPayload = (req, payload) =>
+  req.user?.scope ? scopeShopsPayload(payload, req.user.scope) : payload;
+
+// Scoped views must never land in a shared edge cache.
+const shopsCacheControl = (req) =>
+  req.user?.scope ? "private, no-store" : `public, s-maxage=${edgeCacheSeconds}, stale-while-revalidate=${edgeStaleSeconds}`;
+
+function sendShops(req, res, fullPayload, source) {
+  const scope = req.user?.scope;
+  const payload = visibleShopsPayload(req, fullPayload);
+
+  res.setHeader("cache-control", shopsCacheControl(req));
+  res.setHeader("x-shops-cache", source);
+  res.setHeader("x-shops-version", fullPayload.version || "");
+
+  const query = hasShopsQuery(req.query) ? parseShopsQuery(req.query) : null;
+
+  if (fullPayload.version) {
+    const variant = crypto.createHash("sha256").update(JSON.stringify({ query, scope })).digest("hex").slice(0, 10);
+    res.setHeader("etag", `"${fullPayload.version}-${variant}"`);
+  }
+
+  if (fullPayload.updatedAt) {
+    res.setHeader("last-modified", new Date(fullPayload.updatedAt).toUTCString());
+  }
+
+  if (req.fresh) {
+    res.status(304).end();
+    return;
+  }
+
+  res.json(query ? queryShops(payload, query) : payload);
+}
+
+async function handleShopsRequest(req, res) {
+  try {
+    const { payload, source } = await getShopsPayload();
+    sendShops(req, res, payload, source);
+  } catch (error) {
+    if (shopsCache.payload) {
+      sendShops(req, res, shopsCache.payload, "memory-stale-on-error");
+      return;
+    }
+
+    res.status(500).json({
+      error: "Failed to load Notion database.",
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+}
+
+app.get("/api/shops", handleShopsRequest);
+
+// Same response shape as /api/shops, but a query is required and results default to relevance order.
+app.get("/api/search", (req, res) => {
+  if (!String(req.query.q || "").trim()) {
+    res.status(400).json({ error: "Missing search query (q)." });
+    return;
+  }
+
+  req.query.sort = req.query.sort || "relevance";
+  return handleShopsRequest(req, res);
+});
+
+app.get("/api/shops/:id", async (req, res) => {
+  try {
+    const { payload: fullPayload } = await getShopsPayload();
+    const payload = visibleShopsPayload(req, fullPayload);
+    const shop = payload.shops.find((item) => item.id === req.params.id);
+
+    if (!shop) {
+      res.status(404).json({ error: "Shop not found." });
+      return;
+    }
+
+    // A lookup can take several seconds on a slow site, so the page gets what is cached and
+    // any lookup that is due runs in the background for the next visit.
+    const tech = (await getCachedSiteTech())[shop.url] || null;
+    detectSiteTech(shop.url).catch((error) => console.warn(`Site tech lookup failed for ${shop.url}`, error));
+    res.setHeader("cache-control", shopsCacheControl(req));
+    res.json({
+      shop,
+      screenshots: { desktop: shop.screenshot, mobile: `${shop.screenshot}&device=mobile` },
+      fields: payload.fields || [],
+      tech,
+      related: findRelatedShops(payload.shops, shop)
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to load Notion database.",
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
+app.get("/api/shops/:id/similar", async (req, res) => {
+  const limit = Math.min(24, Math.max(1, Number.parseInt(String(req.query.limit || "8"), 10) || 8));
+
+  try {
+    const { payload: fullPayload } = await getShopsPayload();
+    const payload = visibleShopsPayload(req, fullPayload);
+    const shop = payload.shops.find((item) => item.id === req.params.id);
+
+    if (!shop) {
+      res.status(404).json({ error: "Shop not found." });
+      return;
+    }
+
+    const features = await getScreenshotFeatures(payload.shops).catch((error) => {
+      console.warn("Screenshot features unavailable", error);
+      return new Map();
+    });
+    res.setHeader("cache-control", shopsCacheControl(req));
+    res.json({ id: shop.id, similar: findSimilarShops(payload.shops, shop, { limit, features }) });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to load Notion database.",
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
+// Swaps the site-wide title and social tags for the shop's, so a shared link unfurls
+// with its name, notes and screenshot.
+function withShopMeta(html, req, shop) {
+  const origin = `${req.protocol}://${req.get("host")}`;
+  const title = `${shop.title} | Shop Haul Vault`;
+  const description = (shop.notes || [shop.category, ...shop.tags].filter(Boolean).join(" · ") || shop.url).slice(0, 200);
+  const image = `${origin}${shop.screenshot}&w=1200&fmt=jpeg`;
+  const meta = [
+    ["name", "description", description],
+    ["property", "og:title", title],
+    ["property", "og:description", description],
+    ["property", "og:type", "website"],
+    ["property", "og:url", `${origin}${req.originalUrl}`],
+    ["property", "og:image", image],
+    ["property", "og:image:alt", `${shop.title} screenshot`],
+    ["name", "twitter:card", "summary_large_image"],
+    ["name", "twitter:title", title],
+    ["name", "twitter:description", description],
+    ["name", "twitter:image", image]
+  ]
+    .map(([attribute, key, content]) => `<meta ${attribute}="${key}" content="${escapeHtml(content)}" />`)
+    .join("\n    ");
+
+  return html
+    .replace(/<meta\s+(?:name|property)="(?:description|og:[^"]*|twitter:[^"]*)"[\s\S]*?\/>\s*/g, "")
+    .replace(/<title>[\s\S]*?<\/title>/, `<title>${escapeHtml(title)}</title>\n    ${meta}`);
+}
+
+app.get("/shop/:id", async (req, res) => {
+  const indexPath = path.join(staticDir, "index.html");
+
+  try {
+    const { payload } = await getShopsPayload();
+    const shop = visibleShopsPayload(req, payload).shops.find((item) => item.id === req.params.id);
+    if (!shop) throw new Error("Shop not found.");
+
+    res.send(withShopMeta(await fs.readFile(indexPath, "utf8"), req, shop));
+  } catch {
+    // The app shows its own not-found and error states.
+    res.sendFile(indexPath);
   }
 });
 
@@ -427,6 +1957,8 @@ app.get("*", (_req, res) => {
 });
 
 await fs.mkdir(screenshotCacheDir, { recursive: true });
+await restoreShopsSnapshot();
+startCacheSweeper();
 
 if (!isVercel) {
   app.listen(port, () => {
@@ -0,0 +1,57 @@
+import crypto from "node:crypto";
+
+const sessionTtlHours = Number(process.env.SESSION_TTL_HOURS || 336);
+const secureCookies = Boolean(process.env.VERCEL);
+
+export const sessionCookieName = "shop_haul_session";
+export const csrfCookieName = "shop_haul_csrf";
+export const sessionTtlMs = Math.max(1, sessionTtlHours) * 60 * 60 * 1000;
+
+const sessionSecret = () =>
+  process.env.SESSION_SECRET ||
+  globalThis.__shopHaulSessionSecret ||
+  (globalThis.__shopHaulSessionSecret = (() => {
+    console.warn("SESSION_SECRET is missing; sessions will not survive a restart.");
+    return crypto.randomBytes(32).toString("hex");
+  })());
+
+const sign = (value) => crypto.createHmac("sha256", sessionSecret()).update(value).digest("base64url");
+
+// payload.exp (ms) overrides the default session lifetime, e.g. for guest links.
+export function signSession(payload) {
+  const body = Buffer.from(JSON.stringify({ exp: Date.now() + sessionTtlMs, ...payload }), "utf8").toString("base64url");
+  return `${body}.${sign(body)}`;
+}
+
+export function verifySession(token) {
+  const [body, signature] = String(token || "").split(".");
+  if (!body || !signature) return null;
+
+  const expected = Buffer.from(sign(body));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    return Number(payload.exp) > Date.now() ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+export function sessionCookie(token, maxAgeMs = sessionTtlMs) {
+  const secure = secureCookies ? "; Secure" : "";
+  return `${sessionCookieName}=${token}; Path=/; HttpOnly; SameSite=Lax${secure}; Max-Age=${Math.floor(maxAgeMs / 1000)}`;
+}
+
+export function clearedSessionCookie() {
+  const secure = secureCookies ? "; Secure" : "";
+  return `${sessionCookieName}=; Path=/; HttpOnly; SameSite=Lax${secure}; Max-Age=0`;
+}
+
+export function csrfCookie(token) {
+  const secure = secureCookies ? "; Secure" : "";
+  return `${csrfCookieName}=${token}; Path=/; HttpOnly; SameSite=Strict${secure}`;
+}
@@ -0,0 +1,254 @@
+import { describeExtraFields, extraFieldValues, facetFieldTypes } from "./extra-fields.js";
+import { highlightShop, searchShops } from "./search-index.js";
+
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 100;
+const SORTS = ["relevance", "recent", "oldest", "az", "za"];
+const TAG_MODES = ["all", "any"];
+const QUERY_KEYS = ["category", "tag", "tagMode", "q", "sort", "page", "pageSize"];
+const FIELD_PREFIX = "field.";
+
+const normalizeText = (value) => String(value || "").toLowerCase().trim();
+
+const toList = (value) => {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : [value];
+  return list.map((item) => String(item || "").trim()).filter(Boolean);
+};
+
+const toPositiveInt = (value, fallback) => {
+  const parsed = Number.parseInt(String(value ?? ""), 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const countBy = (items, pickValues) => {
+  const counts = {};
+  for (const item of items) {
+    for (const value of pickValues(item)) {
+      counts[value] = (counts[value] || 0) + 1;
+    }
+  }
+  return counts;
+};
+
+// field.<key>=value filters on an extra field; repeating it matches any of the values.
+const parseFieldFilters = (query) =>
+  Object.fromEntries(
+    Object.keys(query)
+      .filter((name) => name.startsWith(FIELD_PREFIX) && name.length > FIELD_PREFIX.length)
+      .map((name) => [name.slice(FIELD_PREFIX.length), toList(query[name])])
+      .filter(([, values]) => values.length > 0)
+  );
+
+// "min..max" with either end optional. Numbers compare as numbers, anything else as text cut to
+// the bound's length, so "..2024-05" includes every date in May.
+const inRange = (value, range) => {
+  const [min, max] = range.split("..").map((bound) => bound.trim());
+  const numeric = [value, min, max].filter(Boolean).every((item) => Number.isFinite(Number(item)));
+  const compare = (bound) => {
+    if (numeric) return Number(value) - Number(bound);
+    const cut = value.slice(0, bound.length);
+    return cut < bound ? -1 : cut > bound ? 1 : 0;
+  };
+  return (!min || compare(min) >= 0) && (!max || compare(max) <= 0);
+};
+
+const fieldMatches = (value, wanted) => {
+  const values = extraFieldValues(value).map(normalizeText);
+  return wanted.some((item) =>
+    item.includes("..") ? values.some((candidate) => inRange(candidate, item)) : values.includes(normalizeText(item))
+  );
+};
+
+export function hasShopsQuery(query = {}) {
+  return (
+    QUERY_KEYS.some((key) => query[key] !== undefined) || Object.keys(query).some((key) => key.startsWith(FIELD_PREFIX))
+  );
+}
+
+export function parseShopsQuery(query = {}) {
+  const sort = String(query.sort || "").trim();
+  const tagMode = String(query.tagMode || "").trim();
+
+  return {
+    categories: toList(query.category),
+    tags: toList(query.tag),
+    tagMode: TAG_MODES.includes(tagMode) ? tagMode : "all",
+    fields: parseFieldFilters(query),
+    q: String(query.q || "").trim(),
+    sort: SORTS.includes(sort) ? sort : "recent",
+    page: toPositiveInt(query.page, 1),
+    pageSize: Math.min(MAX_PAGE_SIZE, toPositiveInt(query.pageSize, DEFAULT_PAGE_SIZE))
+  };
+}
+
+export function filterShops(shops, { categories = [], tags = [], tagMode = "all", fields = {} }) {
+  let items = shops;
+
+  if (categories.length > 0) {
+    const selectedCategories = categories.map(normalizeText);
+    items = items.filter((shop) => selectedCategories.includes(normalizeText(shop.category)));
+  }
+
+  if (tags.length > 0) {
+    const selectedTags = tags.map(normalizeText);
+    items = items.filter((shop) => {
+      const shopTags = (shop.tags || []).map(normalizeText);
+      return tagMode === "any"
+        ? selectedTags.some((tag) => shopTags.includes(tag))
+        : selectedTags.every((tag) => shopTags.includes(tag));
+    });
+  }
+
+  for (const [key, wanted] of Object.entries(fields)) {
+    items = items.filter((shop) => fieldMatches(shop.extra?.[key], wanted));
+  }
+
+  return items;
+}
+
+export function sortShops(shops, sort) {
+  const sorted = [...shops];
+  if (sort === "az") sorted.sort((a, b) => a.title.localeCompare(b.title));
+  else if (sort === "za") sorted.sort((a, b) => b.title.localeCompare(a.title));
+  else if (sort === "oldest") sorted.sort((a, b) => new Date(a.editedAt) - new Date(b.editedAt));
+  else sorted.sort((a, b) => new Date(b.editedAt) - new Date(a.editedAt));
+  return sorted;
+}
+
+const categoryValues = (shop) => (shop.category ? [String(shop.category).trim()] : []);
+const tagValues = (shop) => new Set((shop.tags || []).map((tag) => tag.trim()).filter(Boolean));
+
+// A search query matches through the search index, limited to shops that pass the other filters.
+function matchShops(allShops, options) {
+  const filtered = filterShops(allShops, options);
+  if (!options.q) return { matches: filtered, hits: null };
+
+  const hits = searchShops(allShops, options.q, new Set(filtered.map((shop) => shop.id)));
+  return { matches: filtered.filter((shop) => hits.has(shop.id)), hits };
+}
+
+// Selected categories are alternatives, so their counts ignore the category filter; the same
+// goes for tags in "any" mode. In "all" mode a tag count is what adding that tag would leave.
+function countFacets(allShops, options, matches, fieldDefinitions = []) {
+  const withoutCategories =
+    options.categories.length > 0 ? matchShops(allShops, { ...options, categories: [] }).matches : matches;
+  const withoutTags =
+    options.tagMode === "any" && options.tags.length > 0
+      ? matchShops(allShops, { ...options, tags: [] }).matches
+      : matches;
+
+  const facets = {
+    categories: countBy(withoutCategories, categoryValues),
+    tags: countBy(withoutTags, tagValues)
+  };
+  if (!fieldDefinitions.length) return facets;
+
+  // Like categories, a field's selected values are alternatives to each other.
+  const fields = {};
+  for (const { key, type } of fieldDefinitions) {
+    if (!facetFieldTypes.includes(type)) continue;
+    const { [key]: selected, ...otherFields } = options.fields || {};
+    const withoutField = selected ? matchShops(allShops, { ...options, fields: otherFields }).matches : matches;
+    fields[key] = countBy(withoutField, (shop) => new Set(extraFieldValues(shop.extra?.[key])));
+  }
+  return { ...facets, fields };
+}
+
+export function queryShops(payload, options) {
+  const allShops = payload.shops || [];
+  const { matches: unsorted, hits } = matchShops(allShops, options);
+
+  // "relevance" orders by search score, with the default recency order breaking ties.
+  const matches = sortShops(unsorted, options.sort);
+  if (hits && options.sort === "relevance") matches.sort((a, b) => hits.get(b.id).score - hits.get(a.id).score);
+
+  const start = (options.page - 1) * options.pageSize;
+  const pageShops = matches.slice(start, start + options.pageSize);
+  const shops = hits
+    ? pageShops.map((shop) => ({
+        ...shop,
+        score: hits.get(shop.id).score,
+        highlights: highlightShop(shop, hits.get(shop.id).terms)
+      }))
+    : pageShops;
+
+  return {
+    shops,
+    total: matches.length,
+    page: options.page,
+    pageSize: options.pageSize,
+    hasMore: start + shops.length < matches.length,
+    facets: countFacets(allShops, options, matches, payload.fields),
+    categories: payload.categories,
+    tags: payload.tags,
+    ...(payload.fields ? { fields: payload.fields } : {}),
+    count: payload.count,
+    totalRows: payload.totalRows,
+    shopsWithUrl: payload.shopsWithUrl,
+    databaseId: payload.databaseId,
+    version: payload.version
+  };
+}
+
+// Narrows a full payload to what a scoped viewer (a guest link or shared board) may see.
+export function scopeShopsPayload(payload, scope = {}) {
+  if (!scope.categories?.length && !scope.tags?.length && !scope.shopIds) return payload;
+
+  const shopIds = scope.shopIds ? new Set(scope.shopIds) : null;
+  const shops = filterShops(payload.shops || [], scope).filter((shop) => !shopIds || shopIds.has(shop.id));
+  const visibleCategories = new Set(shops.map((shop) => String(shop.category || "").trim()));
+  const visibleTags = new Set(shops.flatMap((shop) => (shop.tags || []).map((tag) => tag.trim())));
+
+  return {
+    ...payload,
+    shops,
+    categories: (payload.categories || []).filter((category) => visibleCategories.has(category)),
+    tags: (payload.tags || []).filter((tag) => visibleTags.has(tag)),
+    ...(payload.fields ? { fields: describeExtraFields(payload.fields, shops) } : {}),
+    count: shops.length,
+    shopsWithUrl: shops.length
+  };
+}
+
+// Rare shared tags count for more than common ones; a shared category adds a fixed bonus.
+export function findRelatedShops(shops, shop, limit = 8) {
+  const tagCounts = countBy(shops, (item) => new Set((item.tags || []).map(normalizeText)));
+  const ownTags = new Set((shop.tags || []).map(normalizeText));
+  const ownCategory = normalizeText(shop.category);
+
+  return shops
+    .filter((item) => item.id !== shop.id)
+    .map((item) => {
+      const sharedTags = (item.tags || []).filter((tag) => ownTags.has(normalizeText(tag)));
+      const sameCategory = Boolean(ownCategory) && normalizeText(item.category) === ownCategory;
+      const tagScore = sharedTags.reduce(
+        (sum, tag) => sum + 1 + Math.log(shops.length / (tagCounts[normalizeText(tag)] || 1)),
+        0
+      );
+      return { item, sharedTags, sameCategory, score: tagScore + (sameCategory ? 1.5 : 0) };
+    })
+    .filter((entry) => entry.score > 0)
+    .sort((a, b) => b.score - a.score || String(b.item.editedAt).localeCompare(String(a.item.editedAt)))
+    .slice(0, limit)
+    .map(({ item, sharedTags, sameCategory }) => ({ ...item, related: { tags: sharedTags, category: sameCategory } }));
+}
+
+// Two URLs point at the same shop when they differ only by scheme, www., a trailing
+// slash, query string or fragment.
+export function shopUrlKey(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.hostname.toLowerCase().replace(/^www\./, "")}${parsed.pathname.replace(/\/+$/, "")}`;
+  } catch {
+    return normalizeText(url);
+  }
+}
+
+export function shopHostKey(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, "");
+  } catch {
+    return normalizeText(url);
+  }
+}
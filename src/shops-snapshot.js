@@ -0,0 +1,54 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+const isVercel = Boolean(process.env.VERCEL);
+const snapshotFile = path.resolve(
+  process.env.SHOPS_SNAPSHOT_FILE ||
+    (isVercel ? path.join("/tmp", "shop-haul", "shops-snapshot.json") : "data/shops-snapshot.json")
+);
+
+// Each store only needs load() and save(); add another entry to keep snapshots elsewhere.
+const snapshotStores = {
+  file: {
+    load: async () => {
+      try {
+        return JSON.parse(await fs.readFile(snapshotFile, "utf8"));
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+    save: async (snapshot) => {
+      const tmpPath = `${snapshotFile}.${process.pid}.tmp`;
+      await fs.mkdir(path.dirname(snapshotFile), { recursive: true });
+      await fs.writeFile(tmpPath, JSON.stringify(snapshot), "utf8");
+      await fs.rename(tmpPath, snapshotFile);
+    }
+  },
+  none: {
+    load: async () => null,
+    save: async () => {}
+  }
+};
+
+function getSnapshotStore() {
+  const name = String(process.env.SHOPS_SNAPSHOT_STORE || "file").trim().toLowerCase();
+  const store = snapshotStores[name];
+
+  if (!store) {
+    throw new Error(`Unknown SHOPS_SNAPSHOT_STORE "${name}". Use one of: ${Object.keys(snapshotStores).join(", ")}.`);
+  }
+
+  return store;
+}
+
+// key identifies the data source and mapping; a snapshot saved under another key is ignored.
+export async function loadShopsSnapshot(key) {
+  const snapshot = await getSnapshotStore().load();
+  if (!snapshot || snapshot.key !== key || !Array.isArray(snapshot.payload?.shops)) return null;
+  return snapshot;
+}
+
+export async function saveShopsSnapshot(key, { payload, fetchedAt }) {
+  await getSnapshotStore().save({ key, fetchedAt, payload });
+}
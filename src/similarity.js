@@ -0,0 +1,115 @@
+import { visualSimilarity } from "./screenshot-features.js";
+import { textTerms } from "./search-index.js";
+
+// Signals a pair of shops has no data for (no notes, no cached screenshot) are left
+// out and the remaining weights scaled up.
+const signalWeights = { tags: 0.45, text: 0.3, visual: 0.25 };
+const minScore = 0.05;
+
+const models = new WeakMap();
+
+const normalizeText = (value) => String(value || "").toLowerCase().trim();
+const round = (value) => (value === null ? null : Math.round(value * 1000) / 1000);
+
+function buildModel(shops) {
+  const tagCounts = new Map();
+  const termCounts = new Map();
+  const docs = shops.map((shop) => {
+    const terms = new Map();
+    for (const term of textTerms(shop.notes)) terms.set(term, (terms.get(term) || 0) + 1);
+    return { shop, tags: new Set((shop.tags || []).map(normalizeText).filter(Boolean)), terms };
+  });
+
+  for (const doc of docs) {
+    for (const tag of doc.tags) tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
+    for (const term of doc.terms.keys()) termCounts.set(term, (termCounts.get(term) || 0) + 1);
+  }
+
+  const idf = (count) => Math.log(1 + shops.length / (count || 1));
+
+  // Notes become unit-length TF-IDF vectors, so a dot product is their cosine similarity.
+  for (const doc of docs) {
+    const vector = new Map();
+    for (const [term, count] of doc.terms.entries()) {
+      vector.set(term, (1 + Math.log(count)) * idf(termCounts.get(term)));
+    }
+    const norm = Math.sqrt(Array.from(vector.values()).reduce((sum, value) => sum + value * value, 0));
+    for (const [term, value] of vector.entries()) vector.set(term, value / norm);
+    doc.vector = vector;
+  }
+
+  return { docs, tagWeight: (tag) => idf(tagCounts.get(tag)) };
+}
+
+function getModel(shops) {
+  if (!models.has(shops)) models.set(shops, buildModel(shops));
+  return models.get(shops);
+}
+
+// Weighted Jaccard over tags (rare tags count for more), plus a share for the category.
+function tagSimilarity(model, a, b) {
+  const sameCategory =
+    Boolean(normalizeText(a.shop.category)) && normalizeText(a.shop.category) === normalizeText(b.shop.category);
+  const union = new Set([...a.tags, ...b.tags]);
+  if (union.size === 0) return sameCategory ? 1 : 0;
+
+  let shared = 0;
+  let total = 0;
+  for (const tag of union) {
+    const weight = model.tagWeight(tag);
+    total += weight;
+    if (a.tags.has(tag) && b.tags.has(tag)) shared += weight;
+  }
+
+  return 0.75 * (shared / total) + (sameCategory ? 0.25 : 0);
+}
+
+function textSimilarity(a, b) {
+  if (a.vector.size === 0 || b.vector.size === 0) return null;
+
+  let dot = 0;
+  for (const [term, value] of a.vector.entries()) dot += value * (b.vector.get(term) || 0);
+  return dot;
+}
+
+// features: Map(url -> screenshot features) from getScreenshotFeatures.
+export function findSimilarShops(shops, shop, { limit = 8, features = new Map() } = {}) {
+  const model = getModel(shops);
+  const target = model.docs.find((doc) => doc.shop.id === shop.id);
+  if (!target) return [];
+
+  const targetFeatures = features.get(shop.url);
+
+  return model.docs
+    .filter((doc) => doc.shop.id !== shop.id)
+    .map((doc) => {
+      const candidateFeatures = features.get(doc.shop.url);
+      const signals = {
+        tags: tagSimilarity(model, target, doc),
+        text: textSimilarity(target, doc),
+        visual: targetFeatures && candidateFeatures ? visualSimilarity(targetFeatures, candidateFeatures) : null
+      };
+
+      let weighted = 0;
+      let weights = 0;
+      for (const [signal, value] of Object.entries(signals)) {
+        if (value === null) continue;
+        weighted += signalWeights[signal] * value;
+        weights += signalWeights[signal];
+      }
+
+      return { shop: doc.shop, signals, score: weights ? weighted / weights : 0 };
+    })
+    .filter((entry) => entry.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ shop: item, signals, score }) => ({
+      ...item,
+      similarity: {
+        score: round(score),
+        tags: round(signals.tags),
+        text: round(signals.text),
+        visual: round(signals.visual)
+      }
+    }));
+}
@@ -0,0 +1,119 @@
+import { createJsonStore, dataFilePath } from "./json-store.js";
+
+const siteTechStore = createJsonStore({
+  file: dataFilePath(process.env.SITE_TECH_FILE, "site-tech.json"),
+  key: "byUrl",
+  empty: {}
+});
+const siteTechTtlMs = Math.max(1, Number(process.env.SITE_TECH_TTL_HOURS || 168)) * 60 * 60 * 1000;
+const failureRetryMs = 60 * 60 * 1000;
+const fetchTimeoutMs = 8000;
+const maxHtmlChars = 1_500_000;
+
+// Each test sees the lower-cased HTML and response headers. The first matching
+// platform wins; every matching technology is listed.
+const platforms = [
+  {
+    name: "Shopify",
+    test: ({ html, headers }) =>
+      /cdn\.shopify\.com|shopify\.theme/.test(html) ||
+      "x-shopid" in headers ||
+      /shopify/i.test(headers["powered-by"] || "")
+  },
+  { name: "WooCommerce", test: ({ html }) => /woocommerce/.test(html) },
+  { name: "BigCommerce", test: ({ html }) => /cdn\d*\.bigcommerce\.com/.test(html) },
+  { name: "Magento", test: ({ html }) => /mage\/cookies|magento_/.test(html) },
+  { name: "Salesforce Commerce Cloud", test: ({ html }) => /demandware\.(static|store)/.test(html) },
+  { name: "Shopware", test: ({ html }) => /shopware/.test(html) },
+  { name: "PrestaShop", test: ({ html }) => /prestashop/.test(html) },
+  { name: "Squarespace", test: ({ html }) => /static1\.squarespace\.com/.test(html) },
+  { name: "Wix", test: ({ html }) => /static\.wixstatic\.com/.test(html) },
+  { name: "Webflow", test: ({ html }) => /data-wf-site/.test(html) }
+];
+
+const technologies = [
+  { name: "Hydrogen", test: ({ html, headers }) => /hydrogen/i.test(headers["powered-by"] || "") || /oxygen-v\d/.test(html) },
+  { name: "Next.js", test: ({ html }) => /__next_data__|\/_next\/static\//.test(html) },
+  { name: "Nuxt", test: ({ html }) => /__nuxt__|\/_nuxt\//.test(html) },
+  { name: "Gatsby", test: ({ html }) => /___gatsby/.test(html) },
+  { name: "Klaviyo", test: ({ html }) => /static\.klaviyo\.com/.test(html) },
+  { name: "Recharge", test: ({ html }) => /rechargecdn|rechargeapps/.test(html) },
+  { name: "Yotpo", test: ({ html }) => /yotpo\.com/.test(html) },
+  { name: "Judge.me", test: ({ html }) => /judge\.me/.test(html) },
+  { name: "Gorgias", test: ({ html }) => /gorgias/.test(html) },
+  { name: "Algolia", test: ({ html }) => /algolia(net)?\.(com|net)/.test(html) },
+  { name: "Klarna", test: ({ html }) => /klarna/.test(html) },
+  { name: "Afterpay", test: ({ html }) => /afterpay/.test(html) },
+  { name: "Google Tag Manager", test: ({ html }) => /googletagmanager\.com\/gtm\.js/.test(html) },
+  { name: "Google Analytics", test: ({ html }) => /googletagmanager\.com\/gtag|google-analytics\.com/.test(html) },
+  { name: "Meta Pixel", test: ({ html }) => /connect\.facebook\.net\/[^"']*fbevents/.test(html) },
+  { name: "Hotjar", test: ({ html }) => /static\.hotjar\.com/.test(html) },
+  { name: "Cloudflare", test: ({ headers }) => "cf-ray" in headers }
+];
+
+const techStore =
+  globalThis.__shopHaulSiteTech ||
+  (globalThis.__shopHaulSiteTech = {
+    inflight: new Map()
+  });
+
+// Lookups for different sites can finish together; the store applies their writes in turn.
+const rememberSiteTech = (url, result) =>
+  siteTechStore.update((byUrl) => ({ value: { ...byUrl, [url]: result } }));
+
+async function inspectSite(url) {
+  const response = await fetch(url, {
+    redirect: "follow",
+    signal: AbortSignal.timeout(fetchTimeoutMs),
+    headers: { "user-agent": "Mozilla/5.0 (compatible; ShopHaulTech/1.0)" }
+  });
+  const contentType = response.headers.get("content-type") || "";
+  const html = contentType.toLowerCase().includes("text/html")
+    ? (await response.text()).slice(0, maxHtmlChars).toLowerCase()
+    : "";
+  const headers = Object.fromEntries(response.headers.entries());
+  const page = { html, headers };
+
+  return {
+    platform: platforms.find((platform) => platform.test(page))?.name || null,
+    technologies: technologies.filter((technology) => technology.test(page)).map((technology) => technology.name),
+    status: response.status,
+    finalUrl: response.url || url,
+    checkedAt: new Date().toISOString()
+  };
+}
+
+// Looks the site up at most once per SITE_TECH_TTL_HOURS (an hour after a failed
+// attempt) and remembers the result across restarts. Results from before redirect
+// targets were recorded are looked up again.
+export async function detectSiteTech(url) {
+  const cached = (await siteTechStore.read())[url];
+  const maxAgeMs = cached?.error ? failureRetryMs : siteTechTtlMs;
+  const complete = cached && (cached.error || cached.finalUrl);
+  if (complete && Date.now() - Date.parse(cached.checkedAt) < maxAgeMs) return cached;
+
+  if (!techStore.inflight.has(url)) {
+    const job = inspectSite(url)
+      .catch((error) => ({
+        platform: cached?.platform || null,
+        technologies: cached?.technologies || [],
+        error: error instanceof Error ? error.message : String(error),
+        checkedAt: new Date().toISOString()
+      }))
+      .then(async (result) => {
+        await rememberSiteTech(url, result);
+        return result;
+      })
+      .finally(() => {
+        techStore.inflight.delete(url);
+      });
+    techStore.inflight.set(url, job);
+  }
+
+  return techStore.inflight.get(url);
+}
+
+// Whatever has been looked up so far, keyed by URL, without fetching anything.
+export async function getCachedSiteTech() {
+  return siteTechStore.read();
+}
@@ -0,0 +1,181 @@
+import crypto from "node:crypto";
+import { createJsonStore, dataFilePath } from "./json-store.js";
+import { normalizeCandidateUrl, unwrapBuiltWithUrl } from "./notion.js";
+import { shopHostKey, shopUrlKey } from "./shops-query.js";
+
+const perIpPerHour = Math.max(1, Number(process.env.SUBMISSIONS_PER_HOUR || 5));
+const maxPending = Math.max(1, Number(process.env.SUBMISSIONS_MAX_PENDING || 500));
+const maxReviewed = 2000;
+const hourMs = 60 * 60 * 1000;
+const claimMs = 5 * 60 * 1000;
+const statuses = ["pending", "approved", "rejected", "merged"];
+
+const submissionStore = createJsonStore({
+  file: dataFilePath(process.env.SUBMISSIONS_FILE, "submissions.json"),
+  key: "submissions",
+  empty: []
+});
+
+const submissionLimits =
+  globalThis.__shopHaulSubmissionLimits ||
+  (globalThis.__shopHaulSubmissionLimits = {
+    byIp: new Map()
+  });
+
+const trim = (value) => String(value || "").trim();
+
+// Only the newest reviewed submissions are kept; pending ones stay until someone decides.
+function keepNewestReviewed(submissions) {
+  const reviewed = submissions.filter((item) => item.status !== "pending");
+  const dropped = new Set(reviewed.slice(0, Math.max(0, reviewed.length - maxReviewed)));
+  return submissions.filter((item) => !dropped.has(item));
+}
+
+const isClaimed = (item) => Boolean(item.claim) && Date.now() - Date.parse(item.claim.at) < claimMs;
+
+// change(submission) returns the next version, or null to leave it alone. Both run inside the
+// queued write, so two editors can't act on the same pending submission. Resolves to null for
+// an unknown id, otherwise to { submission, changed }.
+function changePendingSubmission(id, change) {
+  return submissionStore.update((submissions) => {
+    const current = submissions.find((item) => item.id === id);
+    if (!current) return { result: null };
+
+    const next = current.status === "pending" ? change(current) : null;
+    if (!next) return { result: { submission: current, changed: false } };
+
+    return {
+      value: keepNewestReviewed(submissions.map((item) => (item.id === id ? next : item))),
+      result: { submission: next, changed: true }
+    };
+  });
+}
+
+// BuiltWith links and bare domains are accepted, the same as in the database.
+export function parseSubmission(input = {}) {
+  const url = normalizeCandidateUrl(unwrapBuiltWithUrl(normalizeCandidateUrl(input.url)));
+  if (!url) throw new Error("Please enter the shop's website address.");
+
+  const email = trim(input.email).slice(0, 254);
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    throw new Error("That email address doesn't look right.");
+  }
+
+  return {
+    url,
+    name: trim(input.name).slice(0, 200),
+    note: trim(input.note).slice(0, 2000),
+    email
+  };
+}
+
+export function checkSubmissionAllowed(ip) {
+  const now = Date.now();
+  const recent = (submissionLimits.byIp.get(ip) || []).filter((at) => now - at < hourMs);
+  submissionLimits.byIp.set(ip, recent);
+
+  if (submissionLimits.byIp.size > 10000) {
+    for (const [key, times] of submissionLimits.byIp.entries()) {
+      if (!times.some((at) => now - at < hourMs)) submissionLimits.byIp.delete(key);
+    }
+  }
+
+  if (recent.length < perIpPerHour) return { allowed: true };
+  return { allowed: false, retryAfterMs: hourMs - (now - recent[0]) };
+}
+
+export function recordSubmissionAttempt(ip) {
+  submissionLimits.byIp.set(ip, [...(submissionLimits.byIp.get(ip) || []), Date.now()]);
+}
+
+// A second suggestion for a shop that is already waiting is folded into the first one. Shops
+// are matched on host and path, so two shops on one marketplace host stay separate.
+export async function addSubmission(fields) {
+  const host = shopHostKey(fields.url);
+  const urlKey = shopUrlKey(fields.url);
+  const now = new Date().toISOString();
+
+  return submissionStore.update((submissions) => {
+    const existing = submissions.find((item) => item.status === "pending" && shopUrlKey(item.url) === urlKey);
+    if (existing) {
+      const merged = {
+        ...existing,
+        requests: (existing.requests || 1) + 1,
+        notes: fields.note ? [...(existing.notes || []), fields.note].slice(-20) : existing.notes,
+        emails: fields.email
+          ? Array.from(new Set([...(existing.emails || []), fields.email])).slice(0, 20)
+          : existing.emails,
+        updatedAt: now
+      };
+      return {
+        value: submissions.map((item) => (item === existing ? merged : item)),
+        result: { submission: merged, duplicate: true }
+      };
+    }
+
+    if (submissions.filter((item) => item.status === "pending").length >= maxPending) {
+      throw new Error("The submission queue is full. Please try again later.");
+    }
+
+    const submission = {
+      id: crypto.randomUUID(),
+      status: "pending",
+      url: fields.url,
+      host,
+      name: fields.name,
+      notes: fields.note ? [fields.note] : [],
+      emails: fields.email ? [fields.email] : [],
+      requests: 1,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    return { value: [...submissions, submission], result: { submission, duplicate: false } };
+  });
+}
+
+export async function listSubmissions({ status = "pending" } = {}) {
+  const submissions = await submissionStore.read();
+  const filtered = statuses.includes(status) ? submissions.filter((item) => item.status === status) : submissions;
+  return [...filtered].sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+export async function findSubmission(id) {
+  return (await submissionStore.read()).find((item) => item.id === id) || null;
+}
+
+// Approving creates a Notion page before the submission is marked, so the approver claims it
+// first. Other reviews are refused while the claim lasts. Same results as reviewSubmission;
+// submission.claim.token is what the approver passes on.
+export async function claimSubmission(id) {
+  const claim = { token: crypto.randomUUID(), at: new Date().toISOString() };
+  return changePendingSubmission(id, (current) => (isClaimed(current) ? null : { ...current, claim }));
+}
+
+export async function releaseSubmission(id, token) {
+  return changePendingSubmission(id, ({ claim, ...rest }) => (claim?.token === token ? rest : null));
+}
+
+// review: { status, reviewedBy, shopId?, reason?, claim? }. Resolves to null for an unknown id;
+// changed is false when the submission was already reviewed or someone else holds the claim.
+export async function reviewSubmission(id, review) {
+  if (!statuses.includes(review.status) || review.status === "pending") {
+    throw new Error(`Unknown review status "${review.status}".`);
+  }
+
+  return changePendingSubmission(id, (current) => {
+    if (isClaimed(current) && current.claim.token !== review.claim) return null;
+
+    const { claim, ...rest } = current;
+    const now = new Date().toISOString();
+    return {
+      ...rest,
+      status: review.status,
+      shopId: review.shopId || null,
+      reason: trim(review.reason).slice(0, 500),
+      reviewedBy: review.reviewedBy,
+      reviewedAt: now,
+      updatedAt: now
+    };
+  });
+}
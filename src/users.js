@@ -0,0 +1,132 @@
+import crypto from "node:crypto";
+import { promisify } from "node:util";
+import { createJsonStore, dataFilePath } from "./json-store.js";
+
+const scrypt = promisify(crypto.scrypt);
+const userStore = createJsonStore({ file: dataFilePath(process.env.USERS_FILE, "users.json"), key: "users", empty: [] });
+
+export const roles = ["viewer", "editor", "admin"];
+
+const normalizeUsername = (value) => String(value || "").trim().toLowerCase();
+
+export const roleAtLeast = (role, required) => roles.indexOf(role) >= roles.indexOf(required);
+
+export function publicUser(user) {
+  if (!user) return null;
+  const { passwordHash, sessionVersion, ...rest } = user;
+  return rest;
+}
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, 64);
+  return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+export async function verifyPassword(password, passwordHash) {
+  const [scheme, saltRaw, hashRaw] = String(passwordHash || "").split("$");
+  if (scheme !== "scrypt" || !saltRaw || !hashRaw) return false;
+
+  const expected = Buffer.from(hashRaw, "base64");
+  const actual = await scrypt(String(password), Buffer.from(saltRaw, "base64"), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function validatePassword(password) {
+  if (String(password || "").length < 10) {
+    throw new Error("Passwords must be at least 10 characters.");
+  }
+}
+
+function validateRole(role) {
+  if (!roles.includes(role)) {
+    throw new Error(`Role must be one of: ${roles.join(", ")}.`);
+  }
+}
+
+export async function hasUsers() {
+  return (await userStore.read()).length > 0;
+}
+
+export async function listUsers() {
+  return (await userStore.read()).map(publicUser);
+}
+
+export async function findUserById(id) {
+  return (await userStore.read()).find((user) => user.id === id) || null;
+}
+
+export async function findUserByUsername(username) {
+  const key = normalizeUsername(username);
+  return (await userStore.read()).find((user) => user.username === key) || null;
+}
+
+export async function createUser({ username, password, role = "viewer" }) {
+  const key = normalizeUsername(username);
+  if (!/^[a-z0-9._@+-]{2,64}$/.test(key)) {
+    throw new Error("Usernames must be 2-64 characters of letters, digits or ._@+-");
+  }
+  validatePassword(password);
+  validateRole(role);
+
+  const now = new Date().toISOString();
+  const user = {
+    id: crypto.randomUUID(),
+    username: key,
+    role,
+    disabled: false,
+    passwordHash: await hashPassword(password),
+    sessionVersion: 1,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  // The name check runs inside the update so two requests can't both claim it.
+  await userStore.update((users) => {
+    if (users.some((existing) => existing.username === key)) {
+      throw new Error(`User "${key}" already exists.`);
+    }
+    return { value: [...users, user] };
+  });
+  return publicUser(user);
+}
+
+// Validation and hashing happen up front, so the queued change only merges the result.
+export async function updateUser(id, patch = {}) {
+  const change = {};
+  let revokeSessions = Boolean(patch.revokeSessions);
+
+  if (patch.role !== undefined) {
+    validateRole(patch.role);
+    change.role = patch.role;
+  }
+
+  if (patch.disabled !== undefined) {
+    change.disabled = Boolean(patch.disabled);
+    revokeSessions = revokeSessions || change.disabled;
+  }
+
+  if (patch.password !== undefined) {
+    validatePassword(patch.password);
+    change.passwordHash = await hashPassword(patch.password);
+    revokeSessions = true;
+  }
+
+  return userStore.update((users) => {
+    const current = users.find((user) => user.id === id);
+    if (!current) return { result: null };
+
+    const next = { ...current, ...change, updatedAt: new Date().toISOString() };
+    if (revokeSessions) next.sessionVersion = (current.sessionVersion || 1) + 1;
+
+    return { value: users.map((user) => (user.id === id ? next : user)), result: publicUser(next) };
+  });
+}
+
+export async function deleteUser(id) {
+  return userStore.update((users) =>
+    users.some((user) => user.id === id)
+      ? { value: users.filter((user) => user.id !== id), result: true }
+      : { result: false }
+  );
+}
@@ -0,0 +1,107 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { findDuplicateClusters, mergedFields } from "../src/duplicates.js";
+
+const shop = (id, url, fields = {}) => ({ id, title: id, url, category: "", tags: [], notes: "", ...fields });
+
+const clusterIds = (clusters) => clusters.map((cluster) => cluster.shops.map((item) => item.id).sort());
+
+test("merging combines tags, appends new notes and fills an empty category", () => {
+  const survivor = shop("a", "https://a.example", { tags: ["Hiking"], notes: "Tents and tarps" });
+  const duplicates = [
+    shop("b", "https://b.example", { tags: ["hiking", "Stoves"], notes: "Tents", category: "Outdoor" }),
+    shop("c", "https://c.example", { notes: "Ships to Canada" })
+  ];
+
+  assert.deepEqual(mergedFields(survivor, duplicates), {
+    tags: ["Hiking", "Stoves"],
+    notes: "Tents and tarps\n\nShips to Canada",
+    category: "Outdoor"
+  });
+  assert.deepEqual(mergedFields(survivor, [shop("d", "https://d.example", { tags: ["HIKING"] })]), {});
+});
+
+test("shops with the same URL form a cluster around the most curated one", () => {
+  const shops = [
+    shop("a", "https://www.example.com/shop/?ref=ad"),
+    shop("b", "http://example.com/shop", { notes: "Flagship", tags: ["Boots"] }),
+    shop("c", "https://other.example")
+  ];
+  const [cluster, ...rest] = findDuplicateClusters(shops);
+
+  assert.equal(rest.length, 0);
+  assert.equal(cluster.survivorId, "b");
+  assert.deepEqual(cluster.reasons, ["url"]);
+  assert.deepEqual(cluster.merged, {});
+});
+
+test("different shops on one marketplace host stay apart", () => {
+  const shops = [shop("a", "https://www.etsy.com/shop/a"), shop("b", "https://etsy.com/shop/b")];
+
+  assert.deepEqual(findDuplicateClusters(shops), []);
+});
+
+test("a shared host counts once the screenshots are similar too", () => {
+  const shops = [
+    shop("a", "https://example.com/"),
+    shop("b", "https://example.com/en"),
+    shop("c", "https://other.example/en")
+  ];
+  const looksAlike = { hash: "0f0f0f0f0f0f0f0f", histogram: [0.6, 0.4] };
+  const roughlyAlike = { hash: "0f0f0f0f0f0f0000", histogram: [0.5, 0.5] };
+  const features = new Map([
+    ["https://example.com/", looksAlike],
+    ["https://example.com/en", roughlyAlike],
+    ["https://other.example/en", { hash: "f0f0f0f0f0f0f0f0", histogram: [0.1, 0.9] }]
+  ]);
+  const clusters = findDuplicateClusters(shops, { features });
+
+  assert.deepEqual(clusterIds(clusters), [["a", "b"]]);
+  assert.deepEqual(clusters[0].reasons, ["host"]);
+});
+
+test("redirects link shops to the page they land on", () => {
+  const shops = [
+    shop("a", "https://old.example"),
+    shop("b", "https://new.example"),
+    shop("c", "https://c.example"),
+    shop("d", "https://d.example")
+  ];
+  const redirects = new Map([
+    ["https://old.example", "https://www.new.example/"],
+    ["https://c.example", "https://shops.example/c"],
+    ["https://d.example", "https://shops.example/d"]
+  ]);
+  const [cluster, ...rest] = findDuplicateClusters(shops, { redirects });
+
+  assert.equal(rest.length, 0);
+  assert.deepEqual(clusterIds([cluster]), [["a", "b"]]);
+  assert.deepEqual(cluster.reasons, ["redirect"]);
+  assert.equal(cluster.shops.find((item) => item.id === "a").finalUrl, "https://www.new.example/");
+});
+
+test("a redirect target shared by too many shops is ignored", () => {
+  const shops = Array.from({ length: 7 }, (_, index) => shop(`s${index}`, `https://s${index}.example`));
+  const redirects = new Map(shops.map((item) => [item.url, "https://parked.example"]));
+
+  assert.deepEqual(findDuplicateClusters(shops, { redirects }), []);
+});
+
+test("matching screenshots link shops, but blank ones don't", () => {
+  const shops = [
+    shop("a", "https://a.example"),
+    shop("b", "https://b.example"),
+    shop("c", "https://c.example"),
+    shop("d", "https://d.example")
+  ];
+  const features = new Map([
+    ["https://a.example", { hash: "0f0f0f0f0f0f0f0f", histogram: [0.6, 0.4] }],
+    ["https://b.example", { hash: "0f0f0f0f0f0f0f0e", histogram: [0.58, 0.42] }],
+    ["https://c.example", { hash: "ffffffffffffffff", histogram: [1, 0] }],
+    ["https://d.example", { hash: "ffffffffffffffff", histogram: [1, 0] }]
+  ]);
+  const clusters = findDuplicateClusters(shops, { features });
+
+  assert.deepEqual(clusterIds(clusters), [["a", "b"]]);
+  assert.deepEqual(clusters[0].reasons, ["screenshot"]);
+});
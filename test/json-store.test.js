@@ -0,0 +1,79 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+import { createJsonStore } from "../src/json-store.js";
+
+const tempFile = async (name) => path.join(await fs.mkdtemp(path.join(os.tmpdir(), "shop-haul-store-")), name);
+
+test("concurrent updates all land in the file", async () => {
+  const file = await tempFile("counts.json");
+  const store = createJsonStore({ file, key: "items", empty: [] });
+
+  const results = await Promise.all(
+    Array.from({ length: 50 }, (_, index) =>
+      store.update(async (items) => {
+        await new Promise((resolve) => setTimeout(resolve, Math.random() * 5));
+        return { value: [...items, index], result: items.length };
+      })
+    )
+  );
+
+  assert.deepEqual(results, Array.from({ length: 50 }, (_, index) => index));
+  const saved = JSON.parse(await fs.readFile(file, "utf8"));
+  assert.equal(saved.items.length, 50);
+  assert.deepEqual(await fs.readdir(path.dirname(file)), ["counts.json"]);
+});
+
+test("a check inside update can't be raced past", async () => {
+  const file = await tempFile("uses.json");
+  const store = createJsonStore({ file, key: "link", empty: { uses: 0, maxUses: 3 } });
+  const redeem = () =>
+    store.update((link) =>
+      link.uses >= link.maxUses ? { result: false } : { value: { ...link, uses: link.uses + 1 }, result: true }
+    );
+
+  const results = await Promise.all(Array.from({ length: 10 }, redeem));
+
+  assert.equal(results.filter(Boolean).length, 3);
+  assert.equal((await store.read()).uses, 3);
+});
+
+test("a failed change leaves the store untouched and later changes still run", async () => {
+  const file = await tempFile("names.json");
+  const store = createJsonStore({ file, key: "names", empty: [] });
+
+  await store.update((names) => ({ value: [...names, "a"] }));
+  await assert.rejects(
+    store.update(() => {
+      throw new Error("nope");
+    }),
+    /nope/
+  );
+  await store.update((names) => ({ value: [...names, "b"] }));
+
+  assert.deepEqual(await store.read(), ["a", "b"]);
+  assert.deepEqual(JSON.parse(await fs.readFile(file, "utf8")), { names: ["a", "b"] });
+});
+
+test("a missing file reads as the empty value and isn't created until a write", async () => {
+  const file = await tempFile("missing.json");
+  const store = createJsonStore({ file, key: "byUser", empty: {} });
+
+  assert.deepEqual(await store.read(), {});
+  assert.equal(await store.update(() => ({ result: "unchanged" })), "unchanged");
+  await assert.rejects(fs.access(file), { code: "ENOENT" });
+});
+
+test("a change written by another process is read instead of overwritten", async () => {
+  const file = await tempFile("users.json");
+  const store = createJsonStore({ file, key: "users", empty: [] });
+
+  await store.update((users) => ({ value: [...users, "ann"] }));
+  await fs.writeFile(file, JSON.stringify({ users: ["ann", "bob"] }), "utf8");
+
+  assert.deepEqual(await store.read(), ["ann", "bob"]);
+  await store.update((users) => ({ value: [...users, "cat"] }));
+  assert.deepEqual(JSON.parse(await fs.readFile(file, "utf8")), { users: ["ann", "bob", "cat"] });
+});
@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { checkLoginAllowed, loginDelayMs, recordLoginFailure, recordLoginSuccess } from "../src/login-guard.js";
+
+const guardState = globalThis.__shopHaulLoginGuard;
+
+// A login as the server runs it: the check counts the attempt, then the outcome is recorded.
+const attempt = (ip, username, succeeded = false) => {
+  const allowed = checkLoginAllowed(ip);
+  if (!allowed.allowed) return allowed;
+  if (succeeded) recordLoginSuccess(ip, username);
+  else recordLoginFailure(username);
+  return allowed;
+};
+
+test.beforeEach(() => {
+  guardState.byIp.clear();
+  guardState.byAccount.clear();
+  guardState.recentFailures = [];
+});
+
+test("an IP backs off after three failures and is locked after ten", () => {
+  for (let i = 0; i < 2; i += 1) attempt("10.0.0.1", "ann");
+  assert.equal(attempt("10.0.0.1", "ann").allowed, true);
+  assert.equal(checkLoginAllowed("10.0.0.1").reason, "backoff");
+
+  guardState.byIp.get("10.0.0.1").failures = 10;
+  const locked = checkLoginAllowed("10.0.0.1");
+  assert.equal(locked.reason, "locked");
+  assert.ok(locked.retryAfterMs > 14 * 60 * 1000);
+});
+
+test("parallel attempts are counted before any of them finishes", () => {
+  const results = Array.from({ length: 5 }, () => checkLoginAllowed("10.0.0.2"));
+
+  assert.deepEqual(results.map((result) => result.allowed), [true, true, true, false, false]);
+});
+
+test("a site-wide surge never refuses IPs without failures", () => {
+  for (let i = 0; i < 100; i += 1) attempt(`10.1.0.${i}`, `user${i}`);
+
+  assert.deepEqual(checkLoginAllowed("10.2.0.1"), { allowed: true });
+  assert.equal(loginDelayMs("someone"), 2000);
+});
+
+test("during a surge an IP backs off from its first failure", () => {
+  for (let i = 0; i < 100; i += 1) attempt(`10.1.0.${i}`, "");
+
+  assert.equal(checkLoginAllowed("10.1.0.1").reason, "backoff");
+});
+
+test("failures on one account slow that account down without blocking it", () => {
+  for (let i = 0; i < 3; i += 1) attempt(`10.3.0.${i}`, "Ann");
+
+  assert.equal(loginDelayMs("ann"), 250);
+  assert.equal(loginDelayMs("bob"), 0);
+  assert.deepEqual(checkLoginAllowed("10.4.0.1"), { allowed: true });
+
+  for (let i = 0; i < 20; i += 1) attempt(`10.3.1.${i}`, "ann");
+  assert.equal(loginDelayMs("ann"), 5000);
+});
+
+test("a successful login clears the account but keeps the IP's failures", () => {
+  for (let i = 0; i < 2; i += 1) attempt("10.5.0.1", "ann");
+  attempt("10.5.0.1", "ann", true);
+
+  assert.equal(loginDelayMs("ann"), 0);
+  assert.equal(guardState.byIp.get("10.5.0.1").failures, 2);
+
+  attempt("10.5.0.1", "bob");
+  assert.equal(checkLoginAllowed("10.5.0.1").reason, "backoff");
+});
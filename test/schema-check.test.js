@@ -0,0 +1,144 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { Client } from "@notionhq/client";
+import { checkNotionSchema } from "../src/schema-check.js";
+
+const config = { notionApiKey: "key", databaseId: "db1" };
+const text = (value) => [{ plain_text: value, text: { content: value } }];
+
+let database = { properties: {} };
+let rows = [];
+let calls = [];
+
+const originalRequest = Client.prototype.request;
+test.before(() => {
+  Client.prototype.request = async ({ path, method }) => {
+    calls.push(`${method} ${path}`);
+    if (path === "databases/db1" && method === "get") return database;
+    if (path === "databases/db1/query") return { results: rows, has_more: false, next_cursor: null };
+    throw new Error(`Unexpected request: ${method} ${path}`);
+  };
+});
+test.after(() => {
+  Client.prototype.request = originalRequest;
+});
+test.beforeEach(() => {
+  calls = [];
+  rows = [];
+});
+
+const byKey = (checks) => Object.fromEntries(checks.map((check) => [check.key, check]));
+
+test("renamed properties, wrong types and missing extra fields are reported", async () => {
+  database = {
+    title: text("Shops"),
+    properties: {
+      Name: { type: "title" },
+      Website: { type: "url" },
+      "Category/Type": { type: "select" },
+      Tags: { type: "multi_select" },
+      Notes: { type: "number" },
+      Price: { type: "rich_text" },
+      Unused: { type: "checkbox" }
+    }
+  };
+  const propertyMap = {
+    name: "Name",
+    url: "URL",
+    category: "Category/Type",
+    tags: "Tags",
+    notes: "Notes",
+    extra: [
+      { key: "price", property: "Price", type: "number" },
+      { key: "country", property: "Origin", type: "select" }
+    ]
+  };
+  const report = await checkNotionSchema({ ...config, propertyMap }, { rows: false });
+  const mappings = byKey(report.mappings);
+  const extra = byKey(report.extra);
+
+  assert.equal(report.databaseTitle, "Shops");
+  assert.equal(mappings.name.status, "ok");
+  assert.equal(mappings.url.status, "warning");
+  assert.equal(mappings.url.property, "Website");
+  assert.equal(mappings.url.match, "alias");
+  assert.equal(mappings.notes.status, "error");
+  assert.equal(extra.price.status, "ok");
+  assert.deepEqual(extra.country.issues, ['No property named "Origin".']);
+  assert.equal(report.errors, 2);
+  assert.equal(report.warnings, 1);
+  assert.deepEqual(report.properties.find((property) => property.name === "Unused").usedFor, []);
+  assert.deepEqual(report.properties.find((property) => property.name === "Price").usedFor, ["extra.price"]);
+  assert.equal(report.rows, null);
+  assert.deepEqual(calls, ["get databases/db1"]);
+});
+
+test("guessed and missing mappings are flagged, with a missing URL as an error", async () => {
+  database = { properties: { "Shop Name": { type: "title" }, Blurb: { type: "select" } } };
+  const report = await checkNotionSchema({ ...config, propertyMap: {} }, { rows: false });
+  const mappings = byKey(report.mappings);
+
+  assert.equal(mappings.name.match, "type");
+  assert.deepEqual(mappings.name.issues, ["Guessed from the property type."]);
+  assert.equal(mappings.url.status, "error");
+  assert.equal(mappings.url.property, null);
+  assert.equal(mappings.tags.property, "Blurb");
+  assert.deepEqual(mappings.tags.candidates, []);
+  assert.match(mappings.tags.issues.join(" "), /also used for category/);
+});
+
+test("the row scan counts unreadable values and rows without a URL", async () => {
+  database = {
+    properties: {
+      Name: { type: "title" },
+      URL: { type: "url" },
+      Price: { type: "rich_text" }
+    }
+  };
+  rows = [
+    {
+      object: "page",
+      id: "p1",
+      url: "https://notion.so/p1",
+      properties: {
+        Name: { type: "title", title: text("Alpha") },
+        URL: { type: "url", url: "https://alpha.example" },
+        Price: { type: "rich_text", rich_text: text("cheap") }
+      }
+    },
+    {
+      object: "page",
+      id: "p2",
+      properties: {
+        Name: { type: "title", title: text("Beta") },
+        URL: { type: "url", url: null },
+        Price: { type: "rich_text", rich_text: text("12") }
+      }
+    },
+    {
+      object: "page",
+      id: "p3",
+      properties: {
+        Name: { type: "title", title: text("Gamma") },
+        URL: { type: "url", url: "https://gamma.example" },
+        Price: { type: "rich_text", rich_text: [] }
+      }
+    }
+  ];
+  const propertyMap = { name: "Name", url: "URL", extra: [{ key: "price", property: "Price", type: "number" }] };
+  const report = await checkNotionSchema({ ...config, propertyMap });
+
+  assert.equal(report.rows.checked, 3);
+  assert.equal(report.rows.unreadable, 1);
+  assert.equal(report.rows.withoutUrl, 1);
+  assert.deepEqual(report.rows.samples, [
+    {
+      id: "p1",
+      title: "Alpha",
+      notionUrl: "https://notion.so/p1",
+      missingUrl: false,
+      issues: [{ key: "extra.price", property: "Price", value: "cheap" }]
+    },
+    { id: "p2", title: "Beta", notionUrl: null, missingUrl: true, issues: [] }
+  ]);
+});
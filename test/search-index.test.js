@@ -0,0 +1,57 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { highlightShop, searchShops, stem, textTerms } from "../src/search-index.js";
+
+const shops = [
+  { id: "a", title: "Trail Stores", tags: ["Hiking"], category: "Outdoor", url: "https://trail.example" },
+  { id: "b", title: "Café Noir", tags: ["Coffee"], category: "Food", notes: "Small-batch coffee roasters" },
+  { id: "c", title: "Coffee Shopping", tags: ["Mugs"], category: "Home", url: "https://mugs.example" }
+];
+
+test("stemming lines up plurals and common suffixes", () => {
+  assert.equal(stem("stores"), stem("store"));
+  assert.equal(stem("shopping"), "shop");
+  assert.equal(stem("berries"), "berry");
+  assert.equal(stem("glass"), "glass");
+  assert.equal(stem("mp3s"), "mp3s");
+});
+
+test("text terms drop stop words and accents", () => {
+  assert.deepEqual(textTerms("The Café at the Stores"), ["cafe", "stor"]);
+});
+
+test("every query word has to match", () => {
+  const hits = searchShops(shops, "coffee roasters");
+
+  assert.deepEqual(Array.from(hits.keys()), ["b"]);
+  assert.ok(hits.get("b").terms.has("coffe"));
+});
+
+test("a title match outscores a notes match", () => {
+  const hits = searchShops(shops, "coffee");
+
+  assert.ok(hits.get("c").score > 0);
+  assert.ok(hits.get("b").score > 0);
+  assert.ok(searchShops(shops, "roasters").get("b").score < hits.get("c").score);
+});
+
+test("the last word matches as a prefix and typos still find a shop", () => {
+  assert.deepEqual(Array.from(searchShops(shops, "hik").keys()), ["a"]);
+  assert.deepEqual(Array.from(searchShops(shops, "cofee").keys()).sort(), ["b", "c"]);
+});
+
+test("accents are ignored and onlyIds limits the result", () => {
+  assert.deepEqual(Array.from(searchShops(shops, "cafe").keys()), ["b"]);
+  assert.deepEqual(Array.from(searchShops(shops, "coffee", new Set(["c"])).keys()), ["c"]);
+  assert.equal(searchShops(shops, "   ").size, 0);
+});
+
+test("highlights point into the original text", () => {
+  const shop = shops[1];
+  const highlights = highlightShop(shop, searchShops(shops, "coffee").get("b").terms);
+
+  assert.deepEqual(highlights.title, []);
+  assert.deepEqual(highlights.tags, ["Coffee"]);
+  const [[start, end]] = highlights.notes;
+  assert.equal(shop.notes.slice(start, end), "coffee");
+});
@@ -0,0 +1,117 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import {
+  filterShops,
+  findRelatedShops,
+  hasShopsQuery,
+  parseShopsQuery,
+  queryShops,
+  scopeShopsPayload,
+  shopHostKey,
+  shopUrlKey,
+  sortShops
+} from "../src/shops-query.js";
+
+const shops = [
+  { id: "a", title: "Alpine Goods", category: "Outdoor", tags: ["Hiking", "Camping"], editedAt: "2024-03-01" },
+  { id: "b", title: "Bench Made", category: "Furniture", tags: ["Wood"], editedAt: "2024-05-01" },
+  { id: "c", title: "Canvas Co", category: "outdoor", tags: ["Camping"], editedAt: "2024-01-01" },
+  {
+    id: "d",
+    title: "Dune Supply",
+    category: "Outdoor",
+    tags: ["Hiking"],
+    editedAt: "2024-04-01",
+    extra: { country: "US", founded: "2019-06-01" }
+  }
+];
+
+const ids = (items) => items.map((shop) => shop.id);
+
+test("a query counts as one only when it has a known key", () => {
+  assert.equal(hasShopsQuery({}), false);
+  assert.equal(hasShopsQuery({ foo: "1" }), false);
+  assert.equal(hasShopsQuery({ tag: "Wood" }), true);
+  assert.equal(hasShopsQuery({ "field.country": "US" }), true);
+});
+
+test("parsing falls back to defaults for bad values and caps the page size", () => {
+  assert.deepEqual(parseShopsQuery({ sort: "bogus", tagMode: "none", page: "-2", pageSize: "500" }), {
+    categories: [],
+    tags: [],
+    tagMode: "all",
+    fields: {},
+    q: "",
+    sort: "recent",
+    page: 1,
+    pageSize: 100
+  });
+
+  const parsed = parseShopsQuery({ tag: ["Wood", " ", "Camping"], "field.country": ["US", "CA"], "field.": "x" });
+  assert.deepEqual(parsed.tags, ["Wood", "Camping"]);
+  assert.deepEqual(parsed.fields, { country: ["US", "CA"] });
+});
+
+test("categories match case-insensitively and tags honour the tag mode", () => {
+  assert.deepEqual(ids(filterShops(shops, { categories: ["OUTDOOR"] })), ["a", "c", "d"]);
+  assert.deepEqual(ids(filterShops(shops, { tags: ["hiking", "camping"] })), ["a"]);
+  assert.deepEqual(ids(filterShops(shops, { tags: ["hiking", "camping"], tagMode: "any" })), ["a", "c", "d"]);
+});
+
+test("field filters match values and open-ended ranges", () => {
+  assert.deepEqual(ids(filterShops(shops, { fields: { country: ["us"] } })), ["d"]);
+  assert.deepEqual(ids(filterShops(shops, { fields: { founded: ["..2019-06"] } })), ["d"]);
+  assert.deepEqual(ids(filterShops(shops, { fields: { founded: ["2020.."] } })), []);
+});
+
+test("sorting leaves the input alone", () => {
+  assert.deepEqual(ids(sortShops(shops, "recent")), ["b", "d", "a", "c"]);
+  assert.deepEqual(ids(sortShops(shops, "oldest")), ["c", "a", "d", "b"]);
+  assert.deepEqual(ids(sortShops(shops, "za")), ["d", "c", "b", "a"]);
+  assert.deepEqual(ids(shops), ["a", "b", "c", "d"]);
+});
+
+test("a query pages the matches and counts facets without the category filter", () => {
+  const options = parseShopsQuery({ category: "Outdoor", pageSize: "2" });
+  const result = queryShops({ shops, categories: ["Outdoor", "Furniture"] }, options);
+
+  assert.deepEqual(ids(result.shops), ["d", "a"]);
+  assert.equal(result.total, 3);
+  assert.equal(result.hasMore, true);
+  assert.deepEqual(result.facets.categories, { Outdoor: 2, Furniture: 1, outdoor: 1 });
+  assert.deepEqual(result.facets.tags, { Hiking: 2, Camping: 2 });
+});
+
+test("a search query adds scores and highlights", () => {
+  const result = queryShops({ shops }, parseShopsQuery({ q: "bench", sort: "relevance" }));
+
+  assert.deepEqual(ids(result.shops), ["b"]);
+  assert.ok(result.shops[0].score > 0);
+  assert.deepEqual(result.shops[0].highlights.title, [[0, 5]]);
+});
+
+test("a scope narrows the shops and the category and tag lists", () => {
+  const payload = { shops, categories: ["Outdoor", "Furniture"], tags: ["Camping", "Hiking", "Wood"], count: 4 };
+
+  assert.equal(scopeShopsPayload(payload, {}), payload);
+
+  const scoped = scopeShopsPayload(payload, { categories: ["Outdoor"], shopIds: ["a", "b", "d"] });
+  assert.deepEqual(ids(scoped.shops), ["a", "d"]);
+  assert.deepEqual(scoped.categories, ["Outdoor"]);
+  assert.deepEqual(scoped.tags, ["Camping", "Hiking"]);
+  assert.equal(scoped.count, 2);
+});
+
+test("related shops rank shared tags and category, and skip the shop itself", () => {
+  const related = findRelatedShops(shops, shops[0]);
+
+  assert.deepEqual(ids(related), ["d", "c"]);
+  assert.deepEqual(related[0].related, { tags: ["Hiking"], category: true });
+});
+
+test("URL keys ignore scheme, www, trailing slashes and query strings", () => {
+  assert.equal(shopUrlKey("https://www.Example.com/shop/?ref=1#top"), "example.com/shop");
+  assert.equal(shopUrlKey("http://example.com/shop"), "example.com/shop");
+  assert.equal(shopUrlKey(" Not A URL "), "not a url");
+  assert.equal(shopHostKey("https://www.example.com/other"), "example.com");
+});
@@ -0,0 +1,46 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { findSimilarShops } from "../src/similarity.js";
+
+const shops = [
+  { id: "a", url: "https://a.example", category: "Outdoor", tags: ["Hiking", "Tents"], notes: "Ultralight tents" },
+  { id: "b", url: "https://b.example", category: "Outdoor", tags: ["Hiking", "Tents"], notes: "Tents and tarps" },
+  { id: "c", url: "https://c.example", category: "Outdoor", tags: ["Hiking"] },
+  { id: "d", url: "https://d.example", category: "Kitchen", tags: ["Knives"], notes: "Japanese knives" }
+];
+
+const ids = (items) => items.map((shop) => shop.id);
+
+test("shops sharing tags, category and notes rank first and unrelated ones drop out", () => {
+  const similar = findSimilarShops(shops, shops[0]);
+
+  assert.deepEqual(ids(similar), ["b", "c"]);
+  assert.equal(similar[0].similarity.tags, 1);
+  assert.ok(similar[0].similarity.text > 0);
+  assert.equal(similar[0].similarity.visual, null);
+});
+
+test("a shop without notes is scored on tags alone", () => {
+  const [, other] = findSimilarShops(shops, shops[0]);
+
+  assert.equal(other.id, "c");
+  assert.equal(other.similarity.text, null);
+  assert.equal(other.similarity.score, other.similarity.tags);
+});
+
+test("screenshot features add a visual signal", () => {
+  const features = new Map([
+    ["https://a.example", { hash: "ffffffffffffffff", histogram: [0.5, 0.5] }],
+    ["https://d.example", { hash: "ffffffffffffffff", histogram: [0.5, 0.5] }]
+  ]);
+  const similar = findSimilarShops(shops, shops[0], { features });
+  const kitchen = similar.find((shop) => shop.id === "d");
+
+  assert.equal(kitchen.similarity.visual, 1);
+  assert.equal(kitchen.similarity.tags, 0);
+});
+
+test("the limit applies and an unknown shop has no matches", () => {
+  assert.equal(findSimilarShops(shops, shops[0], { limit: 1 }).length, 1);
+  assert.deepEqual(findSimilarShops(shops, { id: "missing" }), []);
+});